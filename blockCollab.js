@@ -0,0 +1,496 @@
+/**
+ * Free Block Engine - Real-time Collaboration
+ * 
+ * Keeps several BlockEngine replicas in sync over a pluggable transport.
+ * 
+ * @author Paul Dikaloff
+ * @version 1.0.0
+ * @license MIT
+ * @repository https://github.com/pavadik/free-block-engine
+ */
+
+/**
+ * Synchronizes one engine with its peers.
+ *
+ * Every block is stored as a set of last-writer-wins registers, one per
+ * field: content, type, position, size, parentId, metadata, locked, one per link
+ * target (links/<id>) and one per property (properties/<key>), plus an
+ * `exists` register for creation and deletion. Each write carries a
+ * Lamport clock [counter, replicaId]; a register keeps the write with the
+ * highest clock. Applying the same operations in any order, any number of
+ * times, gives the same registers, so replicas converge without a central
+ * server:
+ *
+ * - a move and a content edit of the same block touch different registers
+ *   and both survive; two concurrent moves resolve to the later clock
+ * - a delete racing a link or an edit wins: the block's registers are kept
+ *   but it is not materialized, and links to missing blocks are hidden
+ * - concurrent reparenting that would nest two frames inside each other is
+ *   resolved by dropping the older of the two parent assignments
+ *
+ * Local changes are turned into operations from the engine's 'changed'
+ * events (including undo and redo); remote ones are written with
+ * engine.applyExternalChange() and never enter the local undo history.
+ * Engine settings and the type and link kind registries are not synced.
+ */
+class CollabSession {
+  /**
+   * @param {BlockEngine} engine - Engine to keep in sync
+   * @param {object} transport - Object with send(message), onMessage(callback) and close()
+   * @param {object} options - Session options
+   * @param {string} options.replicaId - Unique name of this replica (random by default)
+   */
+  constructor(engine, transport, options = {}) {
+    this.engine = engine;
+    this.transport = transport;
+    this.replicaId = options.replicaId || `replica_${Math.random().toString(36).substr(2, 9)}`;
+    this.counter = 0;
+    this.registers = new Map(); // block ID => Map of field => {value, clock}
+    this.connected = true;
+    
+    this.changeListener = change => {
+      if (!this.connected || change.source === 'remote') return;
+      
+      const blockIds = Array.from(new Set([...change.added, ...change.updated, ...change.removed]));
+      if (change.snapshots) {
+        // Undo and redo restore whole blocks: send only the fields the change
+        // itself touched and take the rest (maybe edited remotely since) back
+        this.publish(blockIds, CollabSession.touchedFields(change.snapshots));
+        this.materialize();
+      } else {
+        this.publish(blockIds);
+      }
+    };
+    engine.on('changed', this.changeListener);
+    transport.onMessage(message => this.receive(message));
+    
+    // Announce ourselves (peers answer with their state) and share what we have
+    this.transport.send({ type: 'hello', replica: this.replicaId });
+    this.publish(engine.getAllBlocks().map(block => block.id));
+  }
+
+  /**
+   * Stop syncing. The engine keeps its current state.
+   */
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.engine.off('changed', this.changeListener);
+    this.transport.close();
+  }
+
+  /**
+   * Compare two Lamport clocks
+   * @returns {number} Negative, zero or positive
+   */
+  static compareClocks(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+  }
+
+  /**
+   * Flatten a block snapshot into register fields
+   * @param {object} snapshot - Block snapshot (Block.toJSON() form)
+   * @returns {Map} Field => value
+   */
+  static fieldsOf(snapshot) {
+    const fields = new Map();
+    CollabSession.FIELDS.forEach(field => fields.set(field, snapshot[field] ?? null));
+    snapshot.links.forEach(({ id, ...meta }) => fields.set(`links/${id}`, meta));
+    Object.entries(snapshot.properties || {}).forEach(([key, property]) => {
+      fields.set(`properties/${key}`, property);
+    });
+    return fields;
+  }
+
+  /**
+   * Fields that differ between the two sides of each block of an undo or
+   * redo. Blocks that are created or deleted are left out: all of their
+   * fields count.
+   * @param {Map} snapshots - Block ID => {before, after}
+   * @returns {Map} Block ID => Set of fields
+   */
+  static touchedFields(snapshots) {
+    const touched = new Map();
+    snapshots.forEach(({ before, after }, id) => {
+      if (!before || !after) return;
+      
+      const fieldsBefore = CollabSession.fieldsOf(before);
+      const fieldsAfter = CollabSession.fieldsOf(after);
+      const fields = new Set();
+      new Set([...fieldsBefore.keys(), ...fieldsAfter.keys()]).forEach(field => {
+        if (!CollabSession.sameValue(fieldsBefore.get(field) ?? null, fieldsAfter.get(field) ?? null)) fields.add(field);
+      });
+      touched.set(id, fields);
+    });
+    return touched;
+  }
+
+  /**
+   * Deep equality for JSON values
+   */
+  static sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Next clock for a local write
+   * @returns {Array} [counter, replicaId]
+   */
+  tick() {
+    this.counter++;
+    return [this.counter, this.replicaId];
+  }
+
+  /**
+   * Turn the current state of some blocks into operations and send them
+   * @param {Array} blockIds - Blocks that may have changed
+   * @param {Map} only - Block ID => Set of fields to consider (default all fields of every block)
+   */
+  publish(blockIds, only = null) {
+    const ops = [];
+    const write = (block, field, value) => {
+      const op = { block, field, value, clock: this.tick() };
+      this.applyOp(op);
+      ops.push(op);
+    };
+    
+    blockIds.forEach(id => {
+      const snapshot = this.engine.snapshotBlock(id);
+      const registers = this.registers.get(id) || new Map();
+      const current = field => registers.has(field) ? registers.get(field).value : null;
+      
+      if (!snapshot) {
+        if (current('exists') === true) write(id, 'exists', false);
+        return;
+      }
+      
+      // An undo that only edits a block doesn't bring it back if a peer deleted it
+      if (only && only.has(id) && current('exists') === false) return;
+      if (current('exists') !== true) write(id, 'exists', true);
+      
+      const fields = CollabSession.fieldsOf(snapshot);
+      const considered = field => !only || !only.has(id) || only.get(id).has(field);
+      fields.forEach((value, field) => {
+        if (considered(field) && (!registers.has(field) || !CollabSession.sameValue(current(field), value))) {
+          write(id, field, value);
+        }
+      });
+      
+      // Links and properties that are gone locally
+      registers.forEach(({ value }, field) => {
+        if (value !== null && field.includes('/') && considered(field) && !fields.has(field)) {
+          write(id, field, null);
+        }
+      });
+    });
+    
+    if (ops.length > 0) {
+      this.transport.send({ type: 'ops', replica: this.replicaId, ops });
+    }
+  }
+
+  /**
+   * Write an operation into the registers if it is newer than what they hold
+   * @param {object} op - {block, field, value, clock}
+   * @returns {boolean} Whether the register changed
+   */
+  applyOp({ block, field, value, clock }) {
+    this.counter = Math.max(this.counter, clock[0]);
+    
+    if (!this.registers.has(block)) this.registers.set(block, new Map());
+    const registers = this.registers.get(block);
+    const existing = registers.get(field);
+    if (existing && CollabSession.compareClocks(existing.clock, clock) >= 0) return false;
+    
+    registers.set(field, { value, clock });
+    return true;
+  }
+
+  /**
+   * Handle a message from the transport
+   * @param {object} message - {type: 'hello'|'ops'|'state', replica, ...}
+   */
+  receive(message) {
+    if (!this.connected || !message || message.replica === this.replicaId) return;
+    
+    if (message.type === 'hello') {
+      this.transport.send({ type: 'state', replica: this.replicaId, ops: this.dumpState() });
+    } else if (message.type === 'ops' || message.type === 'state') {
+      let changed = false;
+      (message.ops || []).forEach(op => {
+        if (this.applyOp(op)) changed = true;
+      });
+      if (changed) this.materialize();
+    }
+  }
+
+  /**
+   * Every register as an operation, for peers that join later
+   * @returns {Array} Operations
+   */
+  dumpState() {
+    const ops = [];
+    this.registers.forEach((registers, block) => {
+      registers.forEach(({ value, clock }, field) => ops.push({ block, field, value, clock }));
+    });
+    return ops;
+  }
+
+  /**
+   * Whether a block exists according to the registers
+   */
+  exists(id) {
+    const registers = this.registers.get(id);
+    return Boolean(registers && registers.has('exists') && registers.get('exists').value === true);
+  }
+
+  /**
+   * Parent of a block, with missing parents and nesting loops resolved
+   * @param {string} id - Block ID
+   * @returns {string|null} Parent ID
+   */
+  resolveParent(id) {
+    const parentOf = blockId => {
+      const register = this.registers.get(blockId).get('parentId');
+      const parentId = register && register.value;
+      return parentId && this.exists(parentId) ? parentId : null;
+    };
+    
+    const chain = [id];
+    let parentId = parentOf(id);
+    while (parentId && !chain.includes(parentId)) {
+      chain.push(parentId);
+      parentId = parentOf(parentId);
+    }
+    
+    // In a loop, the member with the oldest parent assignment lets go
+    if (parentId === id) {
+      const clockOf = blockId => this.registers.get(blockId).get('parentId').clock;
+      const oldest = chain.reduce((a, b) => CollabSession.compareClocks(clockOf(a), clockOf(b)) <= 0 ? a : b);
+      if (oldest === id) return null;
+    }
+    return parentOf(id);
+  }
+
+  /**
+   * Build a block snapshot from the registers
+   * @param {string} id - Block ID
+   * @returns {object|null} Snapshot, or null if the block does not exist
+   */
+  snapshotFromRegisters(id) {
+    if (!this.exists(id)) return null;
+    
+    const registers = this.registers.get(id);
+    const value = field => registers.has(field) ? registers.get(field).value : null;
+    const links = [];
+    const properties = {};
+    
+    registers.forEach(({ value: fieldValue }, field) => {
+      if (fieldValue === null) return;
+      if (field.startsWith('links/')) {
+        const targetId = field.slice('links/'.length);
+        if (this.exists(targetId)) links.push({ id: targetId, ...fieldValue });
+      } else if (field.startsWith('properties/')) {
+        properties[field.slice('properties/'.length)] = fieldValue;
+      }
+    });
+    
+    const snapshot = {
+      id,
+      content: value('content') ?? '',
+      type: value('type') ?? 'default',
+      links,
+      properties,
+      parentId: this.resolveParent(id),
+      position: value('position') ?? { x: 0, y: 0 },
+      size: value('size') ?? { width: 250, height: 250 },
+      metadata: value('metadata') ?? {}
+    };
+    // Like Block.toJSON(), only locked blocks carry the field
+    const locked = value('locked');
+    if (Array.isArray(locked) && locked.length > 0) snapshot.locked = locked;
+    return snapshot;
+  }
+
+  /**
+   * Bring the engine in line with the registers
+   */
+  materialize() {
+    const snapshots = new Map();
+    
+    this.registers.forEach((_, id) => {
+      const target = this.snapshotFromRegisters(id);
+      const current = this.engine.snapshotBlock(id);
+      if (!target && !current) return;
+      
+      if (!target || !current || !CollabSession.sameFields(target, current)) {
+        snapshots.set(id, target);
+      }
+    });
+    
+    if (snapshots.size > 0) {
+      this.engine.applyExternalChange(snapshots, { label: 'Remote change', source: 'remote' });
+    }
+  }
+
+  /**
+   * Compare two snapshots field by field (link and property order aside)
+   */
+  static sameFields(a, b) {
+    const fieldsA = CollabSession.fieldsOf(a);
+    const fieldsB = CollabSession.fieldsOf(b);
+    if (fieldsA.size !== fieldsB.size) return false;
+    
+    for (const [field, value] of fieldsA) {
+      if (!fieldsB.has(field) || !CollabSession.sameValue(value, fieldsB.get(field))) return false;
+    }
+    return true;
+  }
+}
+
+// Block fields that are single registers
+CollabSession.FIELDS = ['content', 'type', 'parentId', 'position', 'size', 'metadata', 'locked'];
+
+/**
+ * In-memory stand-in for a network, for tests and demos. Messages are
+ * JSON round-tripped (so they must be serializable) and delivered to every
+ * other connected transport asynchronously, or only when flush() is called
+ * if the hub was created with {autoFlush: false}.
+ */
+class InMemoryHub {
+  /**
+   * @param {object} options - {autoFlush (default true)}
+   */
+  constructor(options = {}) {
+    this.autoFlush = options.autoFlush ?? true;
+    this.transports = new Set();
+    this.queue = []; // [{to, payload}]
+  }
+
+  /**
+   * Create a transport attached to this hub
+   * @returns {InMemoryTransport} The transport
+   */
+  connect() {
+    const transport = new InMemoryTransport(this);
+    this.transports.add(transport);
+    return transport;
+  }
+
+  /**
+   * Queue a message for every transport except the sender
+   */
+  broadcast(from, message) {
+    const payload = JSON.stringify(message);
+    this.transports.forEach(to => {
+      if (to !== from) this.queue.push({ to, payload });
+    });
+    
+    if (this.autoFlush) {
+      setTimeout(() => this.flush(), 0);
+    }
+  }
+
+  /**
+   * Deliver queued messages, including any sent while delivering
+   * @param {object} options - {shuffle: true} to deliver in random order
+   * @returns {number} Number of messages delivered
+   */
+  flush(options = {}) {
+    let delivered = 0;
+    while (this.queue.length > 0) {
+      const index = options.shuffle ? Math.floor(Math.random() * this.queue.length) : 0;
+      const [{ to, payload }] = this.queue.splice(index, 1);
+      if (this.transports.has(to)) {
+        to.deliver(JSON.parse(payload));
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+}
+
+class InMemoryTransport {
+  constructor(hub) {
+    this.hub = hub;
+    this.handler = null;
+  }
+
+  send(message) {
+    if (this.hub) this.hub.broadcast(this, message);
+  }
+
+  onMessage(callback) {
+    this.handler = callback;
+  }
+
+  deliver(message) {
+    if (this.handler) this.handler(message);
+  }
+
+  close() {
+    if (!this.hub) return;
+    this.hub.transports.delete(this);
+    this.hub = null;
+  }
+}
+
+/**
+ * Transport over a WebSocket relay that forwards every message to the
+ * other clients in the same room (see blockRelay.js). Messages sent before
+ * the socket opens are queued.
+ */
+class WebSocketTransport {
+  /**
+   * @param {string|WebSocket} urlOrSocket - Relay URL (e.g. ws://localhost:8080/my-board) or an open socket
+   * @param {object} options - {WebSocket: implementation to use instead of the global one}
+   */
+  constructor(urlOrSocket, options = {}) {
+    const WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+    if (typeof urlOrSocket === 'string' && !WebSocketImpl) {
+      throw new Error('No WebSocket implementation available, pass options.WebSocket');
+    }
+    
+    this.socket = typeof urlOrSocket === 'string' ? new WebSocketImpl(urlOrSocket) : urlOrSocket;
+    this.handler = null;
+    this.outbox = [];
+    
+    this.socket.onopen = () => {
+      this.outbox.forEach(payload => this.socket.send(payload));
+      this.outbox = [];
+    };
+    this.socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return; // Not ours
+      }
+      if (this.handler) this.handler(message);
+    };
+  }
+
+  send(message) {
+    const payload = JSON.stringify(message);
+    if (this.socket.readyState === 1) {
+      this.socket.send(payload);
+    } else if (this.socket.readyState === 0) {
+      this.outbox.push(payload);
+    }
+  }
+
+  onMessage(callback) {
+    this.handler = callback;
+  }
+
+  close() {
+    this.outbox = [];
+    this.socket.close();
+  }
+}
+
+// Export for use in browsers and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CollabSession, InMemoryHub, InMemoryTransport, WebSocketTransport };
+}
@@ -27,8 +27,11 @@ class Block {
     this.content = content;
     this.type = type;
     this.links = new Map(); // Map of block IDs to link metadata
+    this.properties = new Map(); // Map of property keys to {type, value}
+    this.parentId = null; // ID of the frame this block sits in
     this.position = { x: 0, y: 0 }; // Position for free positioning
     this.size = { width: 250, height: 250 }; // Default size
+    this.locked = []; // Aspects that can't be edited, see BlockEngine.lockBlock()
     this.metadata = {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -40,6 +43,11 @@ class Block {
     this.metadata.updatedAt = new Date().toISOString();
   }
 
+  setType(type) {
+    this.type = type;
+    this.metadata.updatedAt = new Date().toISOString();
+  }
+
   setPosition(x, y) {
     this.position.x = x;
     this.position.y = y;
@@ -52,10 +60,11 @@ class Block {
     this.metadata.updatedAt = new Date().toISOString();
   }
 
-  addLink(blockId, linkType = 'single') {
+  addLink(blockId, linkType = 'single', details = {}) {
     this.links.set(blockId, {
       type: linkType,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+      ...details
     });
     this.metadata.updatedAt = new Date().toISOString();
   }
@@ -74,8 +83,37 @@ class Block {
     return link ? link.type : null;
   }
 
+  setProperty(key, value, type) {
+    this.properties.set(key, { type, value });
+    this.metadata.updatedAt = new Date().toISOString();
+  }
+
+  getProperty(key) {
+    const property = this.properties.get(key);
+    return property ? property.value : undefined;
+  }
+
+  getPropertyType(key) {
+    const property = this.properties.get(key);
+    return property ? property.type : null;
+  }
+
+  hasProperty(key) {
+    return this.properties.has(key);
+  }
+
+  removeProperty(key) {
+    this.properties.delete(key);
+    this.metadata.updatedAt = new Date().toISOString();
+  }
+
+  setParent(parentId) {
+    this.parentId = parentId;
+    this.metadata.updatedAt = new Date().toISOString();
+  }
+
   toJSON() {
-    return {
+    const data = {
       id: this.id,
       content: this.content,
       type: this.type,
@@ -83,421 +121,6721 @@ class Block {
         id,
         ...meta
       })),
+      properties: Object.fromEntries(this.properties),
+      parentId: this.parentId,
       position: this.position,
       size: this.size,
       metadata: this.metadata
     };
+    // Only locked blocks carry the field, so other exports stay as they were
+    if (this.locked.length > 0) data.locked = [...this.locked];
+    return data;
+  }
+
+  /**
+   * Rebuild a block from its toJSON() representation
+   * @param {object} data - Serialized block
+   * @returns {Block} The restored block
+   */
+  static fromJSON(data) {
+    const block = new Block(data.id, data.content, data.type);
+    (data.links || []).forEach(({ id, ...meta }) => {
+      block.links.set(id, meta);
+    });
+    Object.entries(data.properties || {}).forEach(([key, property]) => {
+      block.properties.set(key, { ...property });
+    });
+    block.parentId = data.parentId || null;
+    block.position = { ...data.position };
+    block.size = { ...data.size };
+    block.locked = Array.isArray(data.locked) ? [...data.locked] : [];
+    block.metadata = { ...data.metadata };
+    return block;
   }
 }
 
-class BlockEngine {
-  constructor() {
-    this.blocks = new Map();
-    this.eventListeners = new Map();
-    this.settings = {
-      gridSize: 20, // For snapping to grid
-      defaultSpacing: 300, // Default spacing between auto-positioned blocks
-      minBlockWidth: 150,
-      minBlockHeight: 100
+/**
+ * Undo/redo stack of recorded engine changes.
+ *
+ * Each entry holds before/after snapshots of every block it touched
+ * (null meaning "did not exist"), so undoing a change is just writing
+ * the "before" snapshots back.
+ */
+class CommandHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a new change and drop anything that could have been redone
+   * @param {object} entry - Change entry {label, blocks, settings}
+   */
+  push(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+    this.trim();
+  }
+
+  /**
+   * Drop the oldest entries above the configured limit
+   */
+  trim() {
+    while (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * Change the maximum number of undoable entries
+   * @param {number} limit - New history depth
+   */
+  setLimit(limit) {
+    this.limit = Math.max(0, limit);
+    this.trim();
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (entry) this.redoStack.push(entry);
+    return entry || null;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (entry) this.undoStack.push(entry);
+    return entry || null;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Describe the current history state (payload of 'historyChanged')
+   * @returns {object} State {canUndo, canRedo, undoLabel, redoLabel}
+   */
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null
     };
   }
+}
 
+/**
+ * The versioned export format: migrations for older files and validation.
+ *
+ * Version history:
+ * - 0: unversioned exports; links may be plain arrays of block IDs and
+ *      metadata, position or size may be missing
+ * - 1: explicit `version` field, links are {id, type, createdAt} objects
+ * - 2: blocks carry properties, parentId and locked; links may have a
+ *      label, weight, kind and attributes; the file lists its blockTypes
+ *      and linkKinds. Readers of version 1 don't know these fields.
+ */
+class BlockSchema {
   /**
-   * Create a new block
-   * @param {string} content - The content of the block
-   * @param {string} type - The type of block (default, note, task, etc.)
-   * @param {object} position - Optional position {x, y}
-   * @param {object} size - Optional size {width, height}
-   * @returns {Block} The created block
+   * Upgrade parsed export data to the current version.
+   * The input object is left untouched.
+   * @param {object} data - Parsed export data
+   * @returns {object} {data, warnings}
    */
-  createBlock(content = '', type = 'default', position = null, size = null) {
-    const id = this.generateId();
-    const block = new Block(id, content, type);
+  static migrate(data) {
+    const warnings = [];
+    const warn = (path, message) => warnings.push({ path, message });
     
-    // Set position
-    if (position) {
-      block.setPosition(position.x, position.y);
-    } else {
-      // Auto-position new blocks
-      const autoPos = this.getAutoPosition();
-      block.setPosition(autoPos.x, autoPos.y);
+    let migrated = JSON.parse(JSON.stringify(data));
+    let version = typeof migrated.version === 'number' ? migrated.version : 0;
+    
+    while (version < BlockSchema.VERSION) {
+      const migration = BlockSchema.migrations[version];
+      if (!migration) {
+        throw new Error(`No migration from format version ${version}`);
+      }
+      migrated = migration(migrated, warn);
+      version = migrated.version;
     }
     
-    // Set size
-    if (size) {
-      block.setSize(size.width, size.height);
+    return { data: migrated, warnings };
+  }
+
+  /**
+   * Check export data (already migrated) against the current format
+   * @param {object} data - Export data
+   * @param {object} options - {settings: current engine settings, used to recognize setting keys}
+   * @returns {object} {valid, errors, warnings}, each issue being {path, message}
+   */
+  static validate(data, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+    const result = () => ({ valid: errors.length === 0, errors, warnings });
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      error('', 'Expected an export object');
+      return result();
     }
     
-    this.blocks.set(id, block);
-    this.emit('blockCreated', block);
-    return block;
+    if (data.version > BlockSchema.VERSION) {
+      error('version', `Format version ${data.version} is newer than the supported version ${BlockSchema.VERSION}`);
+    }
+    
+    if (!Array.isArray(data.blocks)) {
+      error('blocks', 'Expected an array of blocks');
+      return result();
+    }
+    
+    // Blocks
+    const ids = new Set();
+    data.blocks.forEach((block, index) => {
+      const path = `blocks[${index}]`;
+      if (!block || typeof block !== 'object') {
+        error(path, 'Expected a block object');
+        return;
+      }
+      
+      if (typeof block.id !== 'string' || block.id.trim() === '') {
+        error(`${path}.id`, 'Block ID must be a non-empty string');
+      } else if (ids.has(block.id)) {
+        error(`${path}.id`, `Duplicate block ID "${block.id}"`);
+      } else {
+        ids.add(block.id);
+      }
+      
+      if (typeof block.content !== 'string') {
+        error(`${path}.content`, 'Content must be a string');
+      }
+      if (typeof block.type !== 'string' || block.type === '') {
+        error(`${path}.type`, 'Type must be a non-empty string');
+      }
+      
+      if (!block.position || !isNumber(block.position.x) || !isNumber(block.position.y)) {
+        error(`${path}.position`, 'Position must have numeric x and y');
+      }
+      if (!block.size || !isNumber(block.size.width) || !isNumber(block.size.height) ||
+          block.size.width <= 0 || block.size.height <= 0) {
+        error(`${path}.size`, 'Size must have positive numeric width and height');
+      }
+      
+      if (!Array.isArray(block.links)) {
+        error(`${path}.links`, 'Links must be an array');
+      }
+      
+      if (block.parentId !== undefined && block.parentId !== null && typeof block.parentId !== 'string') {
+        error(`${path}.parentId`, 'Parent ID must be a string or null');
+      }
+      
+      if (block.locked !== undefined &&
+          !(Array.isArray(block.locked) && block.locked.every(aspect => BlockSchema.LOCK_ASPECTS.includes(aspect)))) {
+        error(`${path}.locked`, `Locked must be an array of ${BlockSchema.LOCK_ASPECTS.join(', ')}`);
+      }
+      
+      if (!block.metadata || typeof block.metadata !== 'object') {
+        warn(`${path}.metadata`, 'Missing metadata, timestamps will be reset');
+      }
+      
+      if (block.properties !== undefined) {
+        if (!block.properties || typeof block.properties !== 'object' || Array.isArray(block.properties)) {
+          error(`${path}.properties`, 'Properties must be an object');
+        } else {
+          Object.entries(block.properties).forEach(([key, property]) => {
+            const propertyPath = `${path}.properties.${key}`;
+            if (!property || typeof property !== 'object') {
+              error(propertyPath, 'Property must be a {type, value} object');
+            } else if (!BlockSchema.PROPERTY_TYPES.includes(property.type)) {
+              error(`${propertyPath}.type`, `Unknown property type "${property.type}"`);
+            } else if (!BlockSchema.isPropertyValue(property.value, property.type)) {
+              error(`${propertyPath}.value`, `Value is not a valid ${property.type}`);
+            }
+          });
+        }
+      }
+    });
+    
+    // Links (need the full ID set first)
+    const linkTypes = new Map(); // "from->to" => type
+    data.blocks.forEach((block, index) => {
+      if (!block || !Array.isArray(block.links)) return;
+      
+      const seen = new Set();
+      block.links.forEach((link, linkIndex) => {
+        const path = `blocks[${index}].links[${linkIndex}]`;
+        if (!link || typeof link !== 'object' || typeof link.id !== 'string') {
+          error(path, 'Link must be an object with a string id');
+          return;
+        }
+        if (!BlockSchema.LINK_TYPES.includes(link.type)) {
+          error(`${path}.type`, `Unknown link type "${link.type}"`);
+        }
+        if (link.label !== undefined && typeof link.label !== 'string') {
+          error(`${path}.label`, 'Link label must be a string');
+        }
+        if (link.weight !== undefined && !isNumber(link.weight)) {
+          error(`${path}.weight`, 'Link weight must be a number');
+        }
+        if (link.kind !== undefined && (typeof link.kind !== 'string' || link.kind === '')) {
+          error(`${path}.kind`, 'Link kind must be a non-empty string');
+        }
+        if (link.attributes !== undefined &&
+            (!link.attributes || typeof link.attributes !== 'object' || Array.isArray(link.attributes))) {
+          error(`${path}.attributes`, 'Link attributes must be an object');
+        }
+        if (!ids.has(link.id)) {
+          warn(path, `Link to unknown block "${link.id}" will be dropped`);
+        }
+        if (link.id === block.id) {
+          warn(path, 'Block links to itself');
+        }
+        if (seen.has(link.id)) {
+          warn(path, `Duplicate link to "${link.id}", the last one wins`);
+        }
+        seen.add(link.id);
+        linkTypes.set(`${block.id}->${link.id}`, link.type);
+      });
+    });
+    
+    linkTypes.forEach((type, key) => {
+      if (type !== 'double') return;
+      const [from, to] = key.split('->');
+      if (ids.has(to) && linkTypes.get(`${to}->${from}`) !== 'double') {
+        warn(`links`, `Double link ${from} -> ${to} has no matching link back`);
+      }
+    });
+    
+    // Hierarchy
+    const parents = new Map(); // child ID => parent ID
+    data.blocks.forEach((block, index) => {
+      if (!block || typeof block.parentId !== 'string') return;
+      const path = `blocks[${index}].parentId`;
+      if (block.parentId === block.id) {
+        error(path, 'Block cannot be its own parent');
+      } else if (!ids.has(block.parentId)) {
+        warn(path, `Parent "${block.parentId}" is unknown, the block will be released`);
+      } else {
+        parents.set(block.id, block.parentId);
+      }
+    });
+    
+    const reported = new Set();
+    parents.forEach((_, start) => {
+      const chain = new Set([start]);
+      let current = parents.get(start);
+      while (current !== undefined && !chain.has(current)) {
+        chain.add(current);
+        current = parents.get(current);
+      }
+      if (current !== undefined && !reported.has(current)) {
+        chain.forEach(id => reported.add(id));
+        error('blocks', `Blocks containing "${current}" form a parent cycle`);
+      }
+    });
+    
+    // Block type registry
+    if (data.blockTypes !== undefined) {
+      if (!data.blockTypes || typeof data.blockTypes !== 'object' || Array.isArray(data.blockTypes)) {
+        warn('blockTypes', 'Block type registry must be an object, it will be ignored');
+      } else {
+        Object.entries(data.blockTypes).forEach(([name, definition]) => {
+          const size = definition && definition.defaultSize;
+          if (!definition || typeof definition !== 'object') {
+            warn(`blockTypes.${name}`, `Definition of type "${name}" must be an object`);
+          } else if (size && (!isNumber(size.width) || !isNumber(size.height))) {
+            warn(`blockTypes.${name}.defaultSize`, 'Default size must have numeric width and height');
+          }
+        });
+      }
+    }
+    
+    // Link kind registry
+    if (data.linkKinds !== undefined &&
+        (!data.linkKinds || typeof data.linkKinds !== 'object' || Array.isArray(data.linkKinds))) {
+      warn('linkKinds', 'Link kind registry must be an object, it will be ignored');
+    }
+    
+    // Settings
+    if (data.settings !== undefined) {
+      if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+        error('settings', 'Settings must be an object');
+      } else {
+        const known = options.settings || {};
+        Object.keys(data.settings).forEach(key => {
+          if (!(key in known)) {
+            warn(`settings.${key}`, `Unknown setting "${key}" will be ignored`);
+          } else if (typeof known[key] === 'number' && !isNumber(data.settings[key])) {
+            error(`settings.${key}`, `Setting "${key}" must be a number`);
+          }
+        });
+      }
+    }
+    
+    return result();
   }
 
   /**
-   * Get auto-position for new blocks
-   * @returns {object} Position {x, y}
+   * Check a property value against its declared type
+   * @param {*} value - Property value
+   * @param {string} type - One of BlockSchema.PROPERTY_TYPES
+   * @returns {boolean} Whether the value fits the type
    */
-  getAutoPosition() {
-    const blocks = this.getAllBlocks();
-    if (blocks.length === 0) {
-      return { x: 50, y: 50 };
+  static isPropertyValue(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'date':
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+      case 'url':
+        return typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\S+$/i.test(value);
+      default:
+        return false;
     }
+  }
+
+  /**
+   * Guess the property type for a value
+   * @param {*} value - Property value
+   * @returns {string} Property type
+   */
+  static inferPropertyType(value) {
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'string';
+  }
+}
+
+BlockSchema.VERSION = 2;
+
+// Value types a block property can have
+BlockSchema.PROPERTY_TYPES = ['string', 'number', 'boolean', 'date', 'url'];
+
+// Link types as stored on blocks ('reverse' is only an input to linkBlocks)
+BlockSchema.LINK_TYPES = ['single', 'double'];
+
+// Parts of a block that can be locked, see BlockEngine.lockBlock()
+BlockSchema.LOCK_ASPECTS = ['position', 'size', 'content', 'links'];
+
+// Migrations keyed by the version they upgrade from
+BlockSchema.migrations = {
+  0: (data, warn) => {
+    const now = new Date().toISOString();
     
-    // Find rightmost block
-    let maxX = 0;
-    let maxY = 50;
+    (Array.isArray(data.blocks) ? data.blocks : []).forEach((block, index) => {
+      if (!block || typeof block !== 'object') return;
+      const path = `blocks[${index}]`;
+      
+      if (block.content === undefined) block.content = '';
+      if (block.type === undefined) block.type = 'default';
+      
+      // Links used to be a plain array of target IDs
+      if (Array.isArray(block.links)) {
+        block.links = block.links.map(link => {
+          if (typeof link === 'string') {
+            return { id: link, type: 'single', createdAt: now };
+          }
+          if (link && typeof link === 'object' && link.type === undefined) {
+            return { ...link, type: 'single' };
+          }
+          return link;
+        });
+      } else if (block.links === undefined) {
+        block.links = [];
+      }
+      
+      if (!block.position) {
+        block.position = { x: 0, y: 0 };
+        warn(`${path}.position`, 'Missing position, placed at 0,0');
+      }
+      if (!block.size) {
+        block.size = { width: 250, height: 150 };
+      }
+      if (!block.metadata) {
+        block.metadata = { createdAt: now, updatedAt: now };
+      }
+    });
+    
+    data.version = 1;
+    return data;
+  },
+  
+  // Everything version 2 added is optional, so version 1 files only need the defaults
+  1: (data) => {
+    (Array.isArray(data.blocks) ? data.blocks : []).forEach(block => {
+      if (!block || typeof block !== 'object') return;
+      if (block.properties === undefined) block.properties = {};
+      if (block.parentId === undefined) block.parentId = null;
+    });
+    
+    data.version = 2;
+    return data;
+  }
+};
+
+/**
+ * Graph queries over an engine's blocks and links, available as `engine.graph`.
+ *
+ * Every link is a directed edge from the block that holds it to its target;
+ * 'double' links are edges in both directions. All queries accept
+ * options.filter (block => boolean) to restrict the blocks taken into
+ * account and options.linkFilter ((link, fromId, toId) => boolean) to
+ * restrict the links.
+ */
+class BlockGraph {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * The links between the given blocks as the exporters write them: one
+   * edge per stored link, a double link once per pair
+   * @param {Array} blocks - Blocks to export
+   * @returns {Array} Edges {from, to, type, ...details}
+   */
+  static edgesOf(blocks) {
+    const included = new Set(blocks.map(block => block.id));
+    const pairs = new Set();
+    const edges = [];
     
     blocks.forEach(block => {
-      if (block.position.x > maxX) {
-        maxX = block.position.x;
-        maxY = block.position.y;
+      block.links.forEach(({ type, createdAt, ...details }, targetId) => {
+        if (!included.has(targetId)) return;
+        if (type !== 'double') {
+          edges.push({ from: block.id, to: targetId, type, ...details });
+          return;
+        }
+        
+        const key = BlockDiff.pairKey(block.id, targetId);
+        if (pairs.has(key)) return;
+        pairs.add(key);
+        const [from, to] = JSON.parse(key);
+        edges.push({ from, to, type, ...details });
+      });
+    });
+    
+    return edges;
+  }
+
+  /**
+   * Build the adjacency lists for the current engine state
+   * @param {object} options - {filter, linkFilter}
+   * @returns {object} {nodes: Array of IDs, out: Map id => Map(targetId => weight), in: Map id => Set}
+   */
+  buildAdjacency(options = {}) {
+    const { filter = null, linkFilter = null } = options;
+    const blocks = this.engine.getAllBlocks().filter(block => !filter || filter(block));
+    const nodes = blocks.map(block => block.id);
+    const included = new Set(nodes);
+    const outgoing = new Map(nodes.map(id => [id, new Map()]));
+    const incoming = new Map(nodes.map(id => [id, new Set()]));
+    
+    const addEdge = (from, to, weight) => {
+      if (!outgoing.get(from).has(to)) {
+        outgoing.get(from).set(to, weight);
+        incoming.get(to).add(from);
       }
+    };
+    
+    blocks.forEach(block => {
+      block.links.forEach((link, targetId) => {
+        if (!included.has(targetId)) return;
+        if (linkFilter && !linkFilter(link, block.id, targetId)) return;
+        
+        const weight = typeof link.weight === 'number' ? link.weight : 1;
+        addEdge(block.id, targetId, weight);
+        if (link.type === 'double') {
+          addEdge(targetId, block.id, weight);
+        }
+      });
     });
     
-    // Place new block to the right
-    return { 
-      x: maxX + this.settings.defaultSpacing, 
-      y: maxY 
+    return { nodes, out: outgoing, in: incoming };
+  }
+
+  /**
+   * Shortest path between two blocks
+   * @param {string} fromId - Start block ID
+   * @param {string} toId - End block ID
+   * @param {object} options - {weighted: use link weights (default false), directed: follow link
+   *   direction (default true), filter, linkFilter}
+   * @returns {object|null} {path: Array of IDs, distance} or null if unreachable
+   */
+  shortestPath(fromId, toId, options = {}) {
+    const { weighted = false, directed = true } = options;
+    const graph = this.buildAdjacency(options);
+    if (!graph.out.has(fromId) || !graph.out.has(toId)) return null;
+    
+    const neighbors = id => {
+      const result = new Map(graph.out.get(id));
+      if (!directed) {
+        graph.in.get(id).forEach(sourceId => {
+          if (!result.has(sourceId)) result.set(sourceId, graph.out.get(sourceId).get(id));
+        });
+      }
+      return result;
     };
+    
+    const distances = new Map([[fromId, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+    const queue = [fromId];
+    
+    while (queue.length > 0) {
+      let current;
+      if (weighted) {
+        // Dijkstra: take the closest unvisited block (boards are small enough for a linear scan)
+        let bestIndex = 0;
+        queue.forEach((id, index) => {
+          if (distances.get(id) < distances.get(queue[bestIndex])) bestIndex = index;
+        });
+        current = queue.splice(bestIndex, 1)[0];
+      } else {
+        current = queue.shift();
+      }
+      
+      if (visited.has(current)) continue;
+      visited.add(current);
+      if (current === toId) break;
+      
+      neighbors(current).forEach((weight, next) => {
+        const step = weighted ? weight : 1;
+        if (step < 0) {
+          throw new Error(`Negative link weight between "${current}" and "${next}"`);
+        }
+        const distance = distances.get(current) + step;
+        if (!distances.has(next) || distance < distances.get(next)) {
+          distances.set(next, distance);
+          previous.set(next, current);
+          queue.push(next);
+        }
+      });
+    }
+    
+    if (!distances.has(toId)) return null;
+    
+    const path = [toId];
+    while (path[0] !== fromId) {
+      path.unshift(previous.get(path[0]));
+    }
+    return { path, distance: distances.get(toId) };
+  }
+
+  /**
+   * Blocks reachable from a block
+   * @param {string} fromId - Start block ID
+   * @param {object} options - {maxHops (default Infinity), direction: 'out' (default), 'in' or
+   *   'both', filter, linkFilter}
+   * @returns {Array} IDs of reachable blocks (the start block excluded), closest first
+   */
+  reachable(fromId, options = {}) {
+    const { maxHops = Infinity, direction = 'out' } = options;
+    const graph = this.buildAdjacency(options);
+    if (!graph.out.has(fromId)) return [];
+    
+    const hops = new Map([[fromId, 0]]);
+    const queue = [fromId];
+    const result = [];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (hops.get(current) >= maxHops) continue;
+      
+      const next = [];
+      if (direction === 'out' || direction === 'both') next.push(...graph.out.get(current).keys());
+      if (direction === 'in' || direction === 'both') next.push(...graph.in.get(current));
+      
+      next.forEach(id => {
+        if (hops.has(id)) return;
+        hops.set(id, hops.get(current) + 1);
+        result.push(id);
+        queue.push(id);
+      });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Find cycles: each entry lists the blocks of one strongly connected group
+   * that loops back on itself (a block linking to itself counts too). A
+   * double link between two blocks is such a group.
+   * @param {object} options - {filter, linkFilter}
+   * @returns {Array} Array of arrays of block IDs
+   */
+  findCycles(options = {}) {
+    const graph = this.buildAdjacency(options);
+    return this.stronglyConnected(graph).filter(group =>
+      group.length > 1 || graph.out.get(group[0]).has(group[0])
+    );
+  }
+
+  /**
+   * Strongly connected components (Tarjan), iterative to cope with long chains
+   * @param {object} graph - Result of buildAdjacency()
+   * @returns {Array} Array of arrays of block IDs
+   */
+  stronglyConnected(graph) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const groups = [];
+    let counter = 0;
+    
+    graph.nodes.forEach(root => {
+      if (index.has(root)) return;
+      
+      const work = [{ id: root, targets: Array.from(graph.out.get(root).keys()), next: 0 }];
+      index.set(root, counter);
+      lowLink.set(root, counter);
+      counter++;
+      stack.push(root);
+      onStack.add(root);
+      
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        
+        if (frame.next < frame.targets.length) {
+          const target = frame.targets[frame.next++];
+          if (!index.has(target)) {
+            index.set(target, counter);
+            lowLink.set(target, counter);
+            counter++;
+            stack.push(target);
+            onStack.add(target);
+            work.push({ id: target, targets: Array.from(graph.out.get(target).keys()), next: 0 });
+          } else if (onStack.has(target)) {
+            lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)));
+          }
+          continue;
+        }
+        
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].id;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+        }
+        
+        if (lowLink.get(frame.id) === index.get(frame.id)) {
+          const group = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            group.push(member);
+          } while (member !== frame.id);
+          groups.push(group.reverse());
+        }
+      }
+    });
+    
+    return groups;
+  }
+
+  /**
+   * Connected components, ignoring link direction
+   * @param {object} options - {filter, linkFilter}
+   * @returns {Array} Array of arrays of block IDs, largest first
+   */
+  connectedComponents(options = {}) {
+    const graph = this.buildAdjacency(options);
+    const seen = new Set();
+    const components = [];
+    
+    graph.nodes.forEach(start => {
+      if (seen.has(start)) return;
+      
+      const component = [];
+      const queue = [start];
+      seen.add(start);
+      while (queue.length > 0) {
+        const current = queue.shift();
+        component.push(current);
+        [...graph.out.get(current).keys(), ...graph.in.get(current)].forEach(id => {
+          if (!seen.has(id)) {
+            seen.add(id);
+            queue.push(id);
+          }
+        });
+      }
+      components.push(component);
+    });
+    
+    return components.sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Topological order of the blocks (Kahn's algorithm). Double links say
+   * two blocks belong together, not which comes first, so they are left
+   * out of the ordering; only single links count.
+   * @param {object} options - {filter, linkFilter}
+   * @returns {object} {order: Array of IDs, complete: boolean, cycles: Array of arrays of IDs}.
+   *   When single links form a cycle, order holds every block that could be
+   *   placed and cycles lists what blocked the rest.
+   */
+  topologicalSort(options = {}) {
+    const { linkFilter = null } = options;
+    options = {
+      ...options,
+      linkFilter: (link, fromId, toId) => link.type !== 'double' && (!linkFilter || linkFilter(link, fromId, toId))
+    };
+    const graph = this.buildAdjacency(options);
+    const remaining = new Map(graph.nodes.map(id => [id, graph.in.get(id).size]));
+    const queue = graph.nodes.filter(id => remaining.get(id) === 0);
+    const order = [];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order.push(current);
+      graph.out.get(current).forEach((weight, target) => {
+        remaining.set(target, remaining.get(target) - 1);
+        if (remaining.get(target) === 0) queue.push(target);
+      });
+    }
+    
+    const complete = order.length === graph.nodes.length;
+    return {
+      order,
+      complete,
+      cycles: complete ? [] : this.findCycles(options)
+    };
+  }
+}
+
+/**
+ * Automatic layouts, available as `engine.layout`. Each layout returns a
+ * Map of block ID to the new {x, y}; BlockEngine.arrangeBlocks() applies
+ * it (snapping to the grid) as a single change. Only top-level blocks are
+ * arranged; blocks inside a frame move with it.
+ */
+class BlockLayout {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Fixed grid in insertion order
+   * @param {object} options - {columns (default 3), spacing (default settings.defaultSpacing)}
+   * @returns {Map} Block ID => {x, y}
+   */
+  grid(options = {}) {
+    const { columns = 3, spacing = this.engine.settings.defaultSpacing } = options;
+    const startX = 50;
+    const startY = 50;
+    const positions = new Map();
+    
+    this.engine.getRootBlocks().forEach((block, index) => {
+      const col = index % columns;
+      const row = Math.floor(index / columns);
+      
+      positions.set(block.id, {
+        x: startX + (col * spacing),
+        y: startY + (row * spacing)
+      });
+    });
+    
+    return positions;
+  }
+
+  /**
+   * Force-directed layout: linked blocks attract, all blocks repel, and
+   * overlaps are removed afterwards using each block's real size. Starts
+   * from the current positions, so running it again refines the result.
+   * @param {object} options - Layout options
+   * @param {number} options.iterations - Simulation steps (default 300)
+   * @param {number} options.spacing - Preferred gap between linked blocks (default 80)
+   * @param {Array} options.pinned - IDs of blocks that stay where they are
+   * @returns {Map} Block ID => {x, y}
+   */
+  force(options = {}) {
+    const { iterations = 300, spacing = 80, pinned = [] } = options;
+    const blocks = this.engine.getRootBlocks();
+    const pinnedIds = new Set(pinned);
+    const padding = Math.max(this.engine.settings.gridSize, spacing / 2);
+    
+    // Work with block centers
+    const nodes = blocks.map((block, index) => ({
+      id: block.id,
+      x: block.position.x + block.size.width / 2,
+      y: block.position.y + block.size.height / 2,
+      width: block.size.width,
+      height: block.size.height,
+      radius: Math.max(block.size.width, block.size.height) / 2,
+      pinned: pinnedIds.has(block.id),
+      index
+    }));
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    
+    // Undirected edges, one per linked pair
+    const edges = [];
+    const seen = new Set();
+    blocks.forEach(block => {
+      block.links.forEach((link, targetId) => {
+        const key = [block.id, targetId].sort().join('|');
+        if (targetId !== block.id && byId.has(targetId) && !seen.has(key)) {
+          seen.add(key);
+          edges.push([byId.get(block.id), byId.get(targetId)]);
+        }
+      });
+    });
+    
+    // Blocks stacked on the same spot get spread on a circle first
+    nodes.forEach(node => {
+      const twin = nodes.find(other => other.index < node.index && other.x === node.x && other.y === node.y);
+      if (twin && !node.pinned) {
+        const angle = node.index * 2.39996; // Golden angle keeps the spread deterministic
+        node.x += Math.cos(angle) * (node.radius + spacing);
+        node.y += Math.sin(angle) * (node.radius + spacing);
+      }
+    });
+    
+    const idealLength = (a, b) => a.radius + b.radius + spacing;
+    const gravity = 0.5;
+    let temperature = nodes.reduce((max, node) => Math.max(max, node.radius), 0) + spacing;
+    const cooling = temperature / (iterations + 1);
+    
+    for (let step = 0; step < iterations; step++) {
+      const forces = nodes.map(() => ({ x: 0, y: 0 }));
+      
+      // Repulsion between every pair
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = nodes[i];
+          const b = nodes[j];
+          let dx = a.x - b.x;
+          let dy = a.y - b.y;
+          let distance = Math.sqrt(dx * dx + dy * dy);
+          if (distance < 0.01) {
+            dx = Math.cos(i + j);
+            dy = Math.sin(i + j);
+            distance = 1;
+          }
+          const k = idealLength(a, b);
+          const force = (k * k) / distance;
+          forces[i].x += (dx / distance) * force;
+          forces[i].y += (dy / distance) * force;
+          forces[j].x -= (dx / distance) * force;
+          forces[j].y -= (dy / distance) * force;
+        }
+      }
+      
+      // Attraction along links
+      edges.forEach(([a, b]) => {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+        const force = (distance * distance) / idealLength(a, b);
+        forces[a.index].x -= (dx / distance) * force;
+        forces[a.index].y -= (dy / distance) * force;
+        forces[b.index].x += (dx / distance) * force;
+        forces[b.index].y += (dy / distance) * force;
+      });
+      
+      // Gentle pull towards the middle keeps unlinked blocks from drifting away
+      const centerX = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+      const centerY = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+      nodes.forEach(node => {
+        forces[node.index].x += (centerX - node.x) * gravity;
+        forces[node.index].y += (centerY - node.y) * gravity;
+      });
+      
+      // Move, limited by the current temperature
+      nodes.forEach(node => {
+        if (node.pinned) return;
+        const force = forces[node.index];
+        const magnitude = Math.sqrt(force.x * force.x + force.y * force.y);
+        if (magnitude === 0) return;
+        const move = Math.min(magnitude, temperature);
+        node.x += (force.x / magnitude) * move;
+        node.y += (force.y / magnitude) * move;
+      });
+      
+      temperature -= cooling;
+    }
+    
+    this.removeOverlaps(nodes, padding);
+    
+    // Without pinned blocks the result can be moved back to the top-left corner
+    if (pinnedIds.size === 0 && nodes.length > 0) {
+      const minX = Math.min(...nodes.map(node => node.x - node.width / 2));
+      const minY = Math.min(...nodes.map(node => node.y - node.height / 2));
+      nodes.forEach(node => {
+        node.x += 50 - minX;
+        node.y += 50 - minY;
+      });
+    }
+    
+    return new Map(nodes.filter(node => !node.pinned).map(node => [node.id, {
+      x: node.x - node.width / 2,
+      y: node.y - node.height / 2
+    }]));
+  }
+
+  /**
+   * Layered layout for directed graphs: blocks are ranked so links point
+   * downwards (or rightwards), layers are reordered to reduce crossings
+   * and then spaced using the real block sizes. Cycles are broken by
+   * temporarily reversing one link of each; a 'double' link is treated
+   * as a single edge.
+   * @param {object} options - Layout options
+   * @param {string} options.direction - 'TB' (top to bottom, default) or 'LR' (left to right)
+   * @param {number} options.layerSpacing - Gap between layers (default 80)
+   * @param {number} options.nodeSpacing - Gap between blocks in a layer (default 40)
+   * @param {number} options.sweeps - Crossing reduction passes (default 8)
+   * @returns {Map} Block ID => {x, y}
+   */
+  layered(options = {}) {
+    const { direction = 'TB', layerSpacing = 80, nodeSpacing = 40, sweeps = 8 } = options;
+    if (direction !== 'TB' && direction !== 'LR') {
+      throw new Error(`Unknown layout direction "${direction}"`);
+    }
+    const horizontal = direction === 'LR';
+    const blocks = this.engine.getRootBlocks();
+    if (blocks.length === 0) return new Map();
+    
+    // Size along the layer ("breadth") and across it ("depth")
+    const nodes = new Map(blocks.map(block => [block.id, {
+      id: block.id,
+      breadth: horizontal ? block.size.height : block.size.width,
+      depth: horizontal ? block.size.width : block.size.height,
+      dummy: false
+    }]));
+    
+    const edges = this.layerEdges(blocks);
+    const ranks = this.assignRanks(blocks.map(block => block.id), edges);
+    const layers = this.buildLayers(nodes, edges, ranks);
+    this.reduceCrossings(layers, sweeps);
+    
+    // Position across layers
+    let offset = 50;
+    const layerOffsets = layers.map(layer => {
+      const thickness = Math.max(0, ...layer.nodes.map(node => node.depth));
+      const start = offset;
+      offset += thickness + layerSpacing;
+      return start;
+    });
+    
+    // Position along layers
+    this.assignLayerCoordinates(layers, nodeSpacing);
+    
+    const positions = new Map();
+    const minAlong = Math.min(...layers.flatMap(layer => layer.nodes.map(node => node.pos - node.breadth / 2)));
+    layers.forEach((layer, rank) => {
+      layer.nodes.forEach(node => {
+        if (node.dummy) return;
+        const along = node.pos - node.breadth / 2 - minAlong + 50;
+        const across = layerOffsets[rank];
+        positions.set(node.id, horizontal ? { x: across, y: along } : { x: along, y: across });
+      });
+    });
+    
+    return positions;
+  }
+
+  /**
+   * Directed edges for the layered layout, with cycles broken by reversing
+   * the links that close them (depth-first back edges)
+   * @param {Array} blocks - All blocks
+   * @returns {Array} Array of [fromId, toId] with no cycles
+   */
+  layerEdges(blocks) {
+    const out = new Map(blocks.map(block => [block.id, []]));
+    const seen = new Set();
+    
+    blocks.forEach(block => {
+      block.links.forEach((link, targetId) => {
+        if (targetId === block.id || !out.has(targetId)) return;
+        const key = link.type === 'double' ? [block.id, targetId].sort().join('|') : `${block.id}>${targetId}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        out.get(block.id).push(targetId);
+      });
+    });
+    
+    const state = new Map(); // undefined = new, 1 = on the DFS path, 2 = done
+    const edges = [];
+    
+    out.forEach((targets, root) => {
+      if (state.has(root)) return;
+      const stack = [{ id: root, next: 0 }];
+      state.set(root, 1);
+      
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const targets = out.get(frame.id);
+        
+        if (frame.next >= targets.length) {
+          state.set(frame.id, 2);
+          stack.pop();
+          continue;
+        }
+        
+        const target = targets[frame.next++];
+        if (state.get(target) === 1) {
+          edges.push([target, frame.id]); // Back edge: reverse it
+        } else {
+          edges.push([frame.id, target]);
+          if (!state.has(target)) {
+            state.set(target, 1);
+            stack.push({ id: target, next: 0 });
+          }
+        }
+      }
+    });
+    
+    // Two links between the same pair collapse into one edge
+    const unique = new Map(edges.map(([from, to]) => [`${from}>${to}`, [from, to]]));
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Longest-path ranking: every block sits one layer below its lowest predecessor
+   * @param {Array} ids - Block IDs
+   * @param {Array} edges - Acyclic [fromId, toId] edges
+   * @returns {Map} Block ID => rank
+   */
+  assignRanks(ids, edges) {
+    const incoming = new Map(ids.map(id => [id, 0]));
+    const out = new Map(ids.map(id => [id, []]));
+    edges.forEach(([from, to]) => {
+      out.get(from).push(to);
+      incoming.set(to, incoming.get(to) + 1);
+    });
+    
+    const ranks = new Map(ids.map(id => [id, 0]));
+    const queue = ids.filter(id => incoming.get(id) === 0);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      out.get(current).forEach(target => {
+        ranks.set(target, Math.max(ranks.get(target), ranks.get(current) + 1));
+        incoming.set(target, incoming.get(target) - 1);
+        if (incoming.get(target) === 0) queue.push(target);
+      });
+    }
+    
+    return ranks;
+  }
+
+  /**
+   * Group nodes into layers, splitting links that span several layers
+   * with zero-size dummy nodes so crossing reduction can route them
+   * @param {Map} nodes - Block ID => node
+   * @param {Array} edges - Acyclic [fromId, toId] edges
+   * @param {Map} ranks - Block ID => rank
+   * @returns {Array} Layers: {nodes, up: Map node => Array of nodes above, down: same below}
+   */
+  buildLayers(nodes, edges, ranks) {
+    const layerCount = Math.max(...ranks.values()) + 1;
+    const layers = Array.from({ length: layerCount }, () => ({ nodes: [] }));
+    const up = new Map();
+    const down = new Map();
+    const connect = (a, b) => {
+      down.get(a).push(b);
+      up.get(b).push(a);
+    };
+    const add = (node, rank) => {
+      layers[rank].nodes.push(node);
+      up.set(node, []);
+      down.set(node, []);
+    };
+    
+    nodes.forEach((node, id) => add(node, ranks.get(id)));
+    
+    let dummyCount = 0;
+    edges.forEach(([fromId, toId]) => {
+      let previous = nodes.get(fromId);
+      for (let rank = ranks.get(fromId) + 1; rank < ranks.get(toId); rank++) {
+        const dummy = { id: `dummy_${dummyCount++}`, breadth: 0, depth: 0, dummy: true };
+        add(dummy, rank);
+        connect(previous, dummy);
+        previous = dummy;
+      }
+      connect(previous, nodes.get(toId));
+    });
+    
+    layers.forEach(layer => {
+      layer.up = up;
+      layer.down = down;
+    });
+    return layers;
+  }
+
+  /**
+   * Barycenter heuristic: alternately sweep down and up, ordering each
+   * layer by the average position of its neighbors in the previous one,
+   * and keep the ordering with the fewest crossings
+   * @param {Array} layers - Layers from buildLayers()
+   * @param {number} sweeps - Number of passes
+   */
+  reduceCrossings(layers, sweeps) {
+    const snapshot = () => layers.map(layer => layer.nodes.slice());
+    let best = snapshot();
+    let bestCrossings = this.countCrossings(layers);
+    
+    for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+      const downward = sweep % 2 === 0;
+      const order = downward ? layers.map((_, i) => i).slice(1) : layers.map((_, i) => i).reverse().slice(1);
+      
+      order.forEach(rank => {
+        const fixed = layers[downward ? rank - 1 : rank + 1].nodes;
+        const index = new Map(fixed.map((node, i) => [node, i]));
+        const neighbors = downward ? layers[rank].up : layers[rank].down;
+        
+        const barycenters = new Map(layers[rank].nodes.map((node, i) => {
+          const adjacent = neighbors.get(node).filter(n => index.has(n));
+          const value = adjacent.length > 0
+            ? adjacent.reduce((sum, n) => sum + index.get(n), 0) / adjacent.length
+            : i; // Unconnected nodes keep their place
+          return [node, value];
+        }));
+        
+        layers[rank].nodes.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+      });
+      
+      const crossings = this.countCrossings(layers);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = snapshot();
+      }
+    }
+    
+    layers.forEach((layer, rank) => { layer.nodes = best[rank]; });
+  }
+
+  /**
+   * Count edge crossings between consecutive layers
+   * @param {Array} layers - Layers from buildLayers()
+   * @returns {number} Number of crossings
+   */
+  countCrossings(layers) {
+    let crossings = 0;
+    
+    for (let rank = 0; rank < layers.length - 1; rank++) {
+      const lower = new Map(layers[rank + 1].nodes.map((node, i) => [node, i]));
+      const segments = [];
+      layers[rank].nodes.forEach((node, i) => {
+        layers[rank].down.get(node).forEach(target => {
+          if (lower.has(target)) segments.push([i, lower.get(target)]);
+        });
+      });
+      
+      for (let a = 0; a < segments.length; a++) {
+        for (let b = a + 1; b < segments.length; b++) {
+          const [a1, a2] = segments[a];
+          const [b1, b2] = segments[b];
+          if ((a1 - b1) * (a2 - b2) < 0) crossings++;
+        }
+      }
+    }
+    
+    return crossings;
+  }
+
+  /**
+   * Place nodes along their layer: pack them in order, then repeatedly
+   * pull each node towards the average position of its neighbors while
+   * keeping the order and the minimum gap
+   * @param {Array} layers - Ordered layers
+   * @param {number} gap - Minimum gap between neighbors in a layer
+   */
+  assignLayerCoordinates(layers, gap) {
+    layers.forEach(layer => {
+      let cursor = 0;
+      layer.nodes.forEach(node => {
+        node.pos = cursor + node.breadth / 2;
+        cursor += node.breadth + gap;
+      });
+    });
+    
+    for (let pass = 0; pass < 6; pass++) {
+      const downward = pass % 2 === 0;
+      const order = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+      
+      order.forEach(layer => {
+        const neighbors = downward ? layer.up : layer.down;
+        const desired = layer.nodes.map(node => {
+          const adjacent = neighbors.get(node);
+          return adjacent.length > 0
+            ? adjacent.reduce((sum, n) => sum + n.pos, 0) / adjacent.length
+            : node.pos;
+        });
+        
+        // Left to right: never closer than the gap to the previous node
+        layer.nodes.forEach((node, i) => {
+          node.pos = desired[i];
+          if (i > 0) {
+            const previous = layer.nodes[i - 1];
+            node.pos = Math.max(node.pos, previous.pos + (previous.breadth + node.breadth) / 2 + gap);
+          }
+        });
+        
+        // Shift the layer back so it is centered on where it wanted to be
+        const shift = desired.reduce((sum, value, i) => sum + value - layer.nodes[i].pos, 0) / layer.nodes.length;
+        layer.nodes.forEach(node => { node.pos += shift; });
+      });
+    }
+  }
+
+  /**
+   * Push overlapping rectangles apart along the axis of least overlap.
+   * Pinned nodes never move.
+   * @param {Array} nodes - Nodes with center x/y, width, height and pinned
+   * @param {number} padding - Minimum gap to keep between blocks
+   */
+  removeOverlaps(nodes, padding) {
+    for (let pass = 0; pass < 100; pass++) {
+      let moved = false;
+      
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = nodes[i];
+          const b = nodes[j];
+          if (a.pinned && b.pinned) continue;
+          
+          const overlapX = (a.width + b.width) / 2 + padding - Math.abs(a.x - b.x);
+          const overlapY = (a.height + b.height) / 2 + padding - Math.abs(a.y - b.y);
+          if (overlapX <= 0 || overlapY <= 0) continue;
+          
+          // Share the push between both blocks unless one is pinned
+          const shareA = a.pinned ? 0 : (b.pinned ? 1 : 0.5);
+          const shareB = 1 - shareA;
+          
+          if (overlapX < overlapY) {
+            const direction = a.x < b.x || (a.x === b.x && i < j) ? -1 : 1;
+            a.x += direction * overlapX * shareA;
+            b.x -= direction * overlapX * shareB;
+          } else {
+            const direction = a.y < b.y || (a.y === b.y && i < j) ? -1 : 1;
+            a.y += direction * overlapY * shareA;
+            b.y -= direction * overlapY * shareB;
+          }
+          moved = true;
+        }
+      }
+      
+      if (!moved) break;
+    }
+  }
+}
+
+/**
+ * Inverted index over block content, available as `engine.searchIndex`.
+ *
+ * The index follows the engine's events, so it is always current: blocks
+ * are (re)indexed on blockCreated/blockUpdated, dropped on blockDeleted,
+ * and every 'changed' event (undo, redo, import) is applied as well.
+ * Queries are words plus optional field filters:
+ *
+ *   design review type:task linked:block_123 created:>2025-08-01
+ */
+class BlockSearchIndex {
+  constructor(engine) {
+    this.engine = engine;
+    this.terms = new Map(); // term => Map of block ID => Array of [start, end]
+    this.documents = new Map(); // block ID => {content, terms: Set}
+    
+    engine.on('blockCreated', block => this.indexBlock(block));
+    engine.on('blockUpdated', block => this.indexBlock(block));
+    engine.on('blockDeleted', ({ id }) => this.removeBlock(id));
+    engine.on('changed', ({ added, updated, removed }) => {
+      removed.forEach(id => this.removeBlock(id));
+      [...added, ...updated].forEach(id => {
+        const block = engine.getBlock(id);
+        if (block) this.indexBlock(block);
+      });
+    });
+    
+    this.rebuild();
+  }
+
+  /**
+   * Split text into lowercase words with their offsets
+   * @param {string} text - Text to split
+   * @returns {Array} Array of {term, start, end}
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}_]+/gu;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Edit distance between two words (swapping two neighboring letters
+   * counts as one edit), giving up once it exceeds max
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 if it is larger than max
+   */
+  static editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Index every block from scratch
+   */
+  rebuild() {
+    this.terms.clear();
+    this.documents.clear();
+    this.engine.getAllBlocks().forEach(block => this.indexBlock(block));
+  }
+
+  /**
+   * Add a block to the index, replacing what was indexed for it before
+   * @param {Block} block - The block
+   */
+  indexBlock(block) {
+    const existing = this.documents.get(block.id);
+    if (existing && existing.content === block.content) return;
+    if (existing) this.removeBlock(block.id);
+    
+    const terms = new Set();
+    BlockSearchIndex.tokenize(block.content).forEach(({ term, start, end }) => {
+      if (!this.terms.has(term)) this.terms.set(term, new Map());
+      const postings = this.terms.get(term);
+      if (!postings.has(block.id)) postings.set(block.id, []);
+      postings.get(block.id).push([start, end]);
+      terms.add(term);
+    });
+    
+    this.documents.set(block.id, { content: block.content, terms });
+  }
+
+  /**
+   * Remove a block from the index
+   * @param {string} id - The block ID
+   */
+  removeBlock(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+    
+    document.terms.forEach(term => {
+      const postings = this.terms.get(term);
+      postings.delete(id);
+      if (postings.size === 0) this.terms.delete(term);
+    });
+    this.documents.delete(id);
+  }
+
+  /**
+   * Split a query into words and field filters. A created: or updated:
+   * filter whose date can't be read is an error rather than a filter
+   * nothing passes.
+   * @param {string} query - Query text
+   * @returns {object} {words: Array of terms, filters: Array of {field, operator, value}}
+   */
+  parseQuery(query) {
+    const words = [];
+    const filters = [];
+    
+    String(query).trim().split(/\s+/).filter(Boolean).forEach(part => {
+      const filter = part.match(/^(\w+):(>=|<=|>|<)?(.+)$/);
+      if (filter && BlockSearchIndex.FILTERS.includes(filter[1].toLowerCase())) {
+        const field = filter[1].toLowerCase();
+        if ((field === 'created' || field === 'updated') && Number.isNaN(Date.parse(filter[3]))) {
+          throw new Error(`Invalid date "${filter[3]}" in ${field}: filter`);
+        }
+        filters.push({ field, operator: filter[2] || '=', value: filter[3] });
+      } else {
+        BlockSearchIndex.tokenize(part).forEach(({ term }) => words.push(term));
+      }
+    });
+    
+    return { words, filters };
+  }
+
+  /**
+   * Check a block against one field filter
+   * @param {Block} block - The block
+   * @param {object} filter - {field, operator, value} from parseQuery()
+   * @returns {boolean} Whether the block passes
+   */
+  matchesFilter(block, { field, operator, value }) {
+    switch (field) {
+      case 'type':
+        return value.toLowerCase().split(',').includes(block.type.toLowerCase());
+      case 'linked':
+        return block.hasLink(value) || this.engine.getOutgoingLinks(value).some(b => b.id === block.id);
+      case 'created':
+      case 'updated': {
+        const stamp = Date.parse(block.metadata[`${field}At`]);
+        const bound = Date.parse(value);
+        if (Number.isNaN(stamp) || Number.isNaN(bound)) return false;
+        
+        // A bare date covers the whole day
+        const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const end = dayOnly ? bound + 24 * 60 * 60 * 1000 : bound;
+        switch (operator) {
+          case '>': return stamp >= end;
+          case '>=': return stamp >= bound;
+          case '<': return stamp < bound;
+          case '<=': return stamp < end;
+          default: return dayOnly ? stamp >= bound && stamp < end : stamp === bound;
+        }
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Indexed terms a query word matches: the word itself, words it is the
+   * start of, and (if fuzzy) words within a small edit distance
+   * @param {string} word - Query word
+   * @param {boolean} fuzzy - Whether to allow typos
+   * @returns {Array} Array of {term, weight}
+   */
+  expandWord(word, fuzzy) {
+    const maxDistance = !fuzzy || word.length < 4 ? 0 : word.length < 8 ? 1 : 2;
+    const expansions = [];
+    
+    this.terms.forEach((_, term) => {
+      if (term === word) {
+        expansions.push({ term, weight: 1 });
+      } else if (term.startsWith(word)) {
+        expansions.push({ term, weight: 0.7 });
+      } else if (maxDistance > 0) {
+        const distance = BlockSearchIndex.editDistance(word, term, maxDistance);
+        if (distance <= maxDistance) expansions.push({ term, weight: 0.5 / distance });
+      }
+    });
+    
+    return expansions;
+  }
+
+  /**
+   * Search blocks. Every word has to match (exactly, as a prefix, or
+   * fuzzily); results are ranked by how rare and how frequent the
+   * matched words are. A query with only filters returns every block that
+   * passes them, in their usual order, and an empty query every block.
+   * @param {string} query - Words and field filters
+   * @param {object} options - Search options
+   * @param {boolean} options.fuzzy - Tolerate typos (default true)
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Array} Array of {block, score, matches: [{start, end}]}, best first
+   */
+  search(query, options = {}) {
+    const { fuzzy = true, limit = Infinity } = options;
+    const { words, filters } = this.parseQuery(query);
+    const passes = block => filters.every(filter => this.matchesFilter(block, filter));
+    
+    if (words.length === 0) {
+      return this.engine.getAllBlocks()
+        .filter(passes)
+        .slice(0, limit)
+        .map(block => ({ block, score: 0, matches: [] }));
+    }
+    
+    const total = this.documents.size;
+    let candidates = null; // block ID => {score, matches}
+    
+    for (const word of new Set(words)) {
+      const hits = new Map();
+      
+      this.expandWord(word, fuzzy).forEach(({ term, weight }) => {
+        const postings = this.terms.get(term);
+        const idf = Math.log(1 + total / postings.size);
+        postings.forEach((offsets, id) => {
+          if (candidates && !candidates.has(id)) return;
+          const hit = hits.get(id) || { score: 0, matches: [] };
+          hit.score += weight * idf * (1 + Math.log(offsets.length));
+          offsets.forEach(([start, end]) => hit.matches.push({ start, end }));
+          hits.set(id, hit);
+        });
+      });
+      
+      if (candidates) {
+        hits.forEach((hit, id) => {
+          const previous = candidates.get(id);
+          hit.score += previous.score;
+          hit.matches.push(...previous.matches);
+        });
+      }
+      candidates = hits;
+      if (candidates.size === 0) return [];
+    }
+    
+    const results = [];
+    candidates.forEach(({ score, matches }, id) => {
+      const block = this.engine.getBlock(id);
+      if (!block || !passes(block)) return;
+      
+      const seen = new Set();
+      const unique = matches
+        .sort((a, b) => a.start - b.start)
+        .filter(({ start }) => !seen.has(start) && seen.add(start));
+      results.push({ block, score, matches: unique });
+    });
+    
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+// Field names recognized in queries as field:value
+BlockSearchIndex.FILTERS = ['type', 'linked', 'created', 'updated'];
+
+/**
+ * Structure rules checked before a link is created, a block changes type
+ * or a block is deleted, available as `engine.rules`.
+ *
+ * A rule is {name, kind, severity, message, ...options}:
+ *
+ *   allowedPairs   {pairs: [[fromType, toType]]}  every link must match a pair ('*' matches any type)
+ *   forbiddenPairs {pairs: [[fromType, toType]]}  no link may match a pair
+ *   maxInDegree    {max, types}                   at most max links point at a block (of the given types)
+ *   maxOutDegree   {max, types}                   at most max links leave a block (of the given types)
+ *   noCycles                                      following single links never leads back to the start
+ *   noSelfLinks                                   no block links to itself
+ *   custom         {check(operation, engine)}     true, or the reason to refuse
+ *
+ * A link is held by the block it leaves; a double link counts once in each
+ * direction. Severity 'error' (the default) rejects the change with the
+ * reason; 'warning' lets it through and reports the reason. Rules only
+ * judge what a change adds, so a board that already breaks a rule can
+ * still be edited elsewhere. Imports, undo/redo and remote changes are
+ * not checked.
+ */
+class BlockRules {
+  constructor(engine) {
+    this.engine = engine;
+    this.rules = new Map(); // name => normalized rule
+  }
+
+  /**
+   * Add (or replace) a rule
+   * @param {object} rule - Rule definition, see above
+   * @returns {object} The normalized rule
+   */
+  add(rule) {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+      throw new Error('Rule name must be a non-empty string');
+    }
+    const { name, kind, severity = 'error', message = null } = rule;
+    if (!BlockRules.KINDS.includes(kind)) {
+      throw new Error(`Rule "${name}": unknown kind "${kind}" (expected ${BlockRules.KINDS.join(', ')})`);
+    }
+    if (!BlockRules.SEVERITIES.includes(severity)) {
+      throw new Error(`Rule "${name}": severity must be 'error' or 'warning'`);
+    }
+    
+    const normalized = { name, kind, severity, message: typeof message === 'string' ? message : null };
+    
+    if (kind === 'allowedPairs' || kind === 'forbiddenPairs') {
+      const valid = Array.isArray(rule.pairs) && rule.pairs.every(pair =>
+        Array.isArray(pair) && pair.length === 2 && pair.every(type => typeof type === 'string' && type !== ''));
+      if (!valid) throw new Error(`Rule "${name}": pairs must be [fromType, toType] arrays`);
+      normalized.pairs = rule.pairs.map(pair => [...pair]);
+    }
+    if (kind === 'maxInDegree' || kind === 'maxOutDegree') {
+      if (!Number.isInteger(rule.max) || rule.max < 0) {
+        throw new Error(`Rule "${name}": max must be a non-negative integer`);
+      }
+      if (rule.types !== undefined && !(Array.isArray(rule.types) && rule.types.every(type => typeof type === 'string'))) {
+        throw new Error(`Rule "${name}": types must be an array of type names`);
+      }
+      normalized.max = rule.max;
+      normalized.types = rule.types ? [...rule.types] : null;
+    }
+    if (kind === 'custom') {
+      if (typeof rule.check !== 'function') throw new Error(`Rule "${name}": custom rules need a check function`);
+      normalized.check = rule.check;
+    }
+    
+    this.rules.set(name, normalized);
+    return normalized;
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} name - Rule name
+   * @returns {boolean} False if there was no such rule
+   */
+  remove(name) {
+    return this.rules.delete(name);
+  }
+
+  /**
+   * @returns {Array} Every rule, in the order they were added
+   */
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Judge a change against every rule
+   * @param {object} operation - One of
+   *   {action: 'link', from, to, linkType} (blocks, linkType as for linkBlocks()),
+   *   {action: 'type', block, type, previousType} or
+   *   {action: 'delete', block, children, deleted: Array of blocks}
+   * @returns {object} {allowed, errors, warnings}, each issue being {rule, message}
+   */
+  check(operation) {
+    const verdict = { allowed: true, errors: [], warnings: [] };
+    
+    this.rules.forEach(rule => {
+      const reason = this.evaluate(rule, operation);
+      if (reason === null) return;
+      
+      const issue = { rule: rule.name, message: rule.message || reason };
+      if (rule.severity === 'warning') {
+        verdict.warnings.push(issue);
+      } else {
+        verdict.errors.push(issue);
+        verdict.allowed = false;
+      }
+    });
+    
+    return verdict;
+  }
+
+  /**
+   * Judge a change against one rule
+   * @returns {string|null} Why the rule objects, or null
+   */
+  evaluate(rule, operation) {
+    if (rule.kind === 'custom') {
+      const outcome = rule.check(operation, this.engine);
+      if (outcome === true || outcome === undefined || outcome === null) return null;
+      return typeof outcome === 'string' ? outcome : `Refused by rule "${rule.name}"`;
+    }
+    
+    if (operation.action === 'link') return this.evaluateLink(rule, operation);
+    if (operation.action === 'type') return this.evaluateType(rule, operation);
+    return null;
+  }
+
+  /**
+   * Judge linkBlocks() by the links it adds
+   */
+  evaluateLink(rule, { from, to, linkType }) {
+    const { added, replaced } = this.linkEdges(from, to, linkType);
+    const isNew = ([source, target]) => !replaced.some(edge => edge[0] === source && edge[1] === target);
+    const fresh = added.filter(isNew);
+    const typeOf = id => this.engine.getBlock(id).type;
+    
+    switch (rule.kind) {
+      case 'noSelfLinks':
+        return from === to ? 'A block cannot link to itself' : null;
+      
+      case 'allowedPairs':
+      case 'forbiddenPairs': {
+        const edge = fresh.find(([source, target]) => this.breaksPairs(rule, typeOf(source), typeOf(target)));
+        return edge ? this.pairMessage(typeOf(edge[0]), typeOf(edge[1])) : null;
+      }
+      
+      case 'maxInDegree':
+      case 'maxOutDegree': {
+        const side = rule.kind === 'maxInDegree' ? 1 : 0;
+        const count = (edges, id) => edges.filter(edge => edge[side] === id).length;
+        for (const block of new Set([from, to])) {
+          if (rule.types && !rule.types.includes(block.type)) continue;
+          const before = side === 1 ? this.engine.getIncomingLinks(block.id).length : block.links.size;
+          const after = before - count(replaced, block.id) + count(added, block.id);
+          if (after > before && after > rule.max) return this.degreeMessage(rule, block, after);
+        }
+        return null;
+      }
+      
+      case 'noCycles': {
+        if (linkType === 'double') return null;
+        if (from === to) return 'A block linking to itself is a cycle';
+        // Links between the two blocks are about to be replaced, double links don't count
+        const linkFilter = (link, sourceId, targetId) => link.type !== 'double' &&
+          !([sourceId, targetId].includes(from.id) && [sourceId, targetId].includes(to.id));
+        const closes = fresh.some(([source, target]) =>
+          this.engine.graph.reachable(target, { linkFilter }).includes(source));
+        return closes ? 'The link would create a cycle' : null;
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Judge a type change by the links and degree limits it brings the block under
+   */
+  evaluateType(rule, { block, type, previousType }) {
+    switch (rule.kind) {
+      case 'allowedPairs':
+      case 'forbiddenPairs': {
+        // Links of the block, with its own type before and after the change
+        const edges = [
+          ...Array.from(block.links.keys()).map(targetId => [block.id, targetId]),
+          ...this.engine.getIncomingLinks(block.id).filter(source => source !== block).map(source => [source.id, block.id])
+        ];
+        const typeOf = (id, own) => id === block.id ? own : this.engine.getBlock(id).type;
+        const edge = edges.find(([source, target]) =>
+          this.breaksPairs(rule, typeOf(source, type), typeOf(target, type)) &&
+          !this.breaksPairs(rule, typeOf(source, previousType), typeOf(target, previousType)));
+        return edge ? this.pairMessage(typeOf(edge[0], type), typeOf(edge[1], type)) : null;
+      }
+      
+      case 'maxInDegree':
+      case 'maxOutDegree': {
+        if (!rule.types || !rule.types.includes(type) || rule.types.includes(previousType)) return null;
+        const degree = rule.kind === 'maxInDegree' ? this.engine.getIncomingLinks(block.id).length : block.links.size;
+        return degree > rule.max ? this.degreeMessage(rule, block, degree) : null;
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Links held between two blocks now, and after linkBlocks()
+   * @returns {object} {added, replaced}: Arrays of [sourceId, targetId]
+   */
+  linkEdges(from, to, linkType) {
+    const replaced = [];
+    if (from.hasLink(to.id)) replaced.push([from.id, to.id]);
+    if (to !== from && to.hasLink(from.id)) replaced.push([to.id, from.id]);
+    
+    const added = [];
+    if (linkType === 'single' || linkType === 'double') added.push([from.id, to.id]);
+    if ((linkType === 'reverse' || linkType === 'double') && !(linkType === 'double' && from === to)) {
+      added.push([to.id, from.id]);
+    }
+    return { added, replaced };
+  }
+
+  breaksPairs(rule, sourceType, targetType) {
+    const matches = rule.pairs.some(([fromType, toType]) =>
+      (fromType === '*' || fromType === sourceType) && (toType === '*' || toType === targetType));
+    return rule.kind === 'allowedPairs' ? !matches : matches;
+  }
+
+  pairMessage(sourceType, targetType) {
+    return `"${sourceType}" blocks may not link to "${targetType}" blocks`;
+  }
+
+  degreeMessage(rule, block, degree) {
+    const direction = rule.kind === 'maxInDegree' ? 'incoming' : 'outgoing';
+    return `Block "${block.id}" would have ${degree} ${direction} links (at most ${rule.max} allowed)`;
+  }
+}
+
+BlockRules.KINDS = ['allowedPairs', 'forbiddenPairs', 'maxInDegree', 'maxOutDegree', 'noCycles', 'noSelfLinks', 'custom'];
+BlockRules.SEVERITIES = ['error', 'warning'];
+
+/**
+ * Structured comparison of two board states, used by BlockEngine.diff()
+ * and engine.applyPatch().
+ *
+ * A changeset (patch) is plain JSON:
+ *
+ *   {
+ *     blocks: {
+ *       added:   [block],             // toJSON() form without links
+ *       removed: [block],
+ *       changed: [{ id, changes: { content: {before, after}, position: {...},
+ *                                  properties: { status: {before, after} } } }]
+ *     },
+ *     links: {
+ *       added:   [link],              // { from, to, type, label, kind, ... }
+ *       removed: [link],
+ *       changed: [{ before: link, after: link }]
+ *     }
+ *   }
+ *
+ * Links are compared per pair of blocks, so turning a single link into a
+ * double one, flipping its direction or relabeling it is one change.
+ * Timestamps are ignored.
+ */
+class BlockDiff {
+  /**
+   * Block states by ID from an engine, export data (object or JSON string)
+   * or an array of serialized blocks
+   * @param {BlockEngine|object|string|Array} state - Board state
+   * @returns {Map} Block ID => serialized block
+   */
+  static blocksOf(state) {
+    let blocks;
+    if (state && typeof state.getAllBlocks === 'function') {
+      blocks = state.getAllBlocks().map(block => block.toJSON());
+    } else if (Array.isArray(state)) {
+      blocks = state;
+    } else {
+      const data = typeof state === 'string' ? JSON.parse(state) : state;
+      if (!data || typeof data !== 'object' || !Array.isArray(data.blocks)) {
+        throw new Error('Expected an engine, export data or an array of blocks');
+      }
+      blocks = BlockSchema.migrate(data).data.blocks;
+    }
+    
+    return new Map(blocks.map(block => [block.id, JSON.parse(JSON.stringify(block))]));
+  }
+
+  /**
+   * Key of the link between two blocks, whichever end it starts from
+   * @param {string} a - One end
+   * @param {string} b - Other end
+   * @returns {string} Pair key
+   */
+  static pairKey(a, b) {
+    return JSON.stringify(a < b ? [a, b] : [b, a]);
+  }
+
+  /**
+   * Collect the links between the given blocks, one per pair, as a diff
+   * compares them (exporters use BlockGraph.edgesOf())
+   * @param {Map} blocks - Block ID => serialized block
+   * @returns {Map} Pair key => {from, to, type, ...details}
+   */
+  static linksOf(blocks) {
+    const links = new Map();
+    
+    blocks.forEach(block => {
+      (block.links || []).forEach(({ id: targetId, type, createdAt, ...details }) => {
+        if (!blocks.has(targetId)) return;
+        
+        const key = BlockDiff.pairKey(block.id, targetId);
+        const [from, to] = JSON.parse(key);
+        // Two opposite single links behave like a double link
+        if (type === 'double' || links.has(key)) {
+          links.set(key, { from, to, type: 'double', ...details });
+        } else {
+          links.set(key, { from: block.id, to: targetId, type: 'single', ...details });
+        }
+      });
+    });
+    
+    return links;
+  }
+
+  /**
+   * The fields of a block that a changeset tracks
+   * @param {object} block - Serialized block
+   * @returns {object} {content, type, parentId, position, size, properties}
+   */
+  static fieldsOf(block) {
+    return {
+      content: block.content,
+      type: block.type,
+      parentId: block.parentId || null,
+      position: { x: block.position.x, y: block.position.y },
+      size: { width: block.size.width, height: block.size.height },
+      locked: block.locked || [],
+      properties: block.properties || {}
+    };
+  }
+
+  /**
+   * A serialized block without its links (those are listed separately)
+   * @param {object} block - Serialized block
+   * @returns {object} Block data for blocks.added / blocks.removed
+   */
+  static withoutLinks(block) {
+    return { ...block, links: [] };
+  }
+
+  /**
+   * Field-by-field differences between two versions of a block
+   * @param {object} before - Serialized block
+   * @param {object} after - Serialized block
+   * @returns {object} Changes {field: {before, after}, properties: {key: {before, after}}}
+   */
+  static compareBlocks(before, after) {
+    const a = BlockDiff.fieldsOf(before);
+    const b = BlockDiff.fieldsOf(after);
+    const changes = {};
+    
+    BlockDiff.FIELDS.forEach(field => {
+      if (!BlockDiff.equal(a[field], b[field])) {
+        changes[field] = { before: a[field], after: b[field] };
+      }
+    });
+    
+    const keys = new Set([...Object.keys(a.properties), ...Object.keys(b.properties)]);
+    keys.forEach(key => {
+      const from = a.properties[key] || null;
+      const to = b.properties[key] || null;
+      if (!BlockDiff.equal(from, to)) {
+        changes.properties = changes.properties || {};
+        changes.properties[key] = { before: from, after: to };
+      }
+    });
+    
+    return changes;
+  }
+
+  /**
+   * Compare two board states
+   * @param {BlockEngine|object|string|Array} a - Old state
+   * @param {BlockEngine|object|string|Array} b - New state
+   * @returns {object} Changeset turning a into b
+   */
+  static diff(a, b) {
+    const before = BlockDiff.blocksOf(a);
+    const after = BlockDiff.blocksOf(b);
+    const patch = {
+      blocks: { added: [], removed: [], changed: [] },
+      links: { added: [], removed: [], changed: [] }
+    };
+    
+    after.forEach((block, id) => {
+      if (!before.has(id)) patch.blocks.added.push(BlockDiff.withoutLinks(block));
+    });
+    before.forEach((block, id) => {
+      const next = after.get(id);
+      if (!next) {
+        patch.blocks.removed.push(BlockDiff.withoutLinks(block));
+        return;
+      }
+      
+      const changes = BlockDiff.compareBlocks(block, next);
+      if (Object.keys(changes).length > 0) patch.blocks.changed.push({ id, changes });
+    });
+    
+    const oldLinks = BlockDiff.linksOf(before);
+    const newLinks = BlockDiff.linksOf(after);
+    newLinks.forEach((link, key) => {
+      const old = oldLinks.get(key);
+      if (!old) {
+        patch.links.added.push(link);
+      } else if (!BlockDiff.equal(old, link)) {
+        patch.links.changed.push({ before: old, after: link });
+      }
+    });
+    oldLinks.forEach((link, key) => {
+      if (!newLinks.has(key)) patch.links.removed.push(link);
+    });
+    
+    return patch;
+  }
+
+  /**
+   * Check that a changeset has the shape diff() produces
+   * @param {object} patch - Changeset
+   * @returns {object} {valid, errors}, each error being {path, message}
+   */
+  static validate(patch) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isId = value => typeof value === 'string' && value !== '';
+    const isChange = value => isObject(value) && 'before' in value && 'after' in value;
+    
+    if (!isObject(patch)) {
+      error('', 'Expected a changeset from BlockEngine.diff()');
+      return { valid: false, errors };
+    }
+    
+    const lists = {};
+    ['blocks', 'links'].forEach(section => {
+      if (!isObject(patch[section])) {
+        error(section, 'Expected an object with added, removed and changed');
+        return;
+      }
+      ['added', 'removed', 'changed'].forEach(kind => {
+        if (Array.isArray(patch[section][kind])) {
+          lists[`${section}.${kind}`] = patch[section][kind];
+        } else {
+          error(`${section}.${kind}`, 'Expected an array');
+        }
+      });
+    });
+    
+    // Added and removed blocks are whole blocks, checked like an import
+    ['blocks.added', 'blocks.removed'].forEach(path => {
+      if (!lists[path]) return;
+      BlockSchema.validate({ blocks: lists[path] }).errors.forEach(issue => {
+        error(path + issue.path.slice('blocks'.length), issue.message);
+      });
+    });
+    
+    (lists['blocks.changed'] || []).forEach((entry, index) => {
+      const path = `blocks.changed[${index}]`;
+      if (!isObject(entry) || !isId(entry.id) || !isObject(entry.changes)) {
+        error(path, 'Expected {id, changes}');
+        return;
+      }
+      Object.entries(entry.changes).forEach(([field, change]) => {
+        if (field === 'properties') {
+          if (!isObject(change) || !Object.values(change).every(isChange)) {
+            error(`${path}.changes.properties`, 'Expected {key: {before, after}}');
+          }
+        } else if (!BlockDiff.FIELDS.includes(field)) {
+          error(`${path}.changes.${field}`, `Unknown field "${field}"`);
+        } else if (!isChange(change)) {
+          error(`${path}.changes.${field}`, 'Expected {before, after}');
+        }
+      });
+    });
+    
+    const checkLink = (link, path) => {
+      if (!isObject(link) || !isId(link.from) || !isId(link.to)) {
+        error(path, 'Expected a link {from, to, type}');
+      } else if (!['single', 'double'].includes(link.type)) {
+        error(`${path}.type`, 'Link type must be "single" or "double"');
+      }
+    };
+    ['links.added', 'links.removed'].forEach(path => {
+      (lists[path] || []).forEach((link, index) => checkLink(link, `${path}[${index}]`));
+    });
+    (lists['links.changed'] || []).forEach((entry, index) => {
+      const path = `links.changed[${index}]`;
+      if (!isChange(entry)) {
+        error(path, 'Expected {before, after}');
+        return;
+      }
+      checkLink(entry.before, `${path}.before`);
+      checkLink(entry.after, `${path}.after`);
+    });
+    
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Whether a changeset changes nothing
+   * @param {object} patch - Changeset
+   * @returns {boolean} True if empty
+   */
+  static isEmpty(patch) {
+    return ['blocks', 'links'].every(section =>
+      ['added', 'removed', 'changed'].every(kind => patch[section][kind].length === 0));
+  }
+
+  /**
+   * Compare two JSON values, ignoring object key order
+   */
+  static equal(a, b) {
+    const canonical = value => {
+      if (Array.isArray(value)) return value.map(canonical);
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+          if (value[key] !== undefined) sorted[key] = canonical(value[key]);
+          return sorted;
+        }, {});
+      }
+      return value;
+    };
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+  }
+}
+
+// Block fields compared as a whole (properties are compared key by key)
+BlockDiff.FIELDS = ['content', 'type', 'parentId', 'position', 'size', 'locked'];
+
+/**
+ * Markdown form of a board, for people who don't use the canvas.
+ *
+ * Each block becomes a section: a level-2 heading with the first line of
+ * its content, a #type tag, the rest of the content and a Links line:
+ *
+ *   ## Task 1: Design UI <!-- block_123 -->
+ *   #task
+ *
+ *   Create mockups and wireframes for the user interface.
+ *
+ *   Links: → [[Task 2: Backend API]] · ← [[Project Overview]] · ↔ [[Resources]]
+ *
+ * → is a single link from this block, ← a single link to it and ↔ a
+ * double link. Links name the target's heading, or its ID when the
+ * heading is ambiguous ([[block_123|Title]]). Headings inside content
+ * are shifted down two levels so they can't be mistaken for blocks.
+ */
+class BlockMarkdown {
+  /**
+   * Write blocks as a Markdown document
+   * @param {Array} blocks - Blocks to export
+   * @param {object} options - {title: optional level-1 document heading}
+   * @returns {string} Markdown
+   */
+  static export(blocks, options = {}) {
+    const titles = new Map();
+    blocks.forEach(block => {
+      const title = BlockMarkdown.titleOf(block.content);
+      titles.set(title, (titles.get(title) || 0) + 1);
+    });
+    
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const wikiLink = block => {
+      const title = BlockMarkdown.titleOf(block.content);
+      if (title && titles.get(title) === 1 && !/[[\]|]/.test(title)) return `[[${title}]]`;
+      return title && !/[[\]|]/.test(title) ? `[[${block.id}|${title}]]` : `[[${block.id}]]`;
+    };
+    // Labeled links are plain Markdown links to the target's ID, with the label as text
+    const linkTo = (block, label) => (label
+      ? `[${BlockMarkdown.escapeLabel(label)}](#${BlockMarkdown.encodeAnchor(block.id)})`
+      : wikiLink(block));
+    
+    const sections = blocks.map(block => {
+      const [title, ...body] = block.content.split('\n');
+      const lines = [`## ${title} <!-- ${block.id} -->`, `#${block.type}`];
+      
+      let fence = null;
+      body.forEach(line => {
+        const outside = !fence;
+        fence = BlockMarkdown.trackFence(line, fence);
+        lines.push(outside && line.startsWith('#') ? `##${line}` : line);
+      });
+      
+      const links = [];
+      block.links.forEach((meta, targetId) => {
+        const target = byId.get(targetId);
+        if (target) links.push(`${meta.type === 'double' ? '↔' : '→'} ${linkTo(target, meta.label)}`);
+      });
+      blocks.forEach(source => {
+        const meta = source.links.get(block.id);
+        if (meta && meta.type !== 'double' && !block.hasLink(source.id)) {
+          links.push(`← ${linkTo(source, meta.label)}`);
+        }
+      });
+      if (links.length > 0) lines.push('', `Links: ${links.join(' · ')}`);
+      
+      return lines.join('\n');
+    });
+    
+    const header = options.title ? [`# ${options.title}`] : [];
+    return [...header, ...sections].join('\n\n') + '\n';
+  }
+
+  /**
+   * Read blocks and links back from a Markdown document. Headings without
+   * an ID comment get a new ID. Links to headings that don't exist are
+   * left out with a warning, or create an empty block with that title
+   * if options.createMissing is set.
+   * @param {string} markdown - Markdown document
+   * @param {object} options - {generateId: function returning a new block ID, createMissing}
+   * @returns {object} {blocks: serialized blocks without position and size, warnings}
+   */
+  static parse(markdown, options = {}) {
+    const generateId = options.generateId || BlockIds.timestamp;
+    const warnings = [];
+    const sections = [];
+    let fence = null;
+    
+    markdown.split(/\r?\n/).forEach(line => {
+      const heading = !fence && line.match(/^##(?:\s+(.*?))?\s*(?:<!--\s*(\S+)\s*-->)?\s*$/);
+      if (heading) {
+        sections.push({ title: heading[1] || '', id: heading[2] || null, lines: [] });
+        return;
+      }
+      fence = BlockMarkdown.trackFence(line, fence);
+      if (sections.length > 0) sections[sections.length - 1].lines.push(line);
+    });
+    
+    const blocks = [];
+    const byId = new Map();
+    const addBlock = (id, content, type = 'default') => {
+      if (!id || byId.has(id)) id = generateId();
+      const block = { id, content, type, links: [], properties: {}, parentId: null };
+      blocks.push(block);
+      byId.set(id, block);
+      return block;
+    };
+    
+    const pending = [];
+    sections.forEach(section => {
+      const lines = section.lines;
+      let type = 'default';
+      const typeMatch = lines.length > 0 && lines[0].match(/^#([^\s#]\S*)\s*$/);
+      if (typeMatch) {
+        type = typeMatch[1];
+        lines.shift();
+      }
+      
+      while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+      let linkLine = '';
+      if (lines.length > 0 && /^Links:.*(\[\[|\]\(#)/.test(lines[lines.length - 1])) {
+        linkLine = lines.pop();
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+      }
+      
+      let inFence = null;
+      const body = lines.map(line => {
+        const outside = !inFence;
+        inFence = BlockMarkdown.trackFence(line, inFence);
+        return outside && line.startsWith('###') ? line.slice(2) : line;
+      });
+      
+      const block = addBlock(section.id, [section.title, ...body].join('\n'), type);
+      // → [[Title]], → [[id|Title]] or → [label](#id)
+      const pattern = /(↔|<->|→|->|←|<-)\s*(?:\[\[([^\]|]+)(?:\|[^\]]*)?\]\]|\[((?:[^\]\\]|\\.)*)\]\(#([^)\s]+)\))/g;
+      let match;
+      while ((match = pattern.exec(linkLine)) !== null) {
+        pending.push(match[2] !== undefined
+          ? { block, arrow: match[1], target: match[2].trim(), label: null }
+          : { block, arrow: match[1], target: BlockMarkdown.decodeAnchor(match[4]), label: BlockMarkdown.unescapeLabel(match[3]) });
+      }
+    });
+    
+    const resolve = name => byId.get(name) ||
+      blocks.find(block => BlockMarkdown.titleOf(block.content) === name) ||
+      (options.createMissing ? addBlock(null, name) : null);
+    
+    pending.forEach(({ block, arrow, target: name, label }) => {
+      const target = resolve(name);
+      if (!target) {
+        warnings.push({ path: `blocks[${blocks.indexOf(block)}].links`, message: `Link to unknown heading "${name}" was ignored` });
+        return;
+      }
+      const link = (from, to, type) => {
+        if (from.links.some(link => link.id === to.id)) return;
+        from.links.push(label ? { id: to.id, type, label } : { id: to.id, type });
+      };
+      if (arrow === '↔' || arrow === '<->') {
+        link(block, target, 'double');
+        link(target, block, 'double');
+      } else if (arrow === '→' || arrow === '->') {
+        link(block, target, 'single');
+      } else {
+        link(target, block, 'single');
+      }
+    });
+    
+    return { blocks, warnings };
+  }
+
+  /**
+   * Escape a link label for the text of a Markdown link
+   */
+  static escapeLabel(label) {
+    return String(label).replace(/[\\[\]]/g, '\\$&').replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Undo escapeLabel()
+   */
+  static unescapeLabel(text) {
+    return text.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char));
+  }
+
+  /**
+   * Block ID as a URL fragment (parentheses too, so the link stays intact)
+   */
+  static encodeAnchor(id) {
+    return encodeURIComponent(id).replace(/[()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  /**
+   * Undo encodeAnchor(); fragments that aren't valid escapes are kept as written
+   */
+  static decodeAnchor(anchor) {
+    try {
+      return decodeURIComponent(anchor);
+    } catch (error) {
+      return anchor;
+    }
+  }
+
+  /**
+   * First line of a block's content, used as its heading
+   */
+  static titleOf(content) {
+    return content.split('\n')[0].trim();
+  }
+
+  /**
+   * Follow code fences line by line
+   * @param {string} line - Current line
+   * @param {string|null} fence - Marker of the open fence (e.g. ```), or null
+   * @returns {string|null} The fence still open after this line
+   */
+  static trackFence(line, fence) {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (!match) return fence;
+    if (!fence) return match[1];
+    
+    const closes = match[1][0] === fence[0] && match[1].length >= fence.length && match[2].trim() === '';
+    return closes ? null : fence;
+  }
+}
+
+/**
+ * GraphML interchange (yEd, Gephi, NetworkX, ...).
+ *
+ * Nodes carry the block ID, content, type, position, size and parent as
+ * data keys, edges the link type, label, kind and weight; each link is an
+ * edge of its own, a double link one edge for both ends. yEd shape
+ * graphics are written as well, so the file opens in yEd with labels and
+ * positions, and are read back (geometry and label) when the data keys are
+ * missing. Nested graphs become frames.
+ */
+class BlockGraphML {
+  /**
+   * Write blocks as a GraphML document
+   * @param {Array} blocks - Blocks to export
+   * @returns {string} GraphML
+   */
+  static export(blocks) {
+    const esc = BlockGraphML.escape;
+    const data = (key, value) => (value === undefined || value === null || value === ''
+      ? ''
+      : `<data key="${key}">${esc(String(value))}</data>`);
+    
+    const keys = [
+      ['blockId', 'node', 'blockId', 'string'],
+      ['content', 'node', 'content', 'string'],
+      ['type', 'node', 'type', 'string'],
+      ['x', 'node', 'x', 'double'],
+      ['y', 'node', 'y', 'double'],
+      ['width', 'node', 'width', 'double'],
+      ['height', 'node', 'height', 'double'],
+      ['parentId', 'node', 'parentId', 'string'],
+      ['linkType', 'edge', 'linkType', 'string'],
+      ['label', 'edge', 'label', 'string'],
+      ['kind', 'edge', 'kind', 'string'],
+      ['weight', 'edge', 'weight', 'double']
+    ];
+    
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '         xmlns:y="http://www.yworks.com/xml/graphml"',
+      '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://www.yworks.com/xml/schema/graphml/1.1/ygraphml.xsd">',
+      ...keys.map(([id, target, name, type]) => `  <key id="${id}" for="${target}" attr.name="${name}" attr.type="${type}"/>`),
+      '  <key id="nodeGraphics" for="node" yfiles.type="nodegraphics"/>',
+      '  <key id="edgeGraphics" for="edge" yfiles.type="edgegraphics"/>',
+      '  <graph id="G" edgedefault="directed">'
+    ];
+    
+    blocks.forEach(block => {
+      const { x, y } = block.position;
+      const { width, height } = block.size;
+      const fields = [
+        data('blockId', block.id),
+        data('content', block.content),
+        data('type', block.type),
+        data('x', x) + data('y', y) + data('width', width) + data('height', height),
+        data('parentId', block.parentId)
+      ];
+      lines.push(
+        `    <node id="${esc(block.id)}">`,
+        ...fields.filter(Boolean).map(field => `      ${field}`),
+        '      <data key="nodeGraphics"><y:ShapeNode>' +
+          `<y:Geometry x="${x}" y="${y}" width="${width}" height="${height}"/>` +
+          `<y:NodeLabel>${esc(BlockMarkdown.titleOf(block.content))}</y:NodeLabel>` +
+          '</y:ShapeNode></data>',
+        '    </node>'
+      );
+    });
+    
+    const links = BlockGraph.edgesOf(blocks);
+    let index = 0;
+    links.forEach(({ from, to, type, label, kind, weight }) => {
+      const arrows = `<y:Arrows source="${type === 'double' ? 'standard' : 'none'}" target="standard"/>`;
+      lines.push(
+        `    <edge id="e${index++}" source="${esc(from)}" target="${esc(to)}">` +
+          data('linkType', type) + data('label', label) + data('kind', kind) + data('weight', weight) +
+          `<data key="edgeGraphics"><y:PolyLineEdge>${arrows}</y:PolyLineEdge></data>` +
+          '</edge>'
+      );
+    });
+    
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read blocks and links from a GraphML document
+   * @param {string} xml - GraphML document
+   * @returns {object} {blocks, warnings}
+   */
+  static parse(xml) {
+    const document = BlockGraphML.parseXML(xml);
+    const root = document.children.find(element => BlockGraphML.localName(element) === 'graphml');
+    if (!root) throw new Error('Not a GraphML document');
+    
+    const warnings = [];
+    const reported = new Set();
+    const warn = (path, message) => {
+      if (reported.has(message)) return;
+      reported.add(message);
+      warnings.push({ path, message });
+    };
+    const childrenNamed = (element, name) => element.children.filter(child => BlockGraphML.localName(child) === name);
+    
+    // Data keys by ID: {target, name, graphics, fallback}
+    const keys = new Map();
+    childrenNamed(root, 'key').forEach(key => {
+      const defaults = childrenNamed(key, 'default')[0];
+      keys.set(key.attributes.id, {
+        target: key.attributes.for || 'all',
+        name: (key.attributes['attr.name'] || key.attributes.id || '').toLowerCase(),
+        graphics: key.attributes['yfiles.type'] || null,
+        fallback: defaults ? defaults.text : undefined
+      });
+    });
+    
+    // Values of the data elements of a node or edge, with key defaults filled in
+    const readData = (element, target, path) => {
+      const values = {};
+      keys.forEach(({ target: keyTarget, name, fallback }) => {
+        if (fallback !== undefined && (keyTarget === target || keyTarget === 'all')) values[name] = fallback;
+      });
+      childrenNamed(element, 'data').forEach(entry => {
+        const key = keys.get(entry.attributes.key);
+        if (!key) {
+          warn(path, `Data key "${entry.attributes.key}" is not declared and was ignored`);
+        } else if (key.graphics) {
+          values[`#${key.graphics}`] = entry;
+        } else {
+          values[key.name] = entry.text;
+        }
+      });
+      return values;
+    };
+    const number = value => (value == null || value.trim() === '' || !Number.isFinite(Number(value)) ? undefined : Number(value));
+    const findDeep = (element, name) => {
+      if (!element) return null;
+      for (const child of element.children) {
+        if (BlockGraphML.localName(child) === name) return child;
+        const found = findDeep(child, name);
+        if (found) return found;
+      }
+      return null;
+    };
+    
+    const graphs = childrenNamed(root, 'graph');
+    if (graphs.length === 0) throw new Error('GraphML document has no graph');
+    if (graphs.length > 1) warn('graphml', `Only the first of ${graphs.length} graphs was imported`);
+    
+    const blocks = [];
+    const byNodeId = new Map(); // GraphML node ID => block
+    const edges = [];
+    
+    const readGraph = (graph, parentId) => {
+      const undirected = graph.attributes.edgedefault === 'undirected';
+      graph.children.forEach(element => {
+        const name = BlockGraphML.localName(element);
+        const nodeId = element.attributes.id;
+        
+        if (name === 'node') {
+          const path = `node[${nodeId}]`;
+          const values = readData(element, 'node', path);
+          const graphics = values['#nodegraphics'];
+          const geometry = findDeep(graphics, 'Geometry');
+          const nodeLabel = findDeep(graphics, 'NodeLabel');
+          const known = ['blockid', 'content', 'label', 'type', 'x', 'y', 'width', 'height', 'parentid', '#nodegraphics'];
+          Object.keys(values).filter(key => !known.includes(key)).forEach(key => {
+            warn(path, `Node data "${key}" is not supported and was ignored`);
+          });
+          
+          const x = number(values.x) ?? number(geometry && geometry.attributes.x);
+          const y = number(values.y) ?? number(geometry && geometry.attributes.y);
+          const width = number(values.width) ?? number(geometry && geometry.attributes.width);
+          const height = number(values.height) ?? number(geometry && geometry.attributes.height);
+          
+          const block = {
+            id: values.blockid || nodeId,
+            content: values.content ?? values.label ?? (nodeLabel ? nodeLabel.text.trim() : ''),
+            type: values.type || 'default',
+            parentId: values.parentid || parentId,
+            links: []
+          };
+          if (x !== undefined && y !== undefined) block.position = { x, y };
+          if (width !== undefined && height !== undefined) block.size = { width, height };
+          blocks.push(block);
+          byNodeId.set(nodeId, block);
+          
+          if (childrenNamed(element, 'port').length > 0) warn(path, 'Ports are not supported and were ignored');
+          childrenNamed(element, 'graph').forEach(nested => readGraph(nested, block.id));
+        } else if (name === 'edge') {
+          const path = `edge[${nodeId || edges.length}]`;
+          if (element.attributes.sourceport || element.attributes.targetport) {
+            warn(path, 'Ports are not supported and were ignored');
+          }
+          const directed = element.attributes.directed !== undefined
+            ? element.attributes.directed !== 'false'
+            : !undirected;
+          edges.push({ element, path, directed, values: readData(element, 'edge', path) });
+        } else if (name === 'hyperedge') {
+          warn(nodeId ? `hyperedge[${nodeId}]` : 'hyperedge', 'Hyperedges are not supported and were ignored');
+        } else if (name === 'data') {
+          warn('graph', 'Graph data is not supported and was ignored');
+        } else if (name !== 'desc') {
+          warn(name, `<${element.name}> elements are not supported and were ignored`);
+        }
+      });
+    };
+    readGraph(graphs[0], null);
+    
+    edges.forEach(({ element, path, directed, values }) => {
+      const source = byNodeId.get(element.attributes.source);
+      const target = byNodeId.get(element.attributes.target);
+      if (!source || !target) {
+        warn(path, `Edge between unknown nodes "${element.attributes.source}" and "${element.attributes.target}" was ignored`);
+        return;
+      }
+      
+      const known = ['linktype', 'label', 'kind', 'weight', '#edgegraphics'];
+      Object.keys(values).filter(key => !known.includes(key)).forEach(key => {
+        warn(path, `Edge data "${key}" is not supported and was ignored`);
+      });
+      
+      const type = values.linktype || (directed ? 'single' : 'double');
+      const meta = { type };
+      if (values.label) meta.label = values.label;
+      if (values.kind) meta.kind = values.kind;
+      if (number(values.weight) !== undefined) meta.weight = number(values.weight);
+      
+      // Opposite single edges stay two single links
+      const reverse = target.links.find(link => link.id === source.id);
+      if (source.links.some(link => link.id === target.id) || (reverse && (reverse.type === 'double' || type === 'double'))) {
+        warn(path, `Parallel edge between "${source.id}" and "${target.id}" was ignored`);
+        return;
+      }
+      source.links.push({ id: target.id, ...meta });
+      if (type === 'double') target.links.push({ id: source.id, ...meta });
+    });
+    
+    return { blocks, warnings };
+  }
+
+  /**
+   * Minimal XML parser (elements, attributes, text, CDATA and entities),
+   * enough for GraphML without depending on DOMParser
+   * @param {string} text - XML document
+   * @returns {object} Root {name, attributes, children, text}
+   */
+  static parseXML(text) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/g;
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    
+    let position = 0;
+    let match;
+    while ((match = token.exec(text)) !== null) {
+      if (match.index !== position) break;
+      position = token.lastIndex;
+      const current = stack[stack.length - 1];
+      
+      if (match[1] !== undefined) {
+        current.text += match[1];
+      } else if (match[2] !== undefined) {
+        if (stack.length === 1 || current.name !== match[2]) {
+          throw new Error(`Invalid XML: unexpected </${match[2]}>`);
+        }
+        stack.pop();
+      } else if (match[3] !== undefined) {
+        const element = { name: match[3], attributes: {}, children: [], text: '' };
+        let pair;
+        while ((pair = attribute.exec(match[4])) !== null) {
+          element.attributes[pair[1]] = BlockGraphML.unescape(pair[2] ?? pair[3]);
+        }
+        current.children.push(element);
+        if (!match[5]) stack.push(element);
+      } else if (!match[0].startsWith('<')) {
+        current.text += BlockGraphML.unescape(match[0]);
+      }
+    }
+    
+    if (position !== text.length) {
+      throw new Error(`Invalid XML near "${text.slice(position, position + 30)}"`);
+    }
+    if (stack.length > 1) {
+      throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return root;
+  }
+
+  /**
+   * Element name without its namespace prefix
+   */
+  static localName(element) {
+    return element.name.split(':').pop();
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static unescape(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return named[name] ?? entity;
+    });
+  }
+}
+
+/**
+ * Graphviz DOT interchange for a practical subset of the language: node
+ * and edge statements (including chains), node/edge default attributes,
+ * labels, dir=both for double links, and pos/width/height for geometry.
+ * Positions follow Graphviz conventions: pos is the node center in points
+ * with y pointing up, width and height are in inches.
+ *
+ * Subgraphs are flattened; ports, graph attributes and any attribute
+ * without a block equivalent are ignored. The parser reports each of them.
+ */
+class BlockDot {
+  /**
+   * Write blocks as a DOT digraph
+   * @param {Array} blocks - Blocks to export
+   * @param {object} options - {name: graph name (default 'board')}
+   * @returns {string} DOT source
+   */
+  static export(blocks, options = {}) {
+    const quote = BlockDot.quote;
+    const round = value => Math.round(value * 100) / 100;
+    const lines = [`digraph ${quote(options.name || 'board')} {`, '  node [shape=box];', ''];
+    
+    blocks.forEach(block => {
+      const { x, y } = block.position;
+      const { width, height } = block.size;
+      const attributes = [
+        `label=${quote(BlockDot.escapeLabel(block.content))}`,
+        `type=${quote(block.type)}`,
+        `pos=${quote(`${round(x + width / 2)},${round(-(y + height / 2))}!`)}`,
+        `width=${round(width / 72)}`,
+        `height=${round(height / 72)}`
+      ];
+      if (block.parentId) attributes.push(`parent=${quote(block.parentId)}`);
+      lines.push(`  ${quote(block.id)} [${attributes.join(', ')}];`);
+    });
+    
+    const links = BlockGraph.edgesOf(blocks);
+    if (links.length > 0) lines.push('');
+    links.forEach(({ from, to, type, label, kind, weight }) => {
+      const attributes = [];
+      if (type === 'double') attributes.push('dir=both');
+      if (label) attributes.push(`label=${quote(BlockDot.escapeLabel(label))}`);
+      if (kind) attributes.push(`kind=${quote(kind)}`);
+      if (weight !== undefined) attributes.push(`weight=${weight}`);
+      lines.push(`  ${quote(from)} -> ${quote(to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    });
+    
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read blocks and links from DOT source
+   * @param {string} source - DOT source
+   * @returns {object} {blocks, warnings}
+   */
+  static parse(source) {
+    const tokens = BlockDot.tokenize(source);
+    const warnings = [];
+    const reported = new Set();
+    const warn = (line, message) => {
+      if (reported.has(message)) return;
+      reported.add(message);
+      warnings.push({ path: `line ${line}`, message });
+    };
+    
+    let index = 0;
+    const peek = (offset = 0) => tokens[index + offset] || { type: 'end', value: 'end of input', line: BlockDot.lineCount(source) };
+    const next = () => {
+      const token = peek();
+      index++;
+      return token;
+    };
+    const isPunct = (token, value) => token.type === 'punct' && token.value === value;
+    const isKeyword = (token, word) => token.type === 'id' && !token.quoted && token.value.toLowerCase() === word;
+    const fail = (token, expected) => {
+      throw new Error(`DOT syntax error on line ${token.line}: expected ${expected} but found "${token.value}"`);
+    };
+    const expect = (value) => {
+      if (!isPunct(peek(), value)) fail(peek(), `"${value}"`);
+      return next();
+    };
+    const expectId = () => {
+      const token = next();
+      if (token.type === 'html') {
+        warn(token.line, 'HTML-like labels are imported as plain text');
+      } else if (token.type !== 'id') {
+        fail(token, 'a name');
+      }
+      return token;
+    };
+    
+    // Header: [strict] (graph | digraph) [name] {
+    if (isKeyword(peek(), 'strict')) next();
+    const kind = next();
+    if (!isKeyword(kind, 'graph') && !isKeyword(kind, 'digraph')) {
+      throw new Error('Not a DOT graph: expected "graph" or "digraph"');
+    }
+    const directed = kind.value.toLowerCase() === 'digraph';
+    if (peek().type === 'id') next();
+    expect('{');
+    
+    const nodes = new Map(); // name => {attribute: {value, line}}
+    const edges = [];
+    let defaults = { node: {}, edge: {} };
+    
+    const attributeList = () => {
+      const attributes = {};
+      while (isPunct(peek(), '[')) {
+        next();
+        while (!isPunct(peek(), ']')) {
+          if (peek().type === 'end') fail(peek(), '"]"');
+          const name = expectId();
+          let value = 'true';
+          if (isPunct(peek(), '=')) {
+            next();
+            value = expectId().value;
+          }
+          attributes[name.value] = { value, line: name.line };
+          if (isPunct(peek(), ',') || isPunct(peek(), ';')) next();
+        }
+        next();
+      }
+      return attributes;
+    };
+    
+    const declareNode = (name, attributes = {}) => {
+      if (!nodes.has(name)) nodes.set(name, { ...defaults.node });
+      Object.assign(nodes.get(name), attributes);
+    };
+    
+    // A node ID (ports dropped) or a subgraph; returns the node names it stands for
+    const operand = () => {
+      if (isKeyword(peek(), 'subgraph') || isPunct(peek(), '{')) return subgraph();
+      
+      const name = expectId();
+      while (isPunct(peek(), ':')) {
+        next();
+        expectId();
+        warn(name.line, 'Ports are not supported and were ignored');
+      }
+      declareNode(name.value);
+      return [name.value];
+    };
+    
+    const subgraph = () => {
+      const start = peek();
+      if (isKeyword(start, 'subgraph')) {
+        next();
+        if (peek().type === 'id') next();
+      }
+      warn(start.line, 'Subgraphs are not supported and were flattened');
+      
+      // Defaults set inside a subgraph end with it
+      const outer = defaults;
+      defaults = { node: { ...outer.node }, edge: { ...outer.edge } };
+      expect('{');
+      const names = statements();
+      expect('}');
+      defaults = outer;
+      return names;
+    };
+    
+    // One statement; returns the names of the nodes it mentions
+    const statement = () => {
+      const token = peek();
+      
+      if (['node', 'edge', 'graph'].some(word => isKeyword(token, word)) && isPunct(peek(1), '[')) {
+        next();
+        const target = token.value.toLowerCase();
+        const attributes = attributeList();
+        if (target === 'graph') {
+          Object.keys(attributes).forEach(name => warn(token.line, `Graph attribute "${name}" is not supported and was ignored`));
+        } else {
+          Object.assign(defaults[target], attributes);
+        }
+        return [];
+      }
+      
+      if (token.type === 'id' && isPunct(peek(1), '=')) {
+        next();
+        next();
+        expectId();
+        warn(token.line, `Graph attribute "${token.value}" is not supported and was ignored`);
+        return [];
+      }
+      
+      const chain = [operand()];
+      const lines = [];
+      while (peek().type === 'edgeop') {
+        const op = next();
+        if ((op.value === '->') !== directed) {
+          throw new Error(`DOT syntax error on line ${op.line}: "${op.value}" is not allowed in a ${directed ? 'digraph' : 'graph'}`);
+        }
+        lines.push(op.line);
+        chain.push(operand());
+      }
+      const attributes = attributeList();
+      
+      if (chain.length === 1) {
+        chain[0].forEach(name => declareNode(name, attributes));
+      }
+      for (let i = 1; i < chain.length; i++) {
+        chain[i - 1].forEach(from => chain[i].forEach(to => {
+          edges.push({ from, to, attributes: { ...defaults.edge, ...attributes }, line: lines[i - 1] });
+        }));
+      }
+      return Array.from(new Set(chain.flat()));
+    };
+    
+    // Statements up to the closing brace; returns the names of the nodes they mention
+    const statements = () => {
+      const mentioned = new Set();
+      while (peek().type !== 'end' && !isPunct(peek(), '}')) {
+        statement().forEach(name => mentioned.add(name));
+        while (isPunct(peek(), ';')) next();
+      }
+      return Array.from(mentioned);
+    };
+    
+    statements();
+    expect('}');
+    if (peek().type !== 'end') warn(peek().line, 'Only the first graph was imported');
+    
+    return { blocks: BlockDot.toBlocks(nodes, edges, directed, warn), warnings };
+  }
+
+  /**
+   * Turn parsed nodes and edges into serialized blocks
+   * @param {Map} nodes - Node name => attributes
+   * @param {Array} edges - [{from, to, attributes, line}]
+   * @param {boolean} directed - Whether the graph is a digraph
+   * @param {Function} warn - (line, message) reporter
+   * @returns {Array} Serialized blocks
+   */
+  static toBlocks(nodes, edges, directed, warn) {
+    const number = value => (value !== undefined && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined);
+    const unsupported = (attributes, known, what) => {
+      Object.entries(attributes).forEach(([name, { line }]) => {
+        if (!known.includes(name)) warn(line, `${what} attribute "${name}" is not supported and was ignored`);
+      });
+    };
+    
+    const blocks = new Map();
+    nodes.forEach((attributes, name) => {
+      unsupported(attributes, BlockDot.NODE_ATTRIBUTES, 'Node');
+      const value = key => attributes[key] && attributes[key].value;
+      
+      const block = {
+        id: name,
+        content: value('label') !== undefined ? BlockDot.unescapeLabel(value('label'), name) : name,
+        type: value('type') || 'default',
+        parentId: value('parent') || null,
+        links: []
+      };
+      
+      const width = number(value('width'));
+      const height = number(value('height'));
+      if (width !== undefined && height !== undefined) {
+        block.size = { width: Math.round(width * 72), height: Math.round(height * 72) };
+      }
+      
+      const pos = (value('pos') || '').replace(/!$/, '').split(',').map(number);
+      if (pos.length === 2 && pos.every(coordinate => coordinate !== undefined)) {
+        const size = block.size || { width: 250, height: 250 };
+        block.position = { x: Math.round(pos[0] - size.width / 2), y: Math.round(-pos[1] - size.height / 2) };
+      } else if (value('pos') !== undefined) {
+        warn(attributes.pos.line, `Position "${value('pos')}" of node "${name}" is not a point and was ignored`);
+      }
+      
+      blocks.set(name, block);
+    });
+    
+    edges.forEach(({ from, to, attributes, line }) => {
+      unsupported(attributes, BlockDot.EDGE_ATTRIBUTES, 'Edge');
+      const value = key => attributes[key] && attributes[key].value;
+      
+      const dir = value('dir') || (directed ? 'forward' : 'none');
+      const [source, target] = dir === 'back' ? [blocks.get(to), blocks.get(from)] : [blocks.get(from), blocks.get(to)];
+      const type = dir === 'both' || dir === 'none' ? 'double' : 'single';
+      
+      // Opposite single edges stay two single links, each with its own details
+      const reverse = target.links.find(link => link.id === source.id);
+      const existing = source.links.find(link => link.id === target.id);
+      if (existing || (reverse && (reverse.type === 'double' || type === 'double'))) {
+        warn(line, `Parallel edge between "${source.id}" and "${target.id}" was ignored`);
+        return;
+      }
+      
+      const meta = { type };
+      if (value('label') !== undefined) meta.label = BlockDot.unescapeLabel(value('label'), '');
+      if (value('kind') !== undefined) meta.kind = value('kind');
+      if (number(value('weight')) !== undefined) meta.weight = number(value('weight'));
+      
+      source.links.push({ id: target.id, ...meta });
+      if (type === 'double') target.links.push({ id: source.id, ...meta });
+    });
+    
+    return Array.from(blocks.values());
+  }
+
+  /**
+   * Split DOT source into tokens: id (names, numbers and quoted strings),
+   * html, edgeop and punct
+   * @param {string} source - DOT source
+   * @returns {Array} Tokens {type, value, line, quoted}
+   */
+  static tokenize(source) {
+    const tokens = [];
+    const word = /-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+    let line = 1;
+    let i = 0;
+    
+    while (i < source.length) {
+      const char = source[i];
+      const rest = source.slice(i, i + 2);
+      
+      if (char === '\n') {
+        line++;
+        i++;
+      } else if (/\s/.test(char)) {
+        i++;
+      } else if (rest === '//' || (char === '#' && (i === 0 || source[i - 1] === '\n'))) {
+        while (i < source.length && source[i] !== '\n') i++;
+      } else if (rest === '/*') {
+        const end = source.indexOf('*/', i + 2);
+        const stop = end < 0 ? source.length : end + 2;
+        line += (source.slice(i, stop).match(/\n/g) || []).length;
+        i = stop;
+      } else if (rest === '->' || rest === '--') {
+        tokens.push({ type: 'edgeop', value: rest, line });
+        i += 2;
+      } else if ('{}[]=;,:'.includes(char)) {
+        tokens.push({ type: 'punct', value: char, line });
+        i++;
+      } else if (char === '"') {
+        const start = line;
+        let value = '';
+        i++;
+        while (i < source.length && source[i] !== '"') {
+          if (source[i] === '\\' && source[i + 1] === '"') {
+            value += '"';
+            i += 2;
+          } else if (source[i] === '\\' && source[i + 1] === '\n') {
+            line++;
+            i += 2;
+          } else if (source[i] === '\\' && source[i + 1] === '\\') {
+            value += '\\\\';
+            i += 2;
+          } else {
+            if (source[i] === '\n') line++;
+            value += source[i++];
+          }
+        }
+        if (i >= source.length) throw new Error(`DOT syntax error on line ${start}: unterminated string`);
+        i++;
+        
+        // "a" + "b" concatenates
+        const last = tokens[tokens.length - 1];
+        if (last && last.concat) {
+          last.value += value;
+          delete last.concat;
+        } else {
+          tokens.push({ type: 'id', value, line: start, quoted: true });
+        }
+      } else if (char === '+' && tokens.length > 0 && tokens[tokens.length - 1].quoted) {
+        tokens[tokens.length - 1].concat = true;
+        i++;
+      } else if (char === '<') {
+        const start = line;
+        let depth = 0;
+        let value = '';
+        do {
+          if (source[i] === '<') depth++;
+          if (source[i] === '>') depth--;
+          if (source[i] === '\n') line++;
+          value += source[i++];
+        } while (i < source.length && depth > 0);
+        if (depth > 0) throw new Error(`DOT syntax error on line ${start}: unterminated HTML string`);
+        tokens.push({ type: 'html', value: value.slice(1, -1), line: start });
+      } else {
+        word.lastIndex = i;
+        const match = word.exec(source);
+        if (!match) throw new Error(`DOT syntax error on line ${line}: unexpected "${char}"`);
+        tokens.push({ type: 'id', value: match[0], line });
+        i += match[0].length;
+      }
+    }
+    return tokens;
+  }
+
+  static lineCount(source) {
+    return source.split('\n').length;
+  }
+
+  /**
+   * Quote a DOT ID (inside quotes only \" is an escape)
+   */
+  static quote(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Text as a Graphviz label: backslashes are doubled and line breaks
+   * become \n, since Graphviz reads backslashes in labels as escapes
+   */
+  static escapeLabel(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+  }
+
+  /**
+   * Label escapes back to text (\n, \l and \r are line breaks, \N the node name)
+   * @param {string} label - Label after string unquoting
+   * @param {string} name - Node name for \N
+   * @returns {string} Plain text
+   */
+  static unescapeLabel(label, name) {
+    const text = label.replace(/\\([\\nlrN])/g, (escape, char) => {
+      if (char === '\\') return '\\';
+      return char === 'N' ? name : '\n';
+    });
+    // A closing \l or \r ends the last line instead of starting another
+    return /\\[lr]$/.test(label) ? text.slice(0, -1) : text;
+  }
+}
+
+// Attributes the importer understands (shape is presentation only)
+BlockDot.NODE_ATTRIBUTES = ['label', 'type', 'parent', 'pos', 'width', 'height', 'shape'];
+BlockDot.EDGE_ATTRIBUTES = ['label', 'dir', 'kind', 'weight'];
+
+/**
+ * Mermaid flowchart export and import. Block content becomes the node
+ * label, the block type a node class (plus a shape from TYPE_SHAPES) and
+ * frames become subgraphs. Mermaid has no coordinates, so imported
+ * flowcharts are laid out automatically.
+ */
+class BlockMermaid {
+  /**
+   * Write blocks as a flowchart. Link kinds and weights have no Mermaid
+   * equivalent and are left out.
+   * @param {Array} blocks - Blocks to export
+   * @param {object} options - {direction: 'TB' (default), 'TD', 'BT', 'LR' or 'RL', colors: {type: CSS color} for classDef lines}
+   * @returns {string} Mermaid source
+   */
+  static export(blocks, options = {}) {
+    const { direction = 'TB', colors = {} } = options;
+    if (!BlockMermaid.DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown flowchart direction "${direction}" (expected ${BlockMermaid.DIRECTIONS.join(', ')})`);
+    }
+    
+    // Block IDs that aren't valid Mermaid node IDs get a numbered one
+    const ids = new Map();
+    const taken = new Set(blocks.map(block => block.id));
+    let counter = 0;
+    blocks.forEach(block => {
+      let id = block.id;
+      if (!/^[A-Za-z_]\w*$/.test(id) || BlockMermaid.KEYWORDS.includes(id.toLowerCase())) {
+        do { id = `n${++counter}`; } while (taken.has(id));
+        taken.add(id);
+      }
+      ids.set(block.id, id);
+    });
+    
+    const children = new Map();
+    blocks.forEach(block => {
+      const parent = ids.has(block.parentId) ? block.parentId : null;
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(block);
+    });
+    
+    const lines = [`flowchart ${direction}`];
+    const classes = [];
+    const write = (parentId, indent) => {
+      (children.get(parentId) || []).forEach(block => {
+        const id = ids.get(block.id);
+        const label = `"${BlockMermaid.escapeLabel(block.content)}"`;
+        
+        if (block.type === 'frame' || children.has(block.id)) {
+          lines.push(`${indent}subgraph ${id} [${label}]`);
+          write(block.id, indent + '    ');
+          lines.push(`${indent}end`);
+          if (block.type !== 'frame') classes.push(`    class ${id} ${block.type}`);
+          return;
+        }
+        
+        const [open, close] = BlockMermaid.SHAPES[BlockMermaid.TYPE_SHAPES[block.type]] || BlockMermaid.SHAPES.rectangle;
+        const type = block.type === 'default' ? '' : `:::${block.type}`;
+        lines.push(`${indent}${id}${open}${label}${close}${type}`);
+      });
+    };
+    write(null, '    ');
+    
+    const links = BlockGraph.edgesOf(blocks);
+    links.forEach(({ from, to, type, label }) => {
+      const arrow = type === 'double' ? '<-->' : '-->';
+      const text = label ? `|"${BlockMermaid.escapeLabel(label).replace(/\|/g, '#124;')}"|` : '';
+      lines.push(`    ${ids.get(from)} ${arrow}${text} ${ids.get(to)}`);
+    });
+    
+    lines.push(...classes);
+    new Set(blocks.map(block => block.type)).forEach(type => {
+      if (colors[type] && type !== 'default' && type !== 'frame') lines.push(`    classDef ${type} stroke:${colors[type]}`);
+    });
+    
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read blocks and links from a flowchart. Styling statements (style,
+   * linkStyle, click) and subgraph directions are skipped with a warning.
+   * @param {string} source - Mermaid source starting with "flowchart" or "graph"
+   * @returns {object} {blocks, warnings, layoutOptions: {direction}}
+   */
+  static parse(source) {
+    const warnings = [];
+    const reported = new Set();
+    const warn = (line, message) => {
+      if (reported.has(message)) return;
+      reported.add(message);
+      warnings.push({ path: `line ${line}`, message });
+    };
+    
+    const blocks = new Map();
+    const shapes = new Map(); // id => shape name of the last declaration
+    const classed = new Set();
+    const subgraphs = [];
+    let direction = null;
+    let frontmatter = false;
+    
+    const node = (id, inside) => {
+      if (!blocks.has(id)) {
+        blocks.set(id, { id, content: id, type: 'default', parentId: null, links: [] });
+      }
+      const block = blocks.get(id);
+      const parent = inside[inside.length - 1];
+      if (parent && block.parentId === null && !inside.includes(id)) block.parentId = parent;
+      return block;
+    };
+    
+    source.split(/\r?\n/).forEach((text, index) => {
+      const line = index + 1;
+      const error = message => new Error(`Mermaid syntax error on line ${line}: ${message}`);
+      
+      // YAML frontmatter (title, config) before the diagram
+      if (direction === null && text.trim() === '---') {
+        frontmatter = !frontmatter;
+        return;
+      }
+      if (frontmatter) return;
+      
+      BlockMermaid.splitStatements(text).forEach(statement => {
+        if (statement === '' || statement.startsWith('%%')) return;
+        
+        if (direction === null) {
+          const header = statement.match(/^(?:flowchart|graph)(?:\s+(TB|TD|BT|LR|RL))?$/i);
+          if (!header) throw error('expected "flowchart" or "graph"');
+          direction = (header[1] || 'TB').toUpperCase();
+          return;
+        }
+        
+        const keyword = statement.match(/^\w+/);
+        switch (keyword && keyword[0]) {
+          case 'subgraph': {
+            const rest = statement.slice(8).trim();
+            const titled = rest.match(/^([\w\u0080-\uffff]+)\s*\[(.*)\]$/);
+            let id = rest;
+            let title = rest;
+            if (titled) {
+              [, id, title] = titled;
+            } else if (/^".*"$/.test(rest)) {
+              id = title = rest;
+            } else if (rest === '') {
+              id = title = `subGraph${subgraphs.length}`;
+            }
+            title = BlockMermaid.unescapeLabel(title.trim().replace(/^"([^]*)"$/, '$1'));
+            
+            const frame = node(id.replace(/^"([^]*)"$/, '$1'), subgraphs);
+            frame.content = title;
+            if (!classed.has(frame.id)) frame.type = 'frame';
+            subgraphs.push(frame.id);
+            return;
+          }
+          case 'end':
+            if (statement !== 'end') break;
+            if (subgraphs.length === 0) throw error('"end" without a subgraph');
+            subgraphs.pop();
+            return;
+          case 'direction':
+            warn(line, 'Subgraph directions are not supported and were ignored');
+            return;
+          case 'classDef':
+            return;
+          case 'class': {
+            const parts = statement.split(/\s+/);
+            if (parts.length !== 3) throw error('expected "class <ids> <className>"');
+            parts[1].split(',').forEach(id => {
+              node(id, subgraphs).type = parts[2];
+              classed.add(id);
+            });
+            return;
+          }
+          case 'style':
+          case 'linkStyle':
+          case 'click':
+            warn(line, `"${keyword[0]}" statements are not supported and were ignored`);
+            return;
+        }
+        
+        BlockMermaid.parseChain(statement, error, warn.bind(null, line)).forEach(item => {
+          if (item.link) {
+            BlockMermaid.addLink(blocks.get(item.from), blocks.get(item.to), item.link, warn.bind(null, line));
+            return;
+          }
+          const block = node(item.id, subgraphs);
+          if (item.label !== undefined) block.content = item.label;
+          if (item.shape) shapes.set(item.id, item.shape);
+          if (item.className) {
+            block.type = item.className;
+            classed.add(item.id);
+          }
+        });
+      });
+    });
+    
+    if (direction === null) throw new Error('Mermaid syntax error: not a flowchart (no "flowchart" or "graph" header)');
+    if (subgraphs.length > 0) throw new Error(`Mermaid syntax error: subgraph "${subgraphs.pop()}" is not closed with "end"`);
+    
+    // Unclassed nodes get the block type whose shape they use
+    shapes.forEach((shape, id) => {
+      if (classed.has(id) || blocks.get(id).type === 'frame') return;
+      const match = Object.keys(BlockMermaid.TYPE_SHAPES).find(type => BlockMermaid.TYPE_SHAPES[type] === shape);
+      blocks.get(id).type = match || 'default';
+    });
+    
+    return {
+      blocks: Array.from(blocks.values()),
+      warnings,
+      layoutOptions: { direction: direction === 'LR' || direction === 'RL' ? 'LR' : 'TB' }
+    };
+  }
+
+  /**
+   * Parse one node or edge statement: groups of nodes joined with & and
+   * connected by links, e.g. `a & b["B"] -->|label| c:::task --- d`
+   * @param {string} statement - Statement text
+   * @param {Function} error - Creates a syntax error for a message
+   * @param {Function} warn - Reports a warning
+   * @returns {Array} Nodes {id, label, shape, className} followed by their links {from, to, link}
+   */
+  static parseChain(statement, error, warn) {
+    const items = [];
+    let i = 0;
+    
+    const skipSpace = () => {
+      while (i < statement.length && /\s/.test(statement[i])) i++;
+    };
+    
+    const readNode = () => {
+      const name = /[\w\u0080-\uffff]+/y;
+      name.lastIndex = i;
+      const match = name.exec(statement);
+      if (!match) throw error(`expected a node at "${statement.slice(i, i + 20)}"`);
+      const item = { id: match[0] };
+      i += match[0].length;
+      
+      const openers = Object.entries(BlockMermaid.SHAPES).filter(([, [open]]) => statement.startsWith(open, i));
+      if (openers.length > 0) {
+        const length = Math.max(...openers.map(([, [open]]) => open.length));
+        const candidates = openers.filter(([, [open]]) => open.length === length);
+        i += length;
+        
+        let label = null;
+        if (statement[i] === '"') {
+          const end = statement.indexOf('"', i + 1);
+          if (end < 0) throw error(`unterminated label of node "${item.id}"`);
+          label = statement.slice(i + 1, end);
+          i = end + 1;
+        }
+        
+        // Quoted labels must be followed by the closer; bare ones run up to it
+        let found = null;
+        candidates.forEach(([shape, [, close]]) => {
+          const at = label !== null ? (statement.startsWith(close, i) ? i : -1) : statement.indexOf(close, i);
+          if (at >= 0 && (!found || at < found.at)) found = { shape, close, at };
+        });
+        if (!found) throw error(`unclosed shape of node "${item.id}"`);
+        
+        if (label === null) label = statement.slice(i, found.at).trim();
+        item.label = BlockMermaid.unescapeLabel(label.replace(/^`([^]*)`$/, '$1'));
+        item.shape = found.shape;
+        i = found.at + found.close.length;
+      }
+      
+      const className = /:::([\w-]+)/y;
+      className.lastIndex = i;
+      const classMatch = className.exec(statement);
+      if (classMatch) {
+        item.className = classMatch[1];
+        i += classMatch[0].length;
+      }
+      return item;
+    };
+    
+    const readGroup = () => {
+      const group = [];
+      for (;;) {
+        skipSpace();
+        group.push(readNode());
+        skipSpace();
+        if (statement[i] !== '&') return group;
+        i++;
+      }
+    };
+    
+    let left = readGroup();
+    items.push(...left);
+    while (i < statement.length) {
+      const link = BlockMermaid.readLink(statement, i);
+      if (!link) throw error(`expected a link at "${statement.slice(i, i + 20)}"`);
+      i += link.length;
+      
+      const right = readGroup();
+      items.push(...right);
+      if (link.invisible) {
+        warn('Invisible links (~~~) were ignored');
+      } else {
+        left.forEach(from => right.forEach(to => items.push({ from: from.id, to: to.id, link })));
+      }
+      left = right;
+    }
+    
+    // Declare every node before linking so links can refer to them
+    return [...items.filter(item => !item.link), ...items.filter(item => item.link)];
+  }
+
+  /**
+   * Match a link at a position: arrows (-->, ==>, -.->), open links (---),
+   * bidirectional ones (<-->), circle and cross ends (--o, --x) and
+   * invisible ones (~~~), with a label as -->|text| or -- text -->
+   * @returns {object|null} {length, start, end, label, invisible}
+   */
+  static readLink(statement, i) {
+    const rest = statement.slice(i);
+    const end = '(>|[ox](?![\\w\\u0080-\\uffff]))';
+    const plain = rest.match(new RegExp(`^\\s*([<ox]?)(?:(-{2,}|={2,}|-\\.+-)${end}|(-{3,}|={3,}|-\\.+-|~{3,})())\\s*(?:\\|([^|]*)\\|)?`));
+    const texted = !plain && rest.match(new RegExp(`^\\s*([<ox]?)(--|==|-\\.)\\s+(.+?)\\s+(?:(-{2,}|={2,}|\\.+-)${end}|(-{3,}|={3,}|\\.+-)())`));
+    
+    if (plain) {
+      return {
+        length: plain[0].length,
+        start: plain[1] !== '',
+        end: Boolean(plain[3]),
+        label: plain[6] !== undefined ? BlockMermaid.unescapeLabel(plain[6].trim().replace(/^"([^]*)"$/, '$1')) : undefined,
+        invisible: (plain[4] || '').startsWith('~')
+      };
+    }
+    if (texted) {
+      return {
+        length: texted[0].length,
+        start: texted[1] !== '',
+        end: Boolean(texted[5]),
+        label: BlockMermaid.unescapeLabel(texted[3].replace(/^"([^]*)"$/, '$1')),
+        invisible: false
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Add a parsed link: one arrowhead makes a single link, both or none
+   * (an undirected ---) a double one; a single link in the opposite
+   * direction is added as a second single link
+   */
+  static addLink(from, to, { start, end, label }, warn) {
+    const [source, target] = start && !end ? [to, from] : [from, to];
+    const type = start === end ? 'double' : 'single';
+    
+    const reverse = target.links.find(link => link.id === source.id);
+    const existing = source.links.find(link => link.id === target.id);
+    if (existing || (reverse && (reverse.type === 'double' || type === 'double'))) {
+      warn(`Parallel link between "${source.id}" and "${target.id}" was ignored`);
+      return;
+    }
+    
+    const meta = { type };
+    if (label) meta.label = label;
+    
+    source.links.push({ id: target.id, ...meta });
+    if (type === 'double') target.links.push({ id: source.id, ...meta });
+  }
+
+  /**
+   * Split a line at semicolons outside quoted labels and entity codes
+   * @param {string} text - Source line
+   * @returns {Array} Trimmed statements
+   */
+  static splitStatements(text) {
+    const statements = [];
+    const entity = /#\w+;/y;
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      entity.lastIndex = i;
+      const match = text[i] === '#' && entity.exec(text);
+      if (match) {
+        current += match[0];
+        i += match[0].length - 1;
+      } else if (text[i] === ';' && !quoted) {
+        statements.push(current.trim());
+        current = '';
+      } else {
+        if (text[i] === '"') quoted = !quoted;
+        current += text[i];
+      }
+    }
+    statements.push(current.trim());
+    return statements;
+  }
+
+  /**
+   * Text as a quoted Mermaid label: quotes and HTML characters become
+   * entity codes (#quot;), a # that would start one becomes #35; and line
+   * breaks become <br>
+   */
+  static escapeLabel(text) {
+    const entities = { '"': '#quot;', '&': '#amp;', '<': '#lt;', '>': '#gt;' };
+    return String(text)
+      .replace(/#(?=\w+;)/g, '#35;')
+      .replace(/["&<>]/g, char => entities[char])
+      .replace(/^`/, '#96;')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Label back to text: <br> is a line break, and Mermaid (#quot;, #35;)
+   * and HTML (&quot;, &#35;) entity codes are decoded
+   */
+  static unescapeLabel(label) {
+    const named = { quot: '"', amp: '&', lt: '<', gt: '>', apos: "'", nbsp: ' ' };
+    return label
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/(?:#|&#?)(\w+);/g, (entity, code) => {
+        if (/^\d+$/.test(code)) return String.fromCodePoint(Number(code));
+        return named[code] !== undefined ? named[code] : entity;
+      });
+  }
+}
+
+BlockMermaid.DIRECTIONS = ['TB', 'TD', 'BT', 'LR', 'RL'];
+// Words that can't be node IDs
+BlockMermaid.KEYWORDS = ['end', 'graph', 'flowchart', 'subgraph', 'class', 'classdef', 'style', 'linkstyle', 'click', 'direction', 'call', 'href'];
+// Node shapes by name: [opening, closing] bracket
+BlockMermaid.SHAPES = {
+  rectangle: ['[', ']'],
+  round: ['(', ')'],
+  stadium: ['([', '])'],
+  subroutine: ['[[', ']]'],
+  cylinder: ['[(', ')]'],
+  circle: ['((', '))'],
+  'double-circle': ['(((', ')))'],
+  asymmetric: ['>', ']'],
+  rhombus: ['{', '}'],
+  hexagon: ['{{', '}}'],
+  parallelogram: ['[/', '/]'],
+  'parallelogram-alt': ['[\\', '\\]'],
+  trapezoid: ['[/', '\\]'],
+  'trapezoid-alt': ['[\\', '/]']
+};
+// Shape of each block type; other types are rectangles
+BlockMermaid.TYPE_SHAPES = {
+  note: 'round',
+  task: 'stadium'
+};
+
+/**
+ * JSON Canvas (.canvas, as used by Obsidian) export and import. Blocks are
+ * text nodes, frames are groups and the block type is the node color.
+ * Fields the board has no place for - file and link nodes, group
+ * backgrounds, edge sides, unmapped colors - are kept in a "canvas"
+ * property of the block (as JSON) and in link attributes, and written
+ * back on export.
+ */
+class BlockCanvas {
+  /**
+   * Write blocks as a canvas. Link kinds and weights are not part of the
+   * format and are left out.
+   * @param {Array} blocks - Blocks to export
+   * @param {object} options - {colors: {type: CSS color} for types without a preset in TYPE_COLORS}
+   * @returns {object} Canvas {nodes, edges}
+   */
+  static export(blocks, options = {}) {
+    const colors = BlockCanvas.palette(options.colors);
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const depth = block => {
+      let count = 0;
+      for (let parent = byId.get(block.parentId); parent && count < blocks.length; parent = byId.get(parent.parentId)) count++;
+      return count;
+    };
+    
+    // Nodes are drawn in order, so groups go first and outer groups before inner ones
+    const frames = blocks.filter(block => block.type === 'frame').sort((a, b) => depth(a) - depth(b));
+    const nodes = [...frames, ...blocks.filter(block => block.type !== 'frame')].map(block => {
+      const extra = BlockCanvas.extraOf(block);
+      const kind = extra.type || (block.type === 'frame' ? 'group' : 'text');
+      const node = { id: block.id, type: kind };
+      
+      const field = BlockCanvas.CONTENT_FIELDS[kind];
+      if (field && (kind !== 'group' || block.content !== '')) node[field] = block.content;
+      Object.assign(node, {
+        x: Math.round(block.position.x),
+        y: Math.round(block.position.y),
+        width: Math.round(block.size.width),
+        height: Math.round(block.size.height)
+      });
+      
+      if (colors[block.type] || extra.color) node.color = colors[block.type] || extra.color;
+      if (byId.has(block.parentId)) node.parentId = block.parentId;
+      
+      Object.entries(extra).forEach(([key, value]) => {
+        if (node[key] === undefined) node[key] = value;
+      });
+      return node;
+    });
+    
+    const edges = [];
+    const links = BlockGraph.edgesOf(blocks);
+    links.forEach(({ from, to, type, label, attributes }) => {
+      const { fromNode, ...extra } = (attributes && attributes.canvas) || {};
+      // Double links are stored unordered; keep the direction the edge was drawn in
+      if (type === 'double' && fromNode === to) [from, to] = [to, from];
+      
+      const edge = { id: extra.id || BlockCanvas.edgeId(from, to), fromNode: from, toNode: to };
+      const undirected = type === 'double' && extra.fromEnd === 'none' && extra.toEnd === 'none';
+      if (type === 'double' && !undirected) Object.assign(edge, { fromEnd: 'arrow', toEnd: 'arrow' });
+      // A single link that came from an edge without arrows is written without them again
+      if (type === 'single' && extra.toEnd === 'none') edge.toEnd = 'none';
+      if (label) edge.label = label;
+      
+      Object.entries(extra).forEach(([key, value]) => {
+        if (edge[key] === undefined && (type === 'double' || (key !== 'fromEnd' && key !== 'toEnd'))) edge[key] = value;
+      });
+      edges.push(edge);
+    });
+    
+    return { nodes, edges };
+  }
+
+  /**
+   * Read blocks and links from a canvas. Group nodes become frames holding
+   * the nodes that lie inside them, or the node named by the parentId field
+   * that export() writes.
+   * @param {object|string} canvas - Canvas object or .canvas file contents
+   * @param {object} options - {colors: {type: CSS color}} as passed to export()
+   * @returns {object} {blocks, warnings}
+   */
+  static parse(canvas, options = {}) {
+    const data = typeof canvas === 'string' ? JSON.parse(canvas) : canvas;
+    if (!data || typeof data !== 'object' || Array.isArray(data) ||
+        (data.nodes !== undefined && !Array.isArray(data.nodes)) || (data.edges !== undefined && !Array.isArray(data.edges))) {
+      throw new Error('Not a JSON Canvas file: expected an object with "nodes" and "edges" arrays');
+    }
+    
+    const warnings = [];
+    const colors = BlockCanvas.palette(options.colors);
+    const typeOf = color => Object.keys(colors).find(type => String(colors[type]).toLowerCase() === String(color).toLowerCase());
+    const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+    
+    const blocks = new Map();
+    const declared = []; // [node ID, parentId field, path]
+    (data.nodes || []).forEach((node, index) => {
+      const path = `nodes[${index}]`;
+      if (!node || typeof node !== 'object' || typeof node.id !== 'string' || node.id === '') {
+        warnings.push({ path, message: 'Node without an id was ignored' });
+        return;
+      }
+      if (blocks.has(node.id)) {
+        warnings.push({ path, message: `Duplicate node "${node.id}" was ignored` });
+        return;
+      }
+      
+      const { id, type: kind = 'text', x, y, width, height, color, parentId, ...rest } = node;
+      if (typeof parentId === 'string') declared.push([id, parentId, path]);
+      const field = BlockCanvas.CONTENT_FIELDS[kind];
+      const extra = { ...rest };
+      if (kind !== 'text' && kind !== 'group') extra.type = kind;
+      if (field) delete extra[field];
+      if (!field) warnings.push({ path, message: `Unknown node type "${kind}" is kept as an empty block` });
+      
+      const block = { id, content: field && typeof node[field] === 'string' ? node[field] : '', links: [] };
+      const type = kind === 'group' ? undefined : color !== undefined && typeOf(color);
+      block.type = kind === 'group' ? 'frame' : type || 'default';
+      if (color !== undefined && !type) extra.color = color;
+      
+      if (number(x) !== undefined && number(y) !== undefined) block.position = { x, y };
+      if (number(width) > 0 && number(height) > 0) block.size = { width, height };
+      if (Object.keys(extra).length > 0) {
+        block.properties = { canvas: { type: 'string', value: JSON.stringify(extra) } };
+      }
+      blocks.set(id, block);
+    });
+    
+    // A node belongs to the smallest group it lies inside
+    const groups = Array.from(blocks.values())
+      .filter(block => block.type === 'frame' && block.position && block.size)
+      .sort((a, b) => a.size.width * a.size.height - b.size.width * b.size.height);
+    blocks.forEach(block => {
+      if (!block.position) return;
+      const size = block.size || { width: 0, height: 0 };
+      const parent = groups.find(group => group !== block &&
+        group.size.width * group.size.height > size.width * size.height &&
+        block.position.x >= group.position.x && block.position.y >= group.position.y &&
+        block.position.x + size.width <= group.position.x + group.size.width &&
+        block.position.y + size.height <= group.position.y + group.size.height);
+      block.parentId = parent ? parent.id : null;
+    });
+    
+    // The parent export() wrote wins over geometry, as long as it is a node of this canvas
+    declared.forEach(([id, parentId, path]) => {
+      const block = blocks.get(id);
+      let ancestor = blocks.get(parentId);
+      while (ancestor && ancestor !== block) ancestor = blocks.get(ancestor.parentId);
+      if (!blocks.has(parentId) || ancestor === block) {
+        const problem = blocks.has(parentId) ? 'would make a loop' : 'is not on the canvas';
+        warnings.push({ path, message: `Parent "${parentId}" of node "${id}" ${problem} and was ignored` });
+        return;
+      }
+      block.parentId = parentId;
+    });
+    
+    (data.edges || []).forEach((edge, index) => {
+      const path = `edges[${index}]`;
+      if (!edge || typeof edge !== 'object' || !blocks.has(edge.fromNode) || !blocks.has(edge.toNode)) {
+        warnings.push({ path, message: 'Edge between unknown nodes was ignored' });
+        return;
+      }
+      
+      const { fromNode, toNode, fromEnd = 'none', toEnd = 'arrow', label, ...extra } = edge;
+      const arrows = (fromEnd === 'arrow' ? 1 : 0) + (toEnd === 'arrow' ? 2 : 0);
+      const [source, target] = arrows === 1 ? [blocks.get(toNode), blocks.get(fromNode)] : [blocks.get(fromNode), blocks.get(toNode)];
+      // The board has no undirected links: an edge without arrows is a single link in drawing order
+      const type = arrows === 3 ? 'double' : 'single';
+      
+      if (source === target) {
+        warnings.push({ path, message: `Edge from "${fromNode}" to itself was ignored` });
+        return;
+      }
+      // Opposite single edges stay two single links, each with its own label and attributes
+      const reverse = target.links.find(link => link.id === source.id);
+      if (source.links.some(link => link.id === target.id) || (reverse && (reverse.type === 'double' || type === 'double'))) {
+        warnings.push({ path, message: `Parallel edge between "${fromNode}" and "${toNode}" was ignored` });
+        return;
+      }
+      
+      if (arrows === 1) [extra.fromSide, extra.toSide] = [extra.toSide, extra.fromSide];
+      Object.keys(extra).forEach(key => {
+        if (extra[key] === undefined) delete extra[key];
+      });
+      if (type === 'double') Object.assign(extra, { fromNode, fromEnd, toEnd });
+      if (type === 'single' && arrows === 0) extra.toEnd = 'none';
+      if (type === 'double' && arrows === 3) {
+        delete extra.fromEnd;
+        delete extra.toEnd;
+      }
+      // Leave out what export() would write anyway
+      if (extra.fromNode === JSON.parse(BlockDiff.pairKey(fromNode, toNode))[0]) delete extra.fromNode;
+      if (extra.id === BlockCanvas.edgeId(source.id, target.id)) delete extra.id;
+      
+      const meta = { type };
+      if (typeof label === 'string' && label !== '') meta.label = label;
+      if (Object.keys(extra).length > 0) meta.attributes = { canvas: extra };
+      
+      source.links.push({ id: target.id, ...meta });
+      if (type === 'double') target.links.push({ id: source.id, ...meta });
+    });
+    
+    return { blocks: Array.from(blocks.values()), warnings };
+  }
+
+  /**
+   * Node colors by block type: TYPE_COLORS over the registered type colors.
+   * Default blocks and frames have no color of their own.
+   * @param {object} colors - {type: CSS color}
+   * @returns {object} {type: color}
+   */
+  static palette(colors = {}) {
+    const palette = { ...colors, ...BlockCanvas.TYPE_COLORS };
+    delete palette.default;
+    delete palette.frame;
+    return palette;
+  }
+
+  /**
+   * Node fields kept from an import (see parse())
+   * @param {object} block - Block
+   * @returns {object} Extra node fields
+   */
+  static extraOf(block) {
+    const value = block.getProperty('canvas');
+    if (typeof value !== 'string') return {};
+    try {
+      const extra = JSON.parse(value);
+      return extra && typeof extra === 'object' && !Array.isArray(extra) ? extra : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Stable ID for an exported edge that wasn't imported
+   */
+  static edgeId(from, to) {
+    let hash = 0;
+    for (const char of `${from}->${to}`) hash = (Math.imul(hash, 31) + char.codePointAt(0)) >>> 0;
+    return `edge-${hash.toString(16).padStart(8, '0')}`;
+  }
+}
+
+// Node field that holds the block content, by node type
+BlockCanvas.CONTENT_FIELDS = { text: 'text', file: 'file', link: 'url', group: 'label' };
+// Color of each block type: a preset ("1" red, "2" orange, "3" yellow,
+// "4" green, "5" cyan, "6" purple) or a hex color
+BlockCanvas.TYPE_COLORS = {
+  note: '2',
+  task: '4'
+};
+
+/**
+ * Block ID strategies. Each one is a function (engine) => ID; the engine
+ * keeps whatever state a strategy needs in engine.idState.
+ */
+class BlockIds {
+  /**
+   * Timestamp plus random suffix, the historical format (block_<ms>_<random>)
+   * @returns {string} ID
+   */
+  static timestamp() {
+    return `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Random UUID (version 4)
+   * @returns {string} ID
+   */
+  static uuid() {
+    const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+    if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+      return cryptoApi.randomUUID();
+    }
+    
+    const bytes = BlockIds.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * ULID: 48-bit millisecond timestamp and 80 random bits in Crockford
+   * base32, so IDs sort by creation time. IDs made within the same
+   * millisecond increment the random part and stay in order.
+   * @param {BlockEngine} engine - Engine whose idState holds the last ID made
+   * @returns {string} 26-character ID
+   */
+  static ulid(engine) {
+    const state = engine.idState;
+    let time = Date.now();
+    let random;
+    
+    if (state.ulid && time <= state.ulid.time) {
+      time = state.ulid.time;
+      random = state.ulid.random.slice();
+      let i = random.length - 1;
+      while (i >= 0 && random[i] === 31) {
+        random[i] = 0;
+        i--;
+      }
+      if (i < 0) throw new Error('ULID random part overflowed within one millisecond');
+      random[i]++;
+    } else {
+      random = BlockIds.randomBytes(16).map(byte => byte & 31);
+    }
+    state.ulid = { time, random };
+    
+    let timePart = '';
+    for (let i = 0; i < 10; i++) {
+      timePart = BlockIds.CROCKFORD[time % 32] + timePart;
+      time = Math.floor(time / 32);
+    }
+    return timePart + random.map(digit => BlockIds.CROCKFORD[digit]).join('');
+  }
+
+  /**
+   * Sequential IDs (block-1, block-2, ...) counted per document. Numbers
+   * are never handed out twice while the document is open, even after the
+   * block holding one is deleted. Only safe when a single engine creates
+   * blocks: replicas editing the same document would pick the same numbers.
+   * @param {BlockEngine} engine - Engine whose idState holds the counter
+   * @returns {string} ID
+   */
+  static sequential(engine) {
+    const state = engine.idState;
+    let highest = state.sequence || 0;
+    engine.blocks.forEach((block, id) => {
+      const match = /^block-(\d+)$/.exec(id);
+      if (match) highest = Math.max(highest, Number(match[1]));
+    });
+    state.sequence = highest + 1;
+    return `block-${state.sequence}`;
+  }
+
+  /**
+   * Random bytes from the Web Crypto API where available
+   * @param {number} count - Number of bytes
+   * @returns {Array} Array of numbers 0-255
+   */
+  static randomBytes(count) {
+    const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+    if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+      return Array.from(cryptoApi.getRandomValues(new Uint8Array(count)));
+    }
+    return Array.from({ length: count }, () => Math.floor(Math.random() * 256));
+  }
+}
+
+BlockIds.CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+// Strategies selectable by name, see BlockEngine.setIdStrategy()
+BlockIds.STRATEGIES = {
+  timestamp: BlockIds.timestamp,
+  uuid: BlockIds.uuid,
+  ulid: BlockIds.ulid,
+  sequential: BlockIds.sequential
+};
+
+class BlockEngine {
+  /**
+   * @param {object} options - Engine options
+   * @param {number} options.historyLimit - Maximum number of undoable changes (default 100)
+   * @param {string|Function} options.idStrategy - How new block IDs are made, see setIdStrategy()
+   */
+  constructor(options = {}) {
+    this.blocks = new Map();
+    this.eventListeners = new Map();
+    this.settings = {
+      gridSize: 20, // For snapping to grid
+      defaultSpacing: 300, // Default spacing between auto-positioned blocks
+      minBlockWidth: 150,
+      minBlockHeight: 100
+    };
+    this.history = new CommandHistory(options.historyLimit ?? 100);
+    this.activeChange = null; // Change being recorded, see recordChange()
+    this.blockTypes = new Map();
+    this.linkKinds = new Map();
+    this.graph = new BlockGraph(this);
+    this.layout = new BlockLayout(this);
+    this.searchIndex = new BlockSearchIndex(this);
+    this.rules = new BlockRules(this);
+    this.storage = null; // Storage adapter, see setStorage()
+    this.storageOptions = { autosave: true, delay: 1000 };
+    this.documentName = 'default';
+    this.unsaved = { blocks: new Set(), removed: new Set(), dirty: false, full: true };
+    this.autosaveTimer = null;
+    this.idStrategy = 'timestamp';
+    this.idState = {}; // Per-document state of the ID strategy
+    
+    if (options.idStrategy) {
+      this.setIdStrategy(options.idStrategy);
+    }
+    
+    Object.entries(BlockEngine.DEFAULT_BLOCK_TYPES).forEach(([name, definition]) => {
+      this.registerBlockType(name, definition);
+    });
+    Object.entries(BlockEngine.DEFAULT_LINK_KINDS).forEach(([name, definition]) => {
+      this.registerLinkKind(name, definition);
+    });
+  }
+
+  /**
+   * Register (or redefine) a block type
+   * @param {string} name - Type name as stored in Block.type
+   * @param {object} definition - Type definition
+   * @param {object} definition.defaultSize - Size {width, height} for new blocks
+   * @param {string} definition.defaultContent - Content for new blocks created empty
+   * @param {string} definition.color - CSS color for the badge and border
+   * @param {string} definition.icon - Short text or emoji shown in the badge
+   * @param {Array} definition.fields - Field descriptors [{name, type, default}]
+   * @param {Function} definition.validate - (block) => true, or an error message
+   * @returns {object} The normalized definition
+   */
+  registerBlockType(name, definition = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Block type name must be a non-empty string');
+    }
+    
+    const size = definition.defaultSize;
+    const typeDef = {
+      name,
+      registered: true,
+      defaultSize: size && Number.isFinite(size.width) && Number.isFinite(size.height) ? { ...size } : null,
+      defaultContent: definition.defaultContent ?? '',
+      color: definition.color || null,
+      icon: definition.icon || '',
+      fields: Array.isArray(definition.fields) ? definition.fields.map(field => ({ ...field })) : [],
+      validate: typeof definition.validate === 'function' ? definition.validate : null
+    };
+    
+    this.blockTypes.set(name, typeDef);
+    this.emit('blockTypeRegistered', typeDef);
+    return typeDef;
+  }
+
+  /**
+   * Remove a block type from the registry (existing blocks keep their type)
+   * @param {string} name - Type name
+   * @returns {boolean} Whether the type was registered
+   */
+  unregisterBlockType(name) {
+    const removed = this.blockTypes.delete(name);
+    if (removed) this.emit('blockTypeUnregistered', { name });
+    return removed;
+  }
+
+  /**
+   * Get a type definition. Unregistered types get a neutral fallback
+   * definition with registered: false.
+   * @param {string} name - Type name
+   * @returns {object} Type definition
+   */
+  getBlockType(name) {
+    return this.blockTypes.get(name) || {
+      name,
+      registered: false,
+      defaultSize: null,
+      defaultContent: '',
+      color: null,
+      icon: '',
+      fields: [],
+      validate: null
+    };
+  }
+
+  /**
+   * Get all registered block types
+   * @returns {Array} Array of type definitions
+   */
+  getBlockTypes() {
+    return Array.from(this.blockTypes.values());
+  }
+
+  /**
+   * Run a block's type validator
+   * @param {Block} block - Block to check
+   * @returns {string|null} Error message, or null if the block is valid
+   */
+  validateBlock(block) {
+    const typeDef = this.blockTypes.get(block.type);
+    if (!typeDef || !typeDef.validate) return null;
+    
+    const outcome = typeDef.validate(block);
+    if (outcome === true || outcome === undefined || outcome === null) return null;
+    return typeof outcome === 'string' ? outcome : `Invalid ${block.type} block`;
+  }
+
+  /**
+   * Serializable form of the type registry (validators are code and stay behind)
+   * @returns {object} Map of type name to definition
+   */
+  exportBlockTypes() {
+    const types = {};
+    this.blockTypes.forEach(({ name, defaultSize, defaultContent, color, icon, fields }) => {
+      types[name] = { defaultSize, defaultContent, color, icon, fields };
+    });
+    return types;
+  }
+
+  /**
+   * Register types described by an imported file. Types already known
+   * locally keep their local definition.
+   * @param {object} types - Map of type name to definition
+   */
+  importBlockTypes(types) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) return;
+    
+    Object.entries(types).forEach(([name, definition]) => {
+      if (!this.blockTypes.has(name) && definition && typeof definition === 'object') {
+        this.registerBlockType(name, definition);
+      }
+    });
+  }
+
+  /**
+   * Create a new block
+   * @param {string} content - The content of the block
+   * @param {string} type - The type of block (default, note, task, etc.)
+   * @param {object} position - Optional position {x, y}
+   * @param {object} size - Optional size {width, height}
+   * @returns {Block|null} The created block, or null if the type's validate() rejected it
+   */
+  createBlock(content = '', type = 'default', position = null, size = null) {
+    const id = this.generateId();
+    const typeDef = this.blockTypes.get(type);
+    
+    // Fall back to the registered type's defaults
+    if (typeDef) {
+      if (content === '') content = typeDef.defaultContent;
+      if (!size && typeDef.defaultSize) size = typeDef.defaultSize;
+    }
+    
+    return this.recordChange('Create block', [id], () => {
+      const block = new Block(id, content, type);
+      
+      // Set position
+      if (position) {
+        block.setPosition(position.x, position.y);
+      } else {
+        // Auto-position new blocks
+        const autoPos = this.getAutoPosition();
+        block.setPosition(autoPos.x, autoPos.y);
+      }
+      
+      // Set size
+      if (size) {
+        block.setSize(size.width, size.height);
+      }
+      
+      // Properties declared by the type's fields start at their defaults
+      if (typeDef) {
+        typeDef.fields.forEach(field => {
+          if (field.default === undefined) return;
+          const fieldType = field.type || BlockSchema.inferPropertyType(field.default);
+          if (BlockSchema.isPropertyValue(field.default, fieldType)) {
+            block.setProperty(field.name, field.default, fieldType);
+          }
+        });
+      }
+      
+      const problem = this.validateBlock(block);
+      if (problem) {
+        this.emit('blockInvalid', { block, message: problem });
+        return null;
+      }
+      
+      this.blocks.set(id, block);
+      this.emit('blockCreated', block);
+      return block;
+    });
+  }
+
+  /**
+   * Get auto-position for new blocks
+   * @returns {object} Position {x, y}
+   */
+  getAutoPosition() {
+    const blocks = this.getAllBlocks();
+    if (blocks.length === 0) {
+      return { x: 50, y: 50 };
+    }
+    
+    // Find rightmost block
+    let maxX = 0;
+    let maxY = 50;
+    
+    blocks.forEach(block => {
+      if (block.position.x > maxX) {
+        maxX = block.position.x;
+        maxY = block.position.y;
+      }
+    });
+    
+    // Place new block to the right
+    return { 
+      x: maxX + this.settings.defaultSpacing, 
+      y: maxY 
+    };
+  }
+
+  /**
+   * Update block position. Blocks inside it (if it is a frame) move by the same amount.
+   * @param {string} id - The block ID
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {boolean} snapToGrid - Whether to snap to grid
+   * @param {object} options - {relative: true} to give x and y relative to the block's parent
+   * @returns {boolean} Success status (false if a beforeMove listener cancelled the move)
+   */
+  setBlockPosition(id, x, y, snapToGrid = true, options = {}) {
+    const block = this.getBlock(id);
+    if (!block || this.refuseLocked(block, 'position')) return false;
+    
+    const parent = options.relative ? this.getParent(id) : null;
+    if (parent) {
+      x += parent.position.x;
+      y += parent.position.y;
+    }
+    
+    if (snapToGrid) {
+      x = Math.round(x / this.settings.gridSize) * this.settings.gridSize;
+      y = Math.round(y / this.settings.gridSize) * this.settings.gridSize;
+    }
+    
+    // Listeners may veto the move or change where the block lands
+    const before = this.emitBefore('beforeMove', { block, x, y });
+    if (before.cancelled) return false;
+    ({ x, y } = before);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error('beforeMove listeners must leave x and y finite numbers');
+    }
+    
+    const descendants = this.getDescendants(id);
+    // The blocks inside move along, so one with a locked position holds the frame too
+    const held = descendants.find(child => child.locked.includes('position'));
+    if (held && (x !== block.position.x || y !== block.position.y)) {
+      this.refuseLocked(held, 'position');
+      return false;
+    }
+    
+    return this.recordChange('Move block', [id, ...descendants.map(b => b.id)], () => {
+      const dx = x - block.position.x;
+      const dy = y - block.position.y;
+      
+      block.setPosition(x, y);
+      this.emit('blockMoved', block);
+      
+      if (dx !== 0 || dy !== 0) {
+        descendants.forEach(child => {
+          child.setPosition(child.position.x + dx, child.position.y + dy);
+          this.emit('blockMoved', child);
+        });
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Position of a block relative to its parent (absolute for top-level blocks)
+   * @param {string} id - The block ID
+   * @returns {object|null} Position {x, y}, or null if the block does not exist
+   */
+  getRelativePosition(id) {
+    const block = this.getBlock(id);
+    if (!block) return null;
+    
+    const parent = this.getParent(id);
+    if (!parent) return { ...block.position };
+    return {
+      x: block.position.x - parent.position.x,
+      y: block.position.y - parent.position.y
+    };
+  }
+
+  /**
+   * Update block size
+   * @param {string} id - The block ID
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @returns {boolean} Success status
+   */
+  setBlockSize(id, width, height) {
+    const block = this.getBlock(id);
+    if (!block || this.refuseLocked(block, 'size')) return false;
+    
+    // Enforce minimum size
+    width = Math.max(width, this.settings.minBlockWidth);
+    height = Math.max(height, this.settings.minBlockHeight);
+    
+    return this.recordChange('Resize block', [id], () => {
+      block.setSize(width, height);
+      this.emit('blockResized', block);
+      return true;
+    });
+  }
+
+  /**
+   * Get block by ID
+   * @param {string} id - The block ID
+   * @returns {Block|null} The block or null if not found
+   */
+  getBlock(id) {
+    return this.blocks.get(id) || null;
+  }
+
+  /**
+   * Update block content
+   * @param {string} id - The block ID
+   * @param {string} content - The new content
+   * @returns {boolean} Success status
+   */
+  setBlockContent(id, content) {
+    const block = this.getBlock(id);
+    if (!block || this.refuseLocked(block, 'content')) return false;
+    
+    const candidate = Block.fromJSON(this.snapshotBlock(id));
+    candidate.content = content;
+    const problem = this.validateBlock(candidate);
+    if (problem) {
+      this.emit('blockInvalid', { block, message: problem });
+      return false;
+    }
+    
+    return this.recordChange('Edit content', [id], () => {
+      block.setContent(content);
+      this.emit('blockUpdated', block);
+      return true;
+    });
+  }
+
+  /**
+   * Change a block's type
+   * @param {string} id - The block ID
+   * @param {string} type - New type name
+   * @returns {boolean} Success status (false if the type's validator or a rule rejects the block)
+   */
+  setBlockType(id, type) {
+    const block = this.getBlock(id);
+    if (!block || typeof type !== 'string' || type === '') return false;
+    if (block.type === type) return true;
+    if (this.refuseLocked(block, 'content')) return false;
+    
+    const candidate = Block.fromJSON(this.snapshotBlock(id));
+    candidate.type = type;
+    const problem = this.validateBlock(candidate);
+    if (problem) {
+      this.emit('blockInvalid', { block, message: problem });
+      return false;
+    }
+    if (!this.enforceRules({ action: 'type', block, type, previousType: block.type })) return false;
+    
+    return this.recordChange('Change type', [id], () => {
+      block.setType(type);
+      this.emit('blockUpdated', block);
+      return true;
+    });
+  }
+
+  /**
+   * Lock parts of a block. The mutators refuse to change a locked part:
+   * they return false and emit 'lockViolated' ({block, aspect, message}).
+   * Links can't be added, edited or removed if either block has its links
+   * locked, so a block linked to one with its links locked can't be
+   * deleted either, and a block with any lock can't be deleted.
+   * @param {string} id - The block ID
+   * @param {string|Array} aspects - 'position', 'size', 'content', 'links', or 'all' (default)
+   * @returns {boolean} Success status
+   */
+  lockBlock(id, aspects = 'all') {
+    const block = this.getBlock(id);
+    if (!block) return false;
+    
+    const added = this.normalizeLockAspects(aspects);
+    const locked = BlockSchema.LOCK_ASPECTS.filter(aspect => block.locked.includes(aspect) || added.includes(aspect));
+    return this.setLocks(block, locked, 'Lock block');
+  }
+
+  /**
+   * Unlock parts of a block
+   * @param {string} id - The block ID
+   * @param {string|Array} aspects - As for lockBlock(); 'all' (default) removes every lock
+   * @returns {boolean} Success status
+   */
+  unlockBlock(id, aspects = 'all') {
+    const block = this.getBlock(id);
+    if (!block) return false;
+    
+    const removed = this.normalizeLockAspects(aspects);
+    return this.setLocks(block, block.locked.filter(aspect => !removed.includes(aspect)), 'Unlock block');
+  }
+
+  /**
+   * Whether a block is locked
+   * @param {string} id - The block ID
+   * @param {string} aspect - 'position', 'size', 'content' or 'links'; omit to ask about any lock
+   * @returns {boolean} True if the aspect (or anything) is locked
+   */
+  isLocked(id, aspect = null) {
+    const block = this.getBlock(id);
+    if (!block) return false;
+    return aspect ? block.locked.includes(aspect) : block.locked.length > 0;
+  }
+
+  /**
+   * Expand a lock argument into aspect names
+   * @param {string|Array} aspects - Aspect, 'all', or an array of them
+   * @returns {Array} Aspect names
+   */
+  normalizeLockAspects(aspects) {
+    const list = Array.isArray(aspects) ? aspects : [aspects];
+    if (list.includes('all')) return [...BlockSchema.LOCK_ASPECTS];
+    
+    list.forEach(aspect => {
+      if (!BlockSchema.LOCK_ASPECTS.includes(aspect)) {
+        throw new Error(`Unknown lock "${aspect}" (expected ${BlockSchema.LOCK_ASPECTS.join(', ')} or all)`);
+      }
+    });
+    return list;
+  }
+
+  /**
+   * Replace a block's locks as one undoable change
+   */
+  setLocks(block, locked, label) {
+    if (BlockDiff.equal(block.locked, locked)) return true;
+    
+    return this.recordChange(label, [block.id], () => {
+      block.locked = locked;
+      block.metadata.updatedAt = new Date().toISOString();
+      this.emit('blockLockChanged', { block, locked: [...locked] });
+      return true;
+    });
+  }
+
+  /**
+   * Refuse a change to a locked part of a block
+   * @param {Block} block - Block about to change
+   * @param {string} aspect - Part that would change, or null to refuse any lock
+   * @returns {boolean} True if the change is refused
+   */
+  refuseLocked(block, aspect) {
+    const locked = aspect ? block.locked.includes(aspect) : block.locked.length > 0;
+    if (!locked) return false;
+    
+    this.emit('lockViolated', { block, aspect: aspect || block.locked[0], message: this.lockMessage(block.id, aspect) });
+    return true;
+  }
+
+  /**
+   * Find a block outside a set that has its links locked and is linked
+   * to or from a block in the set
+   * @param {Array} ids - Block IDs about to go
+   * @returns {Block|null} The first such block
+   */
+  linkLockedNeighbor(ids) {
+    const leaving = new Set(ids);
+    return this.getAllBlocks().find(other => !leaving.has(other.id) && other.locked.includes('links') &&
+      ids.some(id => other.hasLink(id) || (this.getBlock(id) && this.getBlock(id).hasLink(other.id)))) || null;
+  }
+
+  /**
+   * Explain why a locked block can't be changed
+   * @param {string} id - Block ID
+   * @param {string|null} aspect - Locked part, or null for the block as a whole
+   * @returns {string} Message
+   */
+  lockMessage(id, aspect) {
+    return aspect ? `Block "${id}" has its ${aspect} locked` : `Block "${id}" is locked`;
+  }
+
+  /**
+   * Set a typed property on a block
+   * @param {string} id - The block ID
+   * @param {string} key - Property name
+   * @param {*} value - Property value
+   * @param {string} type - 'string', 'number', 'boolean', 'date' or 'url'; defaults to the
+   *   type's field declaration, then the existing property type, then the value's JS type
+   * @returns {boolean} Success status (false if the value doesn't fit the type)
+   */
+  setProperty(id, key, value, type = null) {
+    const block = this.getBlock(id);
+    if (!block || typeof key !== 'string' || key === '') return false;
+    if (this.refuseLocked(block, 'content')) return false;
+    
+    if (!type) {
+      const field = this.getBlockType(block.type).fields.find(f => f.name === key);
+      type = (field && field.type) || block.getPropertyType(key) || BlockSchema.inferPropertyType(value);
+    }
+    if (!BlockSchema.PROPERTY_TYPES.includes(type) || !BlockSchema.isPropertyValue(value, type)) {
+      return false;
+    }
+    
+    const candidate = Block.fromJSON(this.snapshotBlock(id));
+    candidate.properties.set(key, { type, value });
+    const problem = this.validateBlock(candidate);
+    if (problem) {
+      this.emit('blockInvalid', { block, message: problem });
+      return false;
+    }
+    
+    const previousValue = block.getProperty(key);
+    return this.recordChange('Set property', [id], () => {
+      block.setProperty(key, value, type);
+      this.emit('blockPropertyChanged', { block, key, value, type, previousValue });
+      return true;
+    });
+  }
+
+  /**
+   * Get a property value
+   * @param {string} id - The block ID
+   * @param {string} key - Property name
+   * @returns {*} The value, or undefined if the block or property doesn't exist
+   */
+  getProperty(id, key) {
+    const block = this.getBlock(id);
+    return block ? block.getProperty(key) : undefined;
+  }
+
+  /**
+   * Remove a property from a block
+   * @param {string} id - The block ID
+   * @param {string} key - Property name
+   * @returns {boolean} Success status
+   */
+  removeProperty(id, key) {
+    const block = this.getBlock(id);
+    if (!block || !block.hasProperty(key)) return false;
+    if (this.refuseLocked(block, 'content')) return false;
+    
+    const previousValue = block.getProperty(key);
+    return this.recordChange('Remove property', [id], () => {
+      block.removeProperty(key);
+      this.emit('blockPropertyChanged', { block, key, value: undefined, type: null, previousValue });
+      return true;
+    });
+  }
+
+  /**
+   * Find blocks by property
+   * @param {string} key - Property name
+   * @param {*} value - Optional value the property must equal
+   * @returns {Array} Array of matching blocks
+   */
+  getBlocksByProperty(key, value) {
+    return this.getAllBlocks().filter(block =>
+      block.hasProperty(key) && (value === undefined || block.getProperty(key) === value)
+    );
+  }
+
+  /**
+   * Add (or replace) a structure rule checked by linkBlocks(), setBlockType()
+   * and deleteBlock(), see BlockRules
+   * @param {object} rule - {name, kind, severity: 'error' (default) or 'warning', message, ...}
+   * @returns {object} The normalized rule
+   */
+  addRule(rule) {
+    return this.rules.add(rule);
+  }
+
+  /**
+   * Remove a structure rule
+   * @param {string} name - Rule name
+   * @returns {boolean} False if there was no such rule
+   */
+  removeRule(name) {
+    return this.rules.remove(name);
+  }
+
+  /**
+   * @returns {Array} Every structure rule
+   */
+  getRules() {
+    return this.rules.list();
+  }
+
+  /**
+   * Check whether linkBlocks() would be allowed, without linking
+   * @param {string} fromId - Source block ID
+   * @param {string} toId - Target block ID
+   * @param {string} linkType - 'single', 'reverse' or 'double'
+   * @returns {object} {allowed, errors, warnings}, each issue being {rule, message}
+   */
+  checkLink(fromId, toId, linkType = 'single') {
+    const from = this.getBlock(fromId);
+    const to = this.getBlock(toId);
+    if (!from || !to) {
+      return { allowed: false, errors: [{ rule: null, message: 'Block not found' }], warnings: [] };
+    }
+    const locked = [from, to].find(block => block.locked.includes('links'));
+    if (locked) {
+      return { allowed: false, errors: [{ rule: null, message: `Block "${locked.id}" has its links locked` }], warnings: [] };
+    }
+    return this.rules.check({ action: 'link', from, to, linkType });
+  }
+
+  /**
+   * Check a change against the rules, reporting what they say
+   * @param {object} operation - See BlockRules.check()
+   * @returns {boolean} False if an error rule rejected the change
+   */
+  enforceRules(operation) {
+    const verdict = this.rules.check(operation);
+    if (!verdict.allowed) {
+      this.emit('ruleViolated', { ...operation, errors: verdict.errors, warnings: verdict.warnings });
+      return false;
+    }
+    if (verdict.warnings.length > 0) {
+      this.emit('ruleWarning', { ...operation, warnings: verdict.warnings });
+    }
+    return true;
+  }
+
+  /**
+   * Link two blocks together
+   * @param {string} fromId - Source block ID
+   * @param {string} toId - Target block ID
+   * @param {string} linkType - Type of link: 'single', 'reverse', or 'double'
+   * @param {object} options - Optional link details
+   * @param {string} options.label - Text drawn on the connection ("depends on")
+   * @param {number} options.weight - Edge weight (used by weighted graph queries)
+   * @param {string} options.kind - Registered link kind controlling stroke and dash
+   * @param {object} options.attributes - Arbitrary extra data
+   * @returns {boolean} Success status (false if a beforeLink listener or a rule rejected the link)
+   */
+  linkBlocks(fromId, toId, linkType = 'single', options = {}) {
+    const fromBlock = this.getBlock(fromId);
+    const toBlock = this.getBlock(toId);
+    
+    if (!fromBlock || !toBlock) return false;
+    if (this.refuseLocked(fromBlock, 'links') || this.refuseLocked(toBlock, 'links')) return false;
+    
+    // Listeners may veto the link or change its type and details
+    const before = this.emitBefore('beforeLink', {
+      from: fromBlock,
+      to: toBlock,
+      linkType,
+      details: this.normalizeLinkDetails(options)
+    });
+    if (before.cancelled) return false;
+    linkType = before.linkType;
+    const details = this.normalizeLinkDetails(before.details || {});
+    if (!this.enforceRules({ action: 'link', from: fromBlock, to: toBlock, linkType, details })) return false;
+    
+    return this.recordChange('Link blocks', [fromId, toId], () => {
+      // Remove existing links between these blocks
+      fromBlock.removeLink(toId);
+      toBlock.removeLink(fromId);
+      
+      // Add links based on type
+      if (linkType === 'single') {
+        fromBlock.addLink(toId, 'single', details);
+      } else if (linkType === 'reverse') {
+        toBlock.addLink(fromId, 'single', details);
+      } else if (linkType === 'double') {
+        fromBlock.addLink(toId, 'double', details);
+        toBlock.addLink(fromId, 'double', details);
+      }
+      
+      this.emit('blocksLinked', { from: fromBlock, to: toBlock, linkType, ...details });
+      return true;
+    });
+  }
+
+  /**
+   * Update link type between blocks, keeping label, weight, kind and attributes
+   * @param {string} fromId - Source block ID
+   * @param {string} toId - Target block ID
+   * @param {string} newLinkType - New link type
+   * @returns {boolean} Success status
+   */
+  updateLinkType(fromId, toId, newLinkType) {
+    return this.linkBlocks(fromId, toId, newLinkType, this.getLinkDetails(fromId, toId));
+  }
+
+  /**
+   * Change the details of an existing link without touching its direction
+   * @param {string} fromId - One end of the link
+   * @param {string} toId - Other end of the link
+   * @param {object} changes - {label, weight, kind, attributes}; null removes a detail
+   * @returns {boolean} Success status (false if the blocks aren't linked)
+   */
+  updateLink(fromId, toId, changes = {}) {
+    const fromBlock = this.getBlock(fromId);
+    const toBlock = this.getBlock(toId);
+    if (!fromBlock || !toBlock) return false;
+    if (this.refuseLocked(fromBlock, 'links') || this.refuseLocked(toBlock, 'links')) return false;
+    
+    const sides = [[fromBlock, toId], [toBlock, fromId]].filter(([block, targetId]) => block.hasLink(targetId));
+    if (sides.length === 0) return false;
+    
+    const removed = Object.keys(changes).filter(key => changes[key] === null);
+    const details = this.normalizeLinkDetails(changes);
+    
+    return this.recordChange('Edit link', [fromId, toId], () => {
+      sides.forEach(([block, targetId]) => {
+        const current = block.links.get(targetId);
+        const patch = { ...details };
+        // A kind's default label only fills in links that have none
+        if (changes.label === undefined && current.label !== undefined) delete patch.label;
+        
+        const meta = { ...current, ...patch };
+        removed.forEach(key => delete meta[key]);
+        block.links.set(targetId, meta);
+        block.metadata.updatedAt = new Date().toISOString();
+      });
+      
+      this.emit('linkUpdated', { fromId, toId, ...this.getLinkDetails(fromId, toId) });
+      return true;
+    });
+  }
+
+  /**
+   * Get the label, weight, kind and attributes of the link between two blocks
+   * @param {string} fromId - One end of the link
+   * @param {string} toId - Other end of the link
+   * @returns {object} Link details (empty if there is no link)
+   */
+  getLinkDetails(fromId, toId) {
+    const fromBlock = this.getBlock(fromId);
+    const toBlock = this.getBlock(toId);
+    const meta = (fromBlock && fromBlock.links.get(toId)) || (toBlock && toBlock.links.get(fromId));
+    if (!meta) return {};
+    
+    const { type, createdAt, ...details } = meta;
+    return details;
+  }
+
+  /**
+   * Keep only well-formed link details
+   * @param {object} options - Raw {label, weight, kind, attributes}
+   * @returns {object} Details safe to store on a link
+   */
+  normalizeLinkDetails(options = {}) {
+    const details = {};
+    const kind = typeof options.kind === 'string' && options.kind ? options.kind : null;
+    
+    if (typeof options.label === 'string' && options.label !== '') {
+      details.label = options.label;
+    } else if (kind && options.label === undefined && this.getLinkKind(kind).label) {
+      details.label = this.getLinkKind(kind).label;
+    }
+    if (typeof options.weight === 'number' && Number.isFinite(options.weight)) {
+      details.weight = options.weight;
+    }
+    if (kind) {
+      details.kind = kind;
+    }
+    if (options.attributes && typeof options.attributes === 'object' && !Array.isArray(options.attributes)) {
+      details.attributes = { ...options.attributes };
+    }
+    return details;
+  }
+
+  /**
+   * Register (or redefine) a link kind
+   * @param {string} name - Kind name as stored in link.kind
+   * @param {object} definition - Kind definition
+   * @param {string} definition.color - Stroke color
+   * @param {string} definition.dash - SVG stroke-dasharray, e.g. '6,4'
+   * @param {number} definition.width - Stroke width
+   * @param {string} definition.label - Label given to new links of this kind
+   * @returns {object} The normalized definition
+   */
+  registerLinkKind(name, definition = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Link kind name must be a non-empty string');
+    }
+    
+    const kind = {
+      name,
+      registered: true,
+      color: definition.color || null,
+      dash: definition.dash || null,
+      width: Number.isFinite(definition.width) ? definition.width : null,
+      label: definition.label || ''
+    };
+    
+    this.linkKinds.set(name, kind);
+    this.emit('linkKindRegistered', kind);
+    return kind;
+  }
+
+  /**
+   * Remove a link kind from the registry (existing links keep their kind)
+   * @param {string} name - Kind name
+   * @returns {boolean} Whether the kind was registered
+   */
+  unregisterLinkKind(name) {
+    const removed = this.linkKinds.delete(name);
+    if (removed) this.emit('linkKindUnregistered', { name });
+    return removed;
+  }
+
+  /**
+   * Get a link kind. Unknown kinds get an unstyled fallback with registered: false.
+   * @param {string} name - Kind name
+   * @returns {object} Kind definition
+   */
+  getLinkKind(name) {
+    return this.linkKinds.get(name) || { name, registered: false, color: null, dash: null, width: null, label: '' };
+  }
+
+  /**
+   * Get all registered link kinds
+   * @returns {Array} Array of kind definitions
+   */
+  getLinkKinds() {
+    return Array.from(this.linkKinds.values());
+  }
+
+  /**
+   * Serializable form of the link kind registry
+   * @returns {object} Map of kind name to definition
+   */
+  exportLinkKinds() {
+    const kinds = {};
+    this.linkKinds.forEach(({ name, color, dash, width, label }) => {
+      kinds[name] = { color, dash, width, label };
+    });
+    return kinds;
+  }
+
+  /**
+   * Register kinds described by an imported file. Kinds already known
+   * locally keep their local definition.
+   * @param {object} kinds - Map of kind name to definition
+   */
+  importLinkKinds(kinds) {
+    if (!kinds || typeof kinds !== 'object' || Array.isArray(kinds)) return;
+    
+    Object.entries(kinds).forEach(([name, definition]) => {
+      if (!this.linkKinds.has(name) && definition && typeof definition === 'object') {
+        this.registerLinkKind(name, definition);
+      }
+    });
+  }
+
+  /**
+   * Get link info between two blocks
+   * @param {string} fromId - Source block ID
+   * @param {string} toId - Target block ID
+   * @returns {object|null} Link info {type, from, to, label, weight, kind, attributes} or null
+   */
+  getLinkInfo(fromId, toId) {
+    const fromBlock = this.getBlock(fromId);
+    const toBlock = this.getBlock(toId);
+    
+    if (!fromBlock || !toBlock) return null;
+    
+    const hasForward = fromBlock.hasLink(toId);
+    const hasReverse = toBlock.hasLink(fromId);
+    const details = this.getLinkDetails(fromId, toId);
+    
+    if (hasForward && hasReverse) {
+      return { type: 'double', from: fromId, to: toId, ...details };
+    } else if (hasForward) {
+      return { type: 'single', from: fromId, to: toId, ...details };
+    } else if (hasReverse) {
+      return { type: 'reverse', from: toId, to: fromId, ...details };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Unlink two blocks
+   * @param {string} fromId - Source block ID
+   * @param {string} toId - Target block ID
+   * @returns {boolean} Success status
+   */
+  unlinkBlocks(fromId, toId) {
+    const fromBlock = this.getBlock(fromId);
+    const toBlock = this.getBlock(toId);
+    
+    if (!fromBlock && !toBlock) return false;
+    if ([fromBlock, toBlock].some(block => block && this.refuseLocked(block, 'links'))) return false;
+    
+    return this.recordChange('Unlink blocks', [fromId, toId], () => {
+      if (fromBlock) fromBlock.removeLink(toId);
+      if (toBlock) toBlock.removeLink(fromId);
+      
+      this.emit('blocksUnlinked', { fromId, toId });
+      return true;
+    });
+  }
+
+  /**
+   * Delete a block
+   * @param {string} id - The block ID to delete
+   * @param {object} options - Delete options
+   * @param {string} options.children - For frames: 'release' (default) moves the blocks
+   *   inside up to the frame's own parent, 'delete' deletes them as well
+   * @returns {boolean} Success status (false if a beforeBlockDelete listener or a rule rejected the delete)
+   */
+  deleteBlock(id, options = {}) {
+    const block = this.getBlock(id);
+    if (!block || this.refuseLocked(block, null)) return false;
+    
+    // Listeners may veto the delete or choose what happens to the children
+    const before = this.emitBefore('beforeBlockDelete', { block, children: options.children || 'release' });
+    if (before.cancelled) return false;
+    const { children } = before;
+    
+    const deleted = children === 'delete' ? [...this.getDescendants(id), block] : [block];
+    const released = children === 'delete' ? [] : this.getChildren(id);
+    const lockedChild = deleted.find(b => b !== block && b.locked.length > 0);
+    if (lockedChild) {
+      this.refuseLocked(lockedChild, null);
+      return false;
+    }
+    // Deleting a block removes its links, which a block that stays may have locked
+    const held = this.linkLockedNeighbor(deleted.map(b => b.id));
+    if (held) {
+      this.refuseLocked(held, 'links');
+      return false;
+    }
+    if (!this.enforceRules({ action: 'delete', block, children, deleted })) return false;
+    
+    // Blocks linking here lose that link, so they are part of the change too
+    const affectedIds = new Set([...deleted, ...released].map(b => b.id));
+    deleted.forEach(b => this.getIncomingLinks(b.id).forEach(source => affectedIds.add(source.id)));
+    
+    return this.recordChange('Delete block', Array.from(affectedIds), () => {
+      released.forEach(child => {
+        child.setParent(block.parentId);
+        this.emit('blockReparented', { block: child, parentId: block.parentId, previousParentId: id });
+      });
+      
+      deleted.forEach(({ id: deletedId }) => {
+        // Remove all links to this block
+        this.blocks.forEach(b => {
+          if (b.hasLink(deletedId)) {
+            b.removeLink(deletedId);
+          }
+        });
+        
+        this.blocks.delete(deletedId);
+        this.emit('blockDeleted', { id: deletedId });
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Get the frame a block sits in
+   * @param {string} id - The block ID
+   * @returns {Block|null} The parent block, or null for top-level blocks
+   */
+  getParent(id) {
+    const block = this.getBlock(id);
+    return block && block.parentId ? this.getBlock(block.parentId) : null;
+  }
+
+  /**
+   * Get the blocks directly inside a frame
+   * @param {string} id - The frame's block ID
+   * @returns {Array} Array of child blocks
+   */
+  getChildren(id) {
+    return this.getAllBlocks().filter(block => block.parentId === id);
+  }
+
+  /**
+   * Get every block nested inside a frame, parents before their children
+   * @param {string} id - The frame's block ID
+   * @returns {Array} Array of blocks
+   */
+  getDescendants(id) {
+    const descendants = [];
+    const queue = [id];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      this.getChildren(current).forEach(child => {
+        descendants.push(child);
+        queue.push(child.id);
+      });
+    }
+    return descendants;
+  }
+
+  /**
+   * Get the blocks that are not inside any frame
+   * @returns {Array} Array of top-level blocks
+   */
+  getRootBlocks() {
+    return this.getAllBlocks().filter(block => !block.parentId);
+  }
+
+  /**
+   * Put a block inside a frame, or take it out again. The block keeps its
+   * absolute position.
+   * @param {string} id - The block ID
+   * @param {string|null} parentId - The new parent's ID, or null to make the block top-level
+   * @returns {boolean} False if a block is missing or the frame would end up inside itself
+   */
+  setParent(id, parentId) {
+    const block = this.getBlock(id);
+    if (!block) return false;
+    parentId = parentId || null;
+    
+    if (parentId !== null) {
+      if (parentId === id || !this.getBlock(parentId)) return false;
+      if (this.getDescendants(id).some(b => b.id === parentId)) return false;
+    }
+    if (block.parentId === parentId) return true;
+    
+    const previousParentId = block.parentId;
+    return this.recordChange(parentId ? 'Move into frame' : 'Release from frame', [id], () => {
+      block.setParent(parentId);
+      this.emit('blockReparented', { block, parentId, previousParentId });
+      return true;
+    });
+  }
+
+  /**
+   * Get all blocks
+   * @returns {Array} Array of all blocks
+   */
+  getAllBlocks() {
+    return Array.from(this.blocks.values());
+  }
+
+  /**
+   * Get blocks that link to a specific block
+   * @param {string} id - The target block ID
+   * @returns {Array} Array of blocks that link to the target
+   */
+  getIncomingLinks(id) {
+    return this.getAllBlocks().filter(block => block.hasLink(id));
+  }
+
+  /**
+   * Get blocks that a specific block links to
+   * @param {string} id - The source block ID
+   * @returns {Array} Array of blocks that the source links to
+   */
+  getOutgoingLinks(id) {
+    const block = this.getBlock(id);
+    if (!block) return [];
+    
+    return Array.from(block.links.keys())
+      .map(linkId => this.getBlock(linkId))
+      .filter(b => b !== null);
+  }
+
+  /**
+   * Search blocks by content, best matches first
+   * @param {string} query - Search query (words and field filters, see BlockSearchIndex)
+   * @returns {Array} Array of matching blocks
+   */
+  searchBlocks(query) {
+    return this.search(query).map(result => result.block);
+  }
+
+  /**
+   * Ranked search with match offsets for highlighting
+   * @param {string} query - Words and field filters such as type:task, linked:<id>, created:>2025-08-01
+   * @param {object} options - {fuzzy (default true), limit}
+   * @returns {Array} Array of {block, score, matches: [{start, end}]}; every block for an empty query.
+   *   Throws if a created: or updated: filter has a date that can't be read.
+   */
+  search(query, options = {}) {
+    return this.searchIndex.search(query, options);
+  }
+
+  /**
+   * Arrange blocks automatically
+   * @param {number|object} options - Number of grid columns, or layout options
+   * @param {string} options.algorithm - 'grid' (default), 'force' or 'layered'
+   * @param {number} options.columns - Grid columns (grid layout)
+   * @param {number} options.iterations - Simulation steps (force layout, default 300)
+   * @param {number} options.spacing - Gap between blocks (defaults depend on the layout)
+   * @param {Array} options.pinned - IDs of blocks that must keep their position (force layout)
+   * @param {string} options.direction - 'TB' or 'LR' (layered layout)
+   */
+  arrangeBlocks(options = 3) {
+    if (typeof options === 'number') {
+      options = { algorithm: 'grid', columns: options };
+    }
+    const algorithm = options.algorithm || 'grid';
+    const fixed = id => [this.getBlock(id), ...this.getDescendants(id)].some(b => b.locked.includes('position'));
+    
+    // Blocks that can't move keep their place; the force layout works around them
+    if (algorithm === 'force') {
+      const lockedIds = this.getAllBlocks().filter(block => fixed(block.id)).map(block => block.id);
+      options = { ...options, pinned: [...(options.pinned || []), ...lockedIds] };
+    }
+    
+    let positions;
+    if (algorithm === 'grid') {
+      positions = this.layout.grid(options);
+    } else if (algorithm === 'force') {
+      positions = this.layout.force(options);
+    } else if (algorithm === 'layered') {
+      positions = this.layout.layered(options);
+    } else {
+      throw new Error(`Unknown layout algorithm "${algorithm}"`);
+    }
+    
+    positions.forEach((position, id) => {
+      if (fixed(id)) positions.delete(id);
+    });
+    
+    this.recordChange('Arrange blocks', Array.from(positions.keys()), () => {
+      positions.forEach(({ x, y }, id) => {
+        this.setBlockPosition(id, x, y);
+      });
+      
+      this.emit('blocksArranged', { count: positions.size, algorithm });
+    });
+  }
+
+  /**
+   * Export all blocks as JSON
+   * @returns {string} JSON string of all blocks
+   */
+  exportToJSON() {
+    return JSON.stringify(this.exportData(), null, 2);
+  }
+
+  /**
+   * Export all blocks as a plain object (the parsed form of exportToJSON())
+   * @returns {object} Export data
+   */
+  exportData() {
+    return JSON.parse(JSON.stringify({
+      version: BlockSchema.VERSION,
+      blockTypes: this.exportBlockTypes(),
+      linkKinds: this.exportLinkKinds(),
+      blocks: this.getAllBlocks().map(block => block.toJSON()),
+      settings: this.settings,
+      exportedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Import blocks from JSON.
+   *
+   * Older formats are migrated first and the result is validated. The
+   * import is all-or-nothing: on any validation error the engine is left
+   * untouched and an 'importFailed' event carries the report.
+   *
+   * Modes:
+   * - 'replace' (default): drop everything and load the file, settings included
+   * - 'append': add every incoming block under a fresh ID, rewriting the
+   *   links between them; positions are shifted clear of existing blocks
+   * - 'merge': match blocks on ID; new IDs are added, shared IDs are
+   *   resolved with the conflict policy ('rename' keeps both blocks,
+   *   giving the incoming one a fresh ID)
+   *
+   * Locked blocks are left as they are: merge keeps the local version and
+   * replace keeps them on the board, and neither adds or drops links of a
+   * block whose links are locked. The summary lists them as `locked`.
+   * @param {string|object} jsonData - JSON string (or parsed object) of blocks
+   * @param {object} options - Import options
+   * @param {string} options.mode - 'replace', 'merge' or 'append'
+   * @param {string} options.conflict - Merge policy: 'newest' (by metadata.updatedAt, default), 'local', 'remote' or 'rename'
+   * @param {object|string} options.offset - {x, y} shift for added blocks, or 'auto' (append default)
+   * @param {boolean} options.keepLocked - Protect locked blocks (default true); false lets a replace drop them too
+   * @returns {boolean} Success status
+   */
+  importFromJSON(jsonData, options = {}) {
+    const { data, report } = this.prepareImport(jsonData);
+    return this.applyImport(data, report, options);
+  }
+
+  /**
+   * Import data that went through prepareImport()
+   * @param {object} data - Migrated export data
+   * @param {object} report - Validation report
+   * @param {object} options - See importFromJSON()
+   * @returns {boolean} Success status
+   */
+  applyImport(data, report, options = {}) {
+    const mode = options.mode || 'replace';
+    const conflict = options.conflict || 'newest';
+    
+    if (!BlockEngine.IMPORT_MODES.includes(mode)) {
+      report.valid = false;
+      report.errors.push({ path: 'options.mode', message: `Unknown import mode "${mode}"` });
+    }
+    if (mode === 'merge' && !BlockEngine.MERGE_POLICIES.includes(conflict)) {
+      report.valid = false;
+      report.errors.push({ path: 'options.conflict', message: `Unknown conflict policy "${conflict}"` });
+    }
+    if (!report.valid) {
+      this.emit('importFailed', report);
+      return false;
+    }
+    
+    this.importBlockTypes(data.blockTypes);
+    this.importLinkKinds(data.linkKinds);
+    
+    const blocks = this.buildImportedBlocks(data);
+    let result;
+    
+    if (mode === 'replace') {
+      result = this.recordChange('Import', this.getAllBlocks().map(b => b.id), () => {
+        return this.replaceWithImport(blocks, data.settings, options.keepLocked ?? true);
+      }, { settings: true });
+    } else if (mode === 'append') {
+      result = this.recordChange('Import (append)', [], () => {
+        return this.appendImport(blocks, options.offset ?? 'auto');
+      });
+    } else {
+      result = this.recordChange('Import (merge)', [], () => {
+        return this.mergeImport(blocks, conflict, options.offset ?? null);
+      });
+    }
+    
+    this.emit('blocksImported', {
+      mode,
+      count: data.blocks.length,
+      ...result,
+      warnings: report.warnings
+    });
+    return true;
+  }
+
+  /**
+   * Check whether JSON data would import cleanly, without importing it
+   * @param {string|object} jsonData - JSON string (or parsed object) of blocks
+   * @returns {object} Report {valid, errors, warnings}, each issue being {path, message}
+   */
+  validateJSON(jsonData) {
+    return this.prepareImport(jsonData).report;
+  }
+
+  /**
+   * Parse, migrate and validate import data
+   * @param {string|object} jsonData - JSON string or parsed object
+   * @returns {object} {data, report}
+   */
+  prepareImport(jsonData) {
+    let data;
+    try {
+      data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+    } catch (error) {
+      return { data: null, report: { valid: false, errors: [{ path: '', message: `Invalid JSON: ${error.message}` }], warnings: [] } };
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, report: { valid: false, errors: [{ path: '', message: 'Expected an export object' }], warnings: [] } };
+    }
+    
+    let migrated;
+    try {
+      migrated = BlockSchema.migrate(data);
+    } catch (error) {
+      return { data: null, report: { valid: false, errors: [{ path: 'version', message: error.message }], warnings: [] } };
+    }
+    
+    const report = BlockSchema.validate(migrated.data, { settings: this.settings });
+    report.warnings = [...migrated.warnings, ...report.warnings];
+    return { data: migrated.data, report };
+  }
+
+  /**
+   * Turn validated export data into Block objects. Links to blocks that
+   * are not part of the data are dropped.
+   * @param {object} data - Migrated and validated export object
+   * @returns {Array} Array of blocks
+   */
+  buildImportedBlocks(data) {
+    const ids = new Set(data.blocks.map(blockData => blockData.id));
+    const now = new Date().toISOString();
+    
+    return data.blocks.map(blockData => {
+      const block = new Block(blockData.id, blockData.content, blockData.type);
+      blockData.links.forEach(({ id, ...meta }) => {
+        if (ids.has(id)) block.links.set(id, meta);
+      });
+      Object.entries(blockData.properties || {}).forEach(([key, { type, value }]) => {
+        block.properties.set(key, { type, value });
+      });
+      block.parentId = ids.has(blockData.parentId) ? blockData.parentId : null;
+      block.position = { x: blockData.position.x, y: blockData.position.y };
+      block.size = { width: blockData.size.width, height: blockData.size.height };
+      block.locked = Array.isArray(blockData.locked) ? [...blockData.locked] : [];
+      const metadata = blockData.metadata && typeof blockData.metadata === 'object' ? blockData.metadata : {};
+      block.metadata = { createdAt: now, updatedAt: now, ...metadata };
+      return block;
+    });
+  }
+
+  /**
+   * Replace the engine contents with imported blocks
+   * @param {Array} blocks - Blocks from buildImportedBlocks()
+   * @param {object} settings - Imported settings, if any
+   * @param {boolean} keepLocked - Whether locked blocks stay as they are
+   * @returns {object} Summary {added, updated, skipped, locked, idMap}
+   */
+  replaceWithImport(blocks, settings, keepLocked = true) {
+    const previous = new Map(this.blocks);
+    const kept = new Map();
+    if (keepLocked) {
+      previous.forEach((block, id) => {
+        if (block.locked.length > 0) kept.set(id, block);
+      });
+      
+      // Blocks linked with one whose links are locked can't go either, unless the file has them
+      const incoming = new Set(blocks.map(block => block.id));
+      Array.from(kept.values()).filter(block => block.locked.includes('links')).forEach(block => {
+        previous.forEach((other, id) => {
+          if (!kept.has(id) && !incoming.has(id) && (block.hasLink(id) || other.hasLink(block.id))) kept.set(id, other);
+        });
+      });
+    }
+    const lockedLinks = this.linkLockedIds();
+    
+    // Clear existing blocks
+    this.blocks.clear();
+    this.idState = {};
+    
+    // Import known settings only
+    if (settings) {
+      Object.keys(settings).forEach(key => {
+        if (key in this.settings) this.settings[key] = settings[key];
+      });
+    }
+    
+    const added = [];
+    blocks.forEach(block => {
+      this.captureBefore([block.id]);
+      if (kept.has(block.id)) {
+        this.blocks.set(block.id, kept.get(block.id));
+        return;
+      }
+      if (keepLocked) this.keepLockedLinks(block, previous.get(block.id), lockedLinks);
+      this.blocks.set(block.id, block);
+      added.push(block.id);
+    });
+    
+    if (kept.size > 0) {
+      kept.forEach((block, id) => this.blocks.set(id, block));
+      
+      // Kept blocks lose links to blocks that are gone (never to a link-locked one, see above)
+      kept.forEach(block => {
+        block.links.forEach((meta, targetId) => {
+          if (!this.blocks.has(targetId)) block.links.delete(targetId);
+        });
+      });
+      this.repairHierarchy();
+    }
+    
+    return { added, updated: [], skipped: [], locked: Array.from(kept.keys()), idMap: {} };
+  }
+
+  /**
+   * IDs of the blocks whose links are locked
+   * @returns {Set} Block IDs
+   */
+  linkLockedIds() {
+    return new Set(this.getAllBlocks().filter(block => block.locked.includes('links')).map(block => block.id));
+  }
+
+  /**
+   * Give an incoming block the local version of its links to blocks whose
+   * links are locked: the ones the local block had, or none for a new block
+   * @param {Block} block - Incoming block
+   * @param {Block|undefined} previous - Local block it replaces
+   * @param {Set} lockedLinks - IDs from linkLockedIds(), taken before the import
+   */
+  keepLockedLinks(block, previous, lockedLinks) {
+    const targets = new Set([...block.links.keys(), ...(previous ? previous.links.keys() : [])]);
+    targets.forEach(targetId => {
+      if (!lockedLinks.has(targetId)) return;
+      const meta = previous && previous.links.get(targetId);
+      if (meta) {
+        block.links.set(targetId, { ...meta });
+      } else {
+        block.links.delete(targetId);
+      }
+    });
+  }
+
+  /**
+   * Add imported blocks under fresh IDs
+   * @param {Array} blocks - Blocks from buildImportedBlocks()
+   * @param {object|string} offset - {x, y} or 'auto'
+   * @returns {object} Summary {added, updated, skipped, locked, idMap}
+   */
+  appendImport(blocks, offset) {
+    const idMap = {};
+    const assigned = new Set();
+    blocks.forEach(block => {
+      const id = this.generateId(candidate => assigned.has(candidate));
+      assigned.add(id);
+      idMap[block.id] = id;
+    });
+    
+    const shift = this.getImportOffset(blocks, offset);
+    
+    blocks.forEach(block => {
+      const copy = new Block(idMap[block.id], block.content, block.type);
+      block.links.forEach((meta, targetId) => copy.links.set(idMap[targetId], meta));
+      copy.properties = new Map(block.properties);
+      copy.parentId = block.parentId ? idMap[block.parentId] : null;
+      copy.position = { x: block.position.x + shift.x, y: block.position.y + shift.y };
+      copy.size = { ...block.size };
+      copy.locked = [...block.locked];
+      copy.metadata = { ...block.metadata };
+      
+      this.captureBefore([copy.id]);
+      this.blocks.set(copy.id, copy);
+    });
+    
+    return { added: Object.values(idMap), updated: [], skipped: [], locked: [], idMap };
+  }
+
+  /**
+   * Merge imported blocks into the current ones by ID
+   * @param {Array} blocks - Blocks from buildImportedBlocks()
+   * @param {string} conflict - 'newest', 'local', 'remote' or 'rename'
+   * @param {object|string|null} offset - Shift for blocks that are new locally
+   * @returns {object} Summary {added, updated, skipped, locked, idMap}
+   */
+  mergeImport(blocks, conflict, offset) {
+    const summary = { added: [], updated: [], skipped: [], locked: [], idMap: {} };
+    const lockedLinks = this.linkLockedIds();
+    const previous = new Map();
+    
+    // Incoming blocks whose ID is taken are added under a fresh ID instead
+    if (conflict === 'rename') {
+      const reserved = new Set(blocks.map(block => block.id));
+      blocks.forEach(block => {
+        if (!this.blocks.has(block.id)) return;
+        const id = this.generateId(candidate => reserved.has(candidate));
+        reserved.add(id);
+        summary.idMap[block.id] = id;
+      });
+      
+      const rename = id => summary.idMap[id] || id;
+      blocks.forEach(block => {
+        block.id = rename(block.id);
+        block.links = new Map(Array.from(block.links.entries()).map(([targetId, meta]) => [rename(targetId), meta]));
+        block.parentId = block.parentId ? rename(block.parentId) : null;
+      });
+    }
+    
+    const newBlocks = blocks.filter(block => !this.blocks.has(block.id));
+    const shift = offset ? this.getImportOffset(newBlocks, offset) : { x: 0, y: 0 };
+    
+    blocks.forEach(block => {
+      const local = this.getBlock(block.id);
+      
+      if (!local) {
+        block.position = { x: block.position.x + shift.x, y: block.position.y + shift.y };
+        this.captureBefore([block.id]);
+        this.blocks.set(block.id, block);
+        summary.added.push(block.id);
+        return;
+      }
+      
+      let takeRemote = conflict === 'remote';
+      if (conflict === 'newest') {
+        takeRemote = Date.parse(block.metadata.updatedAt) > Date.parse(local.metadata.updatedAt);
+      }
+      
+      if (takeRemote && local.locked.length > 0) {
+        summary.skipped.push(block.id);
+        summary.locked.push(block.id);
+      } else if (takeRemote) {
+        this.captureBefore([block.id]);
+        this.blocks.set(block.id, block);
+        previous.set(block.id, local);
+        summary.updated.push(block.id);
+      } else {
+        summary.skipped.push(block.id);
+      }
+    });
+    
+    // Links to and from blocks whose links are locked stay as they were
+    [...summary.added, ...summary.updated].forEach(id => {
+      this.keepLockedLinks(this.getBlock(id), previous.get(id), lockedLinks);
+    });
+    
+    // A double link that won on one side only must be mirrored on the other
+    this.blocks.forEach(block => {
+      block.links.forEach((meta, targetId) => {
+        const target = this.getBlock(targetId);
+        if (meta.type === 'double' && target && target.getLinkType(block.id) !== 'double') {
+          this.captureBefore([targetId]);
+          target.links.set(block.id, { ...meta });
+        }
+      });
+    });
+    
+    // Each side's hierarchy is sound, but mixing them can orphan blocks or close a loop
+    this.repairHierarchy();
+    
+    return summary;
+  }
+
+  /**
+   * Work out how far imported blocks must be shifted
+   * @param {Array} blocks - Incoming blocks
+   * @param {object|string} offset - {x, y}, or 'auto' to place them right of the existing ones
+   * @returns {object} Shift {x, y}
+   */
+  getImportOffset(blocks, offset) {
+    if (offset && typeof offset === 'object') {
+      return { x: offset.x || 0, y: offset.y || 0 };
+    }
+    
+    const existing = this.getAllBlocks();
+    if (offset !== 'auto' || existing.length === 0 || blocks.length === 0) {
+      return { x: 0, y: 0 };
+    }
+    
+    const bounds = list => list.reduce((box, block) => ({
+      minX: Math.min(box.minX, block.position.x),
+      minY: Math.min(box.minY, block.position.y),
+      maxX: Math.max(box.maxX, block.position.x + block.size.width)
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity });
+    
+    const local = bounds(existing);
+    const incoming = bounds(blocks);
+    const gap = this.settings.gridSize * 2;
+    const snap = value => Math.round(value / this.settings.gridSize) * this.settings.gridSize;
+    
+    return {
+      x: snap(local.maxX + gap - incoming.minX),
+      y: snap(local.minY - incoming.minY)
+    };
+  }
+
+  /**
+   * Export all blocks as a Markdown document (see BlockMarkdown)
+   * @param {object} options - {title: optional level-1 document heading}
+   * @returns {string} Markdown
+   */
+  exportToMarkdown(options = {}) {
+    return BlockMarkdown.export(this.getAllBlocks(), options);
+  }
+
+  /**
+   * Import blocks and links from a Markdown document in the format
+   * exportToMarkdown() writes. Positions come from an automatic layout of
+   * the imported blocks, sizes from their types.
+   * @param {string} markdown - Markdown document
+   * @param {object} options - importFromJSON() options, plus layout: 'layered' (default), 'force' or 'grid',
+   *   and createMissing to add a block for each link to a heading that doesn't exist
+   * @returns {boolean} Success status
+   */
+  importFromMarkdown(markdown, options = {}) {
+    return this.importParsed(() => BlockMarkdown.parse(markdown, {
+      generateId: () => this.generateId(),
+      createMissing: options.createMissing
+    }), options);
+  }
+
+  /**
+   * Export all blocks as GraphML (see BlockGraphML)
+   * @returns {string} GraphML document
+   */
+  exportToGraphML() {
+    return BlockGraphML.export(this.getAllBlocks());
+  }
+
+  /**
+   * Import blocks and links from GraphML, e.g. a file saved by yEd or
+   * Gephi. Constructs without a block equivalent are skipped and listed
+   * in the warnings of 'blocksImported'.
+   * @param {string} xml - GraphML document
+   * @param {object} options - importFromJSON() options, plus layout for nodes without a position
+   * @returns {boolean} Success status
+   */
+  importFromGraphML(xml, options = {}) {
+    return this.importParsed(() => BlockGraphML.parse(xml), options);
+  }
+
+  /**
+   * Export all blocks as a Graphviz DOT digraph (see BlockDot)
+   * @param {object} options - {name: graph name}
+   * @returns {string} DOT source
+   */
+  exportToDOT(options = {}) {
+    return BlockDot.export(this.getAllBlocks(), options);
+  }
+
+  /**
+   * Import blocks and links from Graphviz DOT. Unsupported statements and
+   * attributes are skipped and listed in the warnings of 'blocksImported'.
+   * @param {string} dot - DOT source
+   * @param {object} options - importFromJSON() options, plus layout for nodes without pos
+   * @returns {boolean} Success status
+   */
+  importFromDOT(dot, options = {}) {
+    return this.importParsed(() => BlockDot.parse(dot), options);
+  }
+
+  /**
+   * Export all blocks as a Mermaid flowchart (see BlockMermaid)
+   * @param {object} options - {direction: 'TB' (default), 'TD', 'BT', 'LR' or 'RL'}
+   * @returns {string} Mermaid source
+   */
+  exportToMermaid(options = {}) {
+    return BlockMermaid.export(this.getAllBlocks(), { ...options, colors: this.getTypeColors() });
+  }
+
+  /**
+   * Import a Mermaid flowchart. Nodes are laid out automatically in the
+   * flowchart's direction; statements that don't describe blocks or links
+   * are skipped and listed in the warnings of 'blocksImported'.
+   * @param {string} text - Mermaid source
+   * @param {object} options - importFromJSON() options, plus layout
+   * @returns {boolean} Success status
+   */
+  importFromMermaid(text, options = {}) {
+    return this.importParsed(() => BlockMermaid.parse(text), options);
+  }
+
+  /**
+   * Export all blocks as JSON Canvas (see BlockCanvas)
+   * @returns {string} .canvas file contents
+   */
+  exportToCanvas() {
+    return JSON.stringify(BlockCanvas.export(this.getAllBlocks(), { colors: this.getTypeColors() }), null, '\t');
+  }
+
+  /**
+   * Import a JSON Canvas file. File, link and unknown nodes are kept with
+   * their fields so they survive exporting again.
+   * @param {string|object} canvas - .canvas file contents or parsed object
+   * @param {object} options - importFromJSON() options, plus layout for nodes without a position
+   * @returns {boolean} Success status
+   */
+  importFromCanvas(canvas, options = {}) {
+    return this.importParsed(() => BlockCanvas.parse(canvas, { colors: this.getTypeColors() }), options);
+  }
+
+  /**
+   * Colors of the registered block types, by type name
+   * @returns {object} {type: CSS color}
+   */
+  getTypeColors() {
+    const colors = {};
+    this.blockTypes.forEach(({ name, color }) => {
+      if (color) colors[name] = color;
+    });
+    return colors;
+  }
+
+  /**
+   * Import blocks read from another format. Missing sizes come from the
+   * block types and missing positions from an automatic layout of the
+   * imported blocks alone, so appending doesn't rearrange the board.
+   * @param {Function} parse - Returns {blocks, warnings, layoutOptions}; throws if the input can't be read
+   * @param {object} options - importFromJSON() options, plus layout: 'layered' (default), 'force' or 'grid'
+   * @returns {boolean} Success status
+   */
+  importParsed(parse, options = {}) {
+    const { layout = 'layered', ...importOptions } = options;
+    
+    let parsed;
+    try {
+      parsed = parse();
+    } catch (error) {
+      this.emit('importFailed', { valid: false, errors: [{ path: '', message: error.message }], warnings: [] });
+      return false;
+    }
+    
+    const now = new Date().toISOString();
+    const blocks = parsed.blocks.map(block => ({
+      links: [],
+      properties: {},
+      parentId: null,
+      ...block,
+      size: block.size || { ...(this.getBlockType(block.type).defaultSize || { width: 250, height: 250 }) },
+      metadata: { createdAt: now, updatedAt: now }
+    }));
+    
+    const data = { version: BlockSchema.VERSION, blocks };
+    const unplaced = blocks.filter(block => !block.position);
+    if (unplaced.length > 0) {
+      const placed = blocks.filter(block => block.position).map(block => block.id);
+      unplaced.forEach(block => { block.position = { x: 0, y: 0 }; });
+      
+      const scratch = new BlockEngine();
+      scratch.settings = { ...this.settings };
+      if (scratch.importFromJSON(data)) {
+        // Nodes that came with a position keep it; the rest are fitted around them
+        scratch.arrangeBlocks(placed.length > 0 ? { algorithm: 'force', pinned: placed } : { ...parsed.layoutOptions, algorithm: layout });
+        data.blocks = scratch.exportData().blocks;
+      }
+    }
+    
+    const { data: prepared, report } = this.prepareImport(data);
+    report.warnings = [...parsed.warnings, ...report.warnings];
+    return this.applyImport(prepared, report, importOptions);
+  }
+
+  /**
+   * Compare two board states (see BlockDiff for the changeset format)
+   * @param {BlockEngine|object|string} a - Old state: an engine, export data or exportToJSON() output
+   * @param {BlockEngine|object|string} b - New state
+   * @returns {object} Changeset turning a into b, for applyPatch()
+   */
+  static diff(a, b) {
+    return BlockDiff.diff(a, b);
+  }
+
+  /**
+   * Check a changeset against the current board without applying it
+   * @param {object} patch - Changeset from BlockEngine.diff()
+   * @returns {object} Report {clean, conflicts}, each conflict being {path, message}
+   */
+  checkPatch(patch) {
+    const { conflicts } = this.planPatch(patch);
+    return { clean: conflicts.length === 0, conflicts };
+  }
+
+  /**
+   * Apply a changeset from BlockEngine.diff() as one undoable change.
+   *
+   * Each operation expects the board to still hold its "before" value. A
+   * block or link that was changed in some other way since is a conflict,
+   * as is changing a block that no longer exists; operations whose result
+   * is already in place are skipped. Changes to a locked part of a block
+   * are conflicts too, and are left out even with conflict: 'patch'.
+   * Conflicts are reported with a 'patchFailed' event (nothing applied) or
+   * in 'patchApplied'. A changeset without the shape diff() gives it (see
+   * BlockDiff.validate()) throws an error naming what is wrong.
+   * @param {object} patch - Changeset from BlockEngine.diff()
+   * @param {object} options - Patch options
+   * @param {string} options.conflict - 'abort' (default) applies nothing if anything conflicts,
+   *   'local' keeps the board's version of conflicting items, 'patch' overwrites them
+   * @returns {boolean} Whether the patch was applied
+   */
+  applyPatch(patch, options = {}) {
+    const conflict = options.conflict || 'abort';
+    if (!BlockEngine.PATCH_POLICIES.includes(conflict)) {
+      throw new Error(`Unknown conflict policy "${conflict}"`);
+    }
+    
+    const { operations, conflicts } = this.planPatch(patch);
+    if (conflicts.length > 0 && conflict === 'abort') {
+      this.emit('patchFailed', { conflicts });
+      return false;
+    }
+    
+    const selected = operations.filter(operation => !operation.conflict || conflict === 'patch');
+    
+    this.recordChange('Apply patch', [], () => {
+      selected.forEach(operation => this.applyPatchOperation(operation));
+      
+      // Links to removed blocks go with them, and so does a removed frame's hold on its children
+      this.blocks.forEach(block => {
+        block.links.forEach((meta, targetId) => {
+          if (this.blocks.has(targetId)) return;
+          this.captureBefore([block.id]);
+          block.links.delete(targetId);
+        });
+      });
+      this.repairHierarchy();
+      
+      this.emit('patchApplied', { applied: selected.length, conflicts });
+    });
+    return true;
+  }
+
+  /**
+   * Turn a changeset into operations and find the ones that conflict
+   * @param {object} patch - Changeset from BlockEngine.diff()
+   * @returns {object} {operations, conflicts}
+   */
+  planPatch(patch) {
+    const { valid, errors } = BlockDiff.validate(patch);
+    if (!valid) {
+      const listed = errors.slice(0, 3).map(({ path, message }) => (path ? `${path}: ` : '') + message);
+      if (errors.length > 3) listed.push(`${errors.length - 3} more`);
+      throw new Error(`Invalid changeset: ${listed.join('; ')}`);
+    }
+    
+    const blocks = BlockDiff.blocksOf(this);
+    const links = BlockDiff.linksOf(blocks);
+    const fields = id => (blocks.has(id) ? BlockDiff.fieldsOf(blocks.get(id)) : null);
+    const added = new Set(patch.blocks.added.map(block => block.id));
+    const operations = [];
+    const conflicts = [];
+    
+    // Locked parts are never written, whatever the conflict policy
+    const lockedPart = (ids, aspect) => {
+      const id = ids.find(blockId => this.isLocked(blockId, aspect));
+      return id ? this.lockMessage(id, aspect) : null;
+    };
+    const lockedNeighbor = id => {
+      const held = this.linkLockedNeighbor([id]);
+      return held ? this.lockMessage(held.id, 'links') : null;
+    };
+    
+    // Three-way check: already done, locked, still as expected, or changed meanwhile
+    const plan = (operation, current, before, after, message, locked = null) => {
+      if (BlockDiff.equal(current, after)) return;
+      if (locked) {
+        conflicts.push({ path: operation.path, message: locked });
+        return;
+      }
+      if (!BlockDiff.equal(current, before)) {
+        operation.conflict = true;
+        conflicts.push({ path: operation.path, message });
+      }
+      operations.push(operation);
+    };
+    
+    patch.blocks.added.forEach((block, index) => {
+      plan({ path: `blocks.added[${index}]`, action: 'addBlock', block },
+        fields(block.id), null, BlockDiff.fieldsOf(block),
+        `Block "${block.id}" already exists with other contents`,
+        this.isLocked(block.id) ? this.lockMessage(block.id, null) : null);
+    });
+    
+    patch.blocks.changed.forEach(({ id, changes }, index) => {
+      const path = `blocks.changed[${index}]`;
+      const current = fields(id);
+      if (!current) {
+        conflicts.push({ path, message: `Block "${id}" no longer exists` });
+        return;
+      }
+      
+      Object.entries(changes).forEach(([field, change]) => {
+        if (field !== 'properties') {
+          plan({ path: `${path}.${field}`, action: 'setField', id, field, value: change.after },
+            current[field], change.before, change.after,
+            `"${field}" of block "${id}" was changed since the patch was made`,
+            BlockEngine.FIELD_LOCKS[field] ? lockedPart([id], BlockEngine.FIELD_LOCKS[field]) : null);
+          return;
+        }
+        Object.entries(change).forEach(([key, property]) => {
+          plan({ path: `${path}.properties.${key}`, action: 'setProperty', id, key, value: property.after },
+            current.properties[key] || null, property.before, property.after,
+            `Property "${key}" of block "${id}" was changed since the patch was made`,
+            lockedPart([id], 'content'));
+        });
+      });
+    });
+    
+    const planLink = (path, before, after) => {
+      const link = after || before;
+      const missing = [link.from, link.to].find(id => after && !blocks.has(id) && !added.has(id));
+      if (missing) {
+        conflicts.push({ path, message: `Block "${missing}" no longer exists` });
+        return;
+      }
+      plan({ path, action: 'setLink', from: link.from, to: link.to, link: after },
+        links.get(BlockDiff.pairKey(link.from, link.to)) || null, before, after,
+        `Link between "${link.from}" and "${link.to}" was changed since the patch was made`,
+        lockedPart([link.from, link.to], 'links'));
+    };
+    patch.links.removed.forEach((link, index) => planLink(`links.removed[${index}]`, link, null));
+    patch.links.changed.forEach(({ before, after }, index) => planLink(`links.changed[${index}]`, before, after));
+    patch.links.added.forEach((link, index) => planLink(`links.added[${index}]`, null, link));
+    
+    patch.blocks.removed.forEach((block, index) => {
+      plan({ path: `blocks.removed[${index}]`, action: 'removeBlock', id: block.id },
+        fields(block.id), BlockDiff.fieldsOf(block), null,
+        `Block "${block.id}" was changed since the patch was made`,
+        this.isLocked(block.id) ? this.lockMessage(block.id, null) : lockedNeighbor(block.id));
+    });
+    
+    return { operations, conflicts };
+  }
+
+  /**
+   * Carry out one operation from planPatch()
+   * @param {object} operation - Planned operation
+   */
+  applyPatchOperation(operation) {
+    const now = new Date().toISOString();
+    
+    if (operation.action === 'addBlock') {
+      this.captureBefore([operation.block.id]);
+      const existing = this.getBlock(operation.block.id);
+      const block = Block.fromJSON({ ...operation.block, links: [] });
+      // Overwriting an existing block keeps the links it has
+      if (existing) block.links = existing.links;
+      this.blocks.set(block.id, block);
+    } else if (operation.action === 'removeBlock') {
+      this.captureBefore([operation.id]);
+      this.blocks.delete(operation.id);
+    } else if (operation.action === 'setLink') {
+      const { from, to, link } = operation;
+      const fromBlock = this.getBlock(from);
+      const toBlock = this.getBlock(to);
+      if (!fromBlock || !toBlock) return;
+      
+      this.captureBefore([from, to]);
+      fromBlock.removeLink(to);
+      toBlock.removeLink(from);
+      if (link) {
+        const { from: source, to: target, type, ...details } = link;
+        this.getBlock(source).addLink(target, type, details);
+        if (type === 'double') this.getBlock(target).addLink(source, type, details);
+      }
+    } else {
+      const block = this.getBlock(operation.id);
+      if (!block) return;
+      
+      this.captureBefore([block.id]);
+      if (operation.action === 'setProperty') {
+        if (operation.value) {
+          block.properties.set(operation.key, { ...operation.value });
+        } else {
+          block.properties.delete(operation.key);
+        }
+      } else {
+        block[operation.field] = JSON.parse(JSON.stringify(operation.value));
+      }
+      block.metadata.updatedAt = now;
+    }
+  }
+
+  /**
+   * Release blocks whose parent is missing or that sit in a nesting loop
+   */
+  repairHierarchy() {
+    this.blocks.forEach(block => {
+      if (!block.parentId) return;
+      const chain = new Set([block.id]);
+      let parentId = block.parentId;
+      while (parentId && this.blocks.has(parentId) && !chain.has(parentId)) {
+        chain.add(parentId);
+        parentId = this.getBlock(parentId).parentId;
+      }
+      if (parentId === block.id || !this.blocks.has(block.parentId)) {
+        this.captureBefore([block.id]);
+        block.parentId = null;
+      }
+    });
+  }
+
+  /**
+   * Attach a storage adapter (see blockStorage.js). Adapters implement
+   * async load(name), save(name, data), saveIncremental(name, changes),
+   * list() and remove(name).
+   * @param {object} adapter - Storage adapter
+   * @param {object} options - Storage options
+   * @param {string} options.document - Document to load and save (default 'default')
+   * @param {boolean} options.autosave - Save automatically after changes (default true)
+   * @param {number} options.delay - Autosave debounce in milliseconds (default 1000)
+   */
+  setStorage(adapter, options = {}) {
+    const firstAdapter = !this.storage;
+    this.storage = adapter;
+    this.storageOptions = {
+      autosave: options.autosave ?? true,
+      delay: options.delay ?? 1000
+    };
+    if (options.document) this.documentName = options.document;
+    this.resetUnsaved(true);
+    
+    if (firstAdapter) {
+      this.on('changed', change => this.trackUnsaved(change));
+      ['blockTypeRegistered', 'blockTypeUnregistered', 'linkKindRegistered', 'linkKindUnregistered']
+        .forEach(event => this.on(event, () => this.trackUnsaved(null)));
+    }
+  }
+
+  /**
+   * Remember what a change touched so the next incremental save can write just that
+   * @param {object|null} change - Payload of a 'changed' event, or null for document-level changes
+   */
+  trackUnsaved(change) {
+    if (!this.storage) return;
+    
+    if (change) {
+      [...change.added, ...change.updated].forEach(id => {
+        this.unsaved.blocks.add(id);
+        this.unsaved.removed.delete(id);
+      });
+      change.removed.forEach(id => {
+        this.unsaved.blocks.delete(id);
+        this.unsaved.removed.add(id);
+      });
+    }
+    this.unsaved.dirty = true;
+    
+    if (this.storageOptions.autosave) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = setTimeout(() => {
+        this.autosaveTimer = null;
+        this.saveIncremental();
+      }, this.storageOptions.delay);
+    }
+  }
+
+  /**
+   * Forget tracked changes
+   * @param {boolean} full - Whether the next save has to write the whole document
+   */
+  resetUnsaved(full = false) {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.unsaved = { blocks: new Set(), removed: new Set(), dirty: false, full };
+  }
+
+  /**
+   * Check whether there are changes that have not been saved
+   * @returns {boolean} Whether a save is pending
+   */
+  hasUnsavedChanges() {
+    return this.unsaved.dirty;
+  }
+
+  /**
+   * Replace the engine contents with a stored document. History is
+   * cleared, since the loaded document is the new starting point.
+   * @param {string} name - Document name (defaults to the current document)
+   * @returns {Promise<boolean>} False if the document is missing or invalid
+   */
+  async load(name = this.documentName) {
+    this.requireStorage();
+    
+    let data;
+    try {
+      data = await this.storage.load(name);
+    } catch (error) {
+      this.emit('loadFailed', { name, error });
+      return false;
+    }
+    if (!data) {
+      this.emit('loadFailed', { name, error: new Error(`Document "${name}" not found`) });
+      return false;
+    }
+    
+    // Opening another document replaces locked blocks too
+    if (!this.importFromJSON(data, { mode: 'replace', keepLocked: false })) return false;
+    
+    this.clearHistory();
+    this.documentName = name;
+    this.resetUnsaved(false);
+    this.emit('documentLoaded', { name });
+    return true;
+  }
+
+  /**
+   * Write the whole document to storage
+   * @param {string} name - Document name (defaults to the current document; saving under
+   *   another name makes that the current document)
+   * @returns {Promise<boolean>} Success status
+   */
+  async save(name = this.documentName) {
+    this.requireStorage();
+    
+    // Changes made while the write is in flight are tracked afresh
+    this.resetUnsaved(false);
+    this.documentName = name;
+    const data = this.exportData();
+    
+    this.emit('saving', { name, incremental: false });
+    try {
+      await this.storage.save(name, data);
+    } catch (error) {
+      this.unsaved.full = true;
+      this.unsaved.dirty = true;
+      this.emit('saveFailed', { name, error, incremental: false });
+      return false;
+    }
+    
+    this.emit('saved', { name, incremental: false, savedAt: data.exportedAt });
+    return true;
+  }
+
+  /**
+   * Write only what changed since the last save. Falls back to a full save
+   * when the document has not been written (or loaded) yet.
+   * @param {string} name - Document name (defaults to the current document)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveIncremental(name = this.documentName) {
+    this.requireStorage();
+    if (this.unsaved.full || name !== this.documentName) return this.save(name);
+    if (!this.unsaved.dirty) return true;
+    
+    const unsaved = this.unsaved;
+    this.resetUnsaved(false);
+    
+    const { blocks, ...header } = this.exportData();
+    const changes = {
+      header: { ...header, order: Array.from(this.blocks.keys()) },
+      blocks: blocks.filter(block => unsaved.blocks.has(block.id)),
+      removed: Array.from(unsaved.removed)
+    };
+    
+    this.emit('saving', { name, incremental: true });
+    try {
+      await this.storage.saveIncremental(name, changes);
+    } catch (error) {
+      // Put the changes back so the next attempt writes them too
+      unsaved.blocks.forEach(id => {
+        if (!this.unsaved.removed.has(id)) this.unsaved.blocks.add(id);
+      });
+      unsaved.removed.forEach(id => {
+        if (!this.unsaved.blocks.has(id)) this.unsaved.removed.add(id);
+      });
+      this.unsaved.dirty = true;
+      this.emit('saveFailed', { name, error, incremental: true });
+      return false;
+    }
+    
+    this.emit('saved', { name, incremental: true, savedAt: header.exportedAt });
+    return true;
+  }
+
+  /**
+   * List the documents in storage
+   * @returns {Promise<Array>} Array of {name, savedAt, blocks}
+   */
+  async listDocuments() {
+    this.requireStorage();
+    return this.storage.list();
+  }
+
+  /**
+   * Delete a document from storage
+   * @param {string} name - Document name
+   * @returns {Promise<boolean>} Whether a document was deleted
+   */
+  async deleteDocument(name) {
+    this.requireStorage();
+    return this.storage.remove(name);
+  }
+
+  /**
+   * Throw unless a storage adapter is attached
+   */
+  requireStorage() {
+    if (!this.storage) {
+      throw new Error('No storage adapter, see setStorage()');
+    }
+  }
+
+  /**
+   * Run a group of mutations as one transaction.
+   *
+   * Events raised inside the callback are held back until it finishes,
+   * followed by a single 'changed' event, and the whole group becomes one
+   * undoable history entry. If the callback throws, every change it made
+   * is rolled back and the error is rethrown.
+   * @param {Function} fn - Callback receiving the engine
+   * @param {string} label - History label for the transaction
+   * @returns {*} Whatever the callback returned
+   */
+  transaction(fn, label = 'Transaction') {
+    return this.recordChange(label, [], () => fn(this));
   }
 
   /**
-   * Update block position
-   * @param {string} id - The block ID
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {boolean} snapToGrid - Whether to snap to grid
-   * @returns {boolean} Success status
+   * Start a batch explicitly (see transaction()). Batches nest; only the
+   * outermost commit() finishes the change.
+   * @param {string} label - History label for the batch
+   * @param {object} options - {settings: true} to also snapshot engine settings
    */
-  setBlockPosition(id, x, y, snapToGrid = true) {
-    const block = this.getBlock(id);
-    if (!block) return false;
-    
-    if (snapToGrid) {
-      x = Math.round(x / this.settings.gridSize) * this.settings.gridSize;
-      y = Math.round(y / this.settings.gridSize) * this.settings.gridSize;
+  beginBatch(label = 'Batch', options = {}) {
+    if (!this.activeChange) {
+      this.activeChange = {
+        label,
+        blocks: new Map(),
+        order: { before: Array.from(this.blocks.keys()), after: null },
+        settings: null,
+        events: [],
+        depth: 0,
+        savepoints: [], // One per nested level, see rollbackLevel()
+        timestamp: new Date().toISOString()
+      };
+    } else {
+      this.activeChange.savepoints.push({
+        blocks: new Map(),
+        order: { before: Array.from(this.blocks.keys()) },
+        settings: { before: { ...this.settings } },
+        events: this.activeChange.events.length
+      });
     }
     
-    block.setPosition(x, y);
-    this.emit('blockMoved', block);
-    return true;
+    this.activeChange.depth++;
+    if (options.settings && !this.activeChange.settings) {
+      this.activeChange.settings = { before: { ...this.settings }, after: null };
+    }
   }
 
   /**
-   * Update block size
-   * @param {string} id - The block ID
-   * @param {number} width - Width
-   * @param {number} height - Height
-   * @returns {boolean} Success status
+   * Finish the current batch level
+   * @returns {boolean} False if no batch was open
    */
-  setBlockSize(id, width, height) {
-    const block = this.getBlock(id);
-    if (!block) return false;
-    
-    // Enforce minimum size
-    width = Math.max(width, this.settings.minBlockWidth);
-    height = Math.max(height, this.settings.minBlockHeight);
+  commit() {
+    const change = this.activeChange;
+    if (!change) return false;
     
-    block.setSize(width, height);
-    this.emit('blockResized', block);
+    change.depth--;
+    if (change.depth === 0) {
+      this.activeChange = null;
+      this.commitChange(change);
+    } else {
+      change.savepoints.pop();
+    }
     return true;
   }
 
   /**
-   * Get block by ID
-   * @param {string} id - The block ID
-   * @returns {Block|null} The block or null if not found
+   * Undo the innermost batch level only, restoring the blocks it touched
+   * to how they were when the level began and dropping its pending events.
+   * Outer levels stay open.
    */
-  getBlock(id) {
-    return this.blocks.get(id) || null;
+  rollbackLevel() {
+    const change = this.activeChange;
+    const savepoint = change.savepoints.pop();
+    
+    change.depth--;
+    change.events.length = savepoint.events;
+    this.applySnapshots(savepoint, 'before');
   }
 
   /**
-   * Update block content
-   * @param {string} id - The block ID
-   * @param {string} content - The new content
-   * @returns {boolean} Success status
+   * Abandon the open batch, including any outer levels, restoring every
+   * block it touched and dropping its pending events
+   * @returns {boolean} False if no batch was open
    */
-  setBlockContent(id, content) {
-    const block = this.getBlock(id);
-    if (!block) return false;
+  rollback() {
+    const change = this.activeChange;
+    if (!change) return false;
     
-    block.setContent(content);
-    this.emit('blockUpdated', block);
+    this.activeChange = null;
+    this.applySnapshots(change, 'before');
     return true;
   }
 
   /**
-   * Link two blocks together
-   * @param {string} fromId - Source block ID
-   * @param {string} toId - Target block ID
-   * @param {string} linkType - Type of link: 'single', 'reverse', or 'double'
-   * @returns {boolean} Success status
+   * Run a mutation and record it as one undoable history entry.
+   *
+   * The listed blocks are snapshotted before the mutation runs and again
+   * afterwards. Nested calls (e.g. setBlockPosition inside arrangeBlocks)
+   * fold into the outermost change. Changes that leave every snapshot
+   * untouched are not recorded. If the mutation throws, what it changed
+   * is restored (just its own part when nested) and the error rethrown.
+   * @param {string} label - Human readable description of the change
+   * @param {Array} blockIds - IDs of blocks the mutation may touch
+   * @param {Function} mutate - The mutation itself
+   * @param {object} options - {settings: true} to also snapshot engine settings
+   * @returns {*} Whatever the mutation returned
    */
-  linkBlocks(fromId, toId, linkType = 'single') {
-    const fromBlock = this.getBlock(fromId);
-    const toBlock = this.getBlock(toId);
-    
-    if (!fromBlock || !toBlock) return false;
-    
-    // Remove existing links between these blocks
-    fromBlock.removeLink(toId);
-    toBlock.removeLink(fromId);
+  recordChange(label, blockIds, mutate, options = {}) {
+    this.beginBatch(label, options);
     
-    // Add links based on type
-    if (linkType === 'single') {
-      fromBlock.addLink(toId, 'single');
-    } else if (linkType === 'reverse') {
-      toBlock.addLink(fromId, 'single');
-    } else if (linkType === 'double') {
-      fromBlock.addLink(toId, 'double');
-      toBlock.addLink(fromId, 'double');
+    let result;
+    try {
+      this.captureBefore(blockIds);
+      result = mutate();
+    } catch (error) {
+      // An inner level undoes its own work, so a caller that catches the
+      // error carries on from a consistent state
+      if (this.activeChange && this.activeChange.depth > 1) {
+        this.rollbackLevel();
+      } else {
+        this.rollback();
+      }
+      throw error;
     }
     
-    this.emit('blocksLinked', { from: fromBlock, to: toBlock, linkType });
-    return true;
+    this.commit();
+    return result;
   }
 
   /**
-   * Update link type between blocks
-   * @param {string} fromId - Source block ID
-   * @param {string} toId - Target block ID
-   * @param {string} newLinkType - New link type
-   * @returns {boolean} Success status
+   * Snapshot blocks into the active change unless already captured
+   * @param {Array} blockIds - Block IDs about to be modified
    */
-  updateLinkType(fromId, toId, newLinkType) {
-    return this.linkBlocks(fromId, toId, newLinkType);
+  captureBefore(blockIds) {
+    const change = this.activeChange;
+    if (!change) return;
+    
+    blockIds.forEach(id => {
+      if (!change.blocks.has(id)) {
+        change.blocks.set(id, { before: this.snapshotBlock(id), after: null });
+      }
+      change.savepoints.forEach(savepoint => {
+        if (!savepoint.blocks.has(id)) {
+          savepoint.blocks.set(id, { before: this.snapshotBlock(id) });
+        }
+      });
+    });
   }
 
   /**
-   * Get link info between two blocks
-   * @param {string} fromId - Source block ID
-   * @param {string} toId - Target block ID
-   * @returns {object|null} Link info or null
+   * Take the "after" snapshots of a finished change, push it onto the
+   * history and release its pending events
+   * @param {object} change - Change started by beginBatch()
    */
-  getLinkInfo(fromId, toId) {
-    const fromBlock = this.getBlock(fromId);
-    const toBlock = this.getBlock(toId);
-    
-    if (!fromBlock || !toBlock) return null;
+  commitChange(change) {
+    change.blocks.forEach((state, id) => {
+      state.after = this.snapshotBlock(id);
+    });
+    change.order.after = Array.from(this.blocks.keys());
+    if (change.settings) {
+      change.settings.after = { ...this.settings };
+    }
     
-    const hasForward = fromBlock.hasLink(toId);
-    const hasReverse = toBlock.hasLink(fromId);
+    const summary = this.describeChange(change, 'before', 'after');
+    const modified = summary.added.length > 0 || summary.updated.length > 0 ||
+      summary.removed.length > 0 || summary.settingsChanged;
     
-    if (hasForward && hasReverse) {
-      return { type: 'double', from: fromId, to: toId };
-    } else if (hasForward) {
-      return { type: 'single', from: fromId, to: toId };
-    } else if (hasReverse) {
-      return { type: 'reverse', from: toId, to: fromId };
+    if (modified) {
+      this.history.push(change);
     }
     
-    return null;
+    const events = change.events;
+    change.events = []; // History entries shouldn't keep event payloads alive
+    events.forEach(({ event, data }) => this.emit(event, data));
+    
+    if (modified) {
+      this.emit('historyChanged', this.history.getState());
+      this.emit('changed', {
+        ...summary,
+        source: 'local',
+        events: Array.from(new Set(events.map(e => e.event)))
+      });
+    }
   }
 
   /**
-   * Unlink two blocks
-   * @param {string} fromId - Source block ID
-   * @param {string} toId - Target block ID
-   * @returns {boolean} Success status
+   * Summarize what a change does when going from one side to the other
+   * @param {object} change - History entry
+   * @param {string} from - 'before' or 'after'
+   * @param {string} to - 'before' or 'after'
+   * @returns {object} {label, added, updated, removed, settingsChanged}
    */
-  unlinkBlocks(fromId, toId) {
-    const fromBlock = this.getBlock(fromId);
-    const toBlock = this.getBlock(toId);
+  describeChange(change, from, to) {
+    const summary = { label: change.label, added: [], updated: [], removed: [], settingsChanged: false };
     
-    if (!fromBlock && !toBlock) return false;
+    change.blocks.forEach((state, id) => {
+      if (!state[from] && state[to]) {
+        summary.added.push(id);
+      } else if (state[from] && !state[to]) {
+        summary.removed.push(id);
+      } else if (!this.snapshotsEqual(state[from], state[to])) {
+        summary.updated.push(id);
+      }
+    });
     
-    if (fromBlock) fromBlock.removeLink(toId);
-    if (toBlock) toBlock.removeLink(fromId);
+    if (change.settings) {
+      summary.settingsChanged = JSON.stringify(change.settings[from]) !== JSON.stringify(change.settings[to]);
+    }
     
-    this.emit('blocksUnlinked', { fromId, toId });
-    return true;
+    return summary;
   }
 
   /**
-   * Delete a block
-   * @param {string} id - The block ID to delete
-   * @returns {boolean} Success status
+   * Deep copy of a block's serialized state
+   * @param {string} id - The block ID
+   * @returns {object|null} Snapshot, or null if the block does not exist
    */
-  deleteBlock(id) {
+  snapshotBlock(id) {
     const block = this.getBlock(id);
-    if (!block) return false;
-    
-    // Remove all links to this block
-    this.blocks.forEach(b => {
-      if (b.hasLink(id)) {
-        b.removeLink(id);
+    return block ? JSON.parse(JSON.stringify(block.toJSON())) : null;
+  }
+
+  /**
+   * Compare two snapshots, ignoring the updatedAt timestamp
+   */
+  snapshotsEqual(a, b) {
+    if (!a || !b) return a === b;
+    const strip = ({ metadata, ...rest }) => ({ ...rest, createdAt: metadata && metadata.createdAt });
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+  }
+
+  /**
+   * Write one side of a recorded change back into the engine
+   * @param {object} change - History entry
+   * @param {string} side - 'before' (undo) or 'after' (redo)
+   */
+  applySnapshots(change, side) {
+    change.blocks.forEach((state, id) => {
+      const snapshot = state[side];
+      if (snapshot) {
+        this.blocks.set(id, Block.fromJSON(snapshot));
+      } else {
+        this.blocks.delete(id);
       }
     });
     
-    this.blocks.delete(id);
-    this.emit('blockDeleted', { id });
-    return true;
+    // Restored blocks go back to their original place in the ordering
+    const order = change.order[side];
+    if (order) {
+      const reordered = new Map();
+      order.forEach(id => {
+        if (this.blocks.has(id)) reordered.set(id, this.blocks.get(id));
+      });
+      this.blocks.forEach((block, id) => {
+        if (!reordered.has(id)) reordered.set(id, block);
+      });
+      this.blocks.clear();
+      reordered.forEach((block, id) => this.blocks.set(id, block));
+    }
+    
+    if (change.settings) {
+      this.settings = { ...change.settings[side] };
+    }
   }
 
   /**
-   * Get all blocks
-   * @returns {Array} Array of all blocks
+   * The block states an undo or redo goes between, for the 'changed'
+   * event: a collaborator can tell from them which fields the change
+   * itself touched, as opposed to the rest of the snapshot it restored
+   * @param {object} change - History entry
+   * @param {string} from - 'before' or 'after'
+   * @param {string} to - 'before' or 'after'
+   * @returns {Map} Block ID => {before, after} (snapshots, null if missing)
    */
-  getAllBlocks() {
-    return Array.from(this.blocks.values());
+  historySnapshots(change, from, to) {
+    const snapshots = new Map();
+    change.blocks.forEach((state, id) => {
+      snapshots.set(id, { before: state[from] || null, after: state[to] || null });
+    });
+    return snapshots;
   }
 
   /**
-   * Get blocks that link to a specific block
-   * @param {string} id - The target block ID
-   * @returns {Array} Array of blocks that link to the target
+   * Revert the most recent change
+   * @returns {boolean} Whether anything was undone
    */
-  getIncomingLinks(id) {
-    return this.getAllBlocks().filter(block => block.hasLink(id));
+  undo() {
+    const change = this.history.undo();
+    if (!change) return false;
+    
+    this.applySnapshots(change, 'before');
+    this.emit('historyApplied', { action: 'undo', label: change.label, blockIds: Array.from(change.blocks.keys()) });
+    this.emit('historyChanged', this.history.getState());
+    this.emit('changed', {
+      ...this.describeChange(change, 'after', 'before'),
+      source: 'undo',
+      snapshots: this.historySnapshots(change, 'after', 'before'),
+      events: []
+    });
+    return true;
   }
 
   /**
-   * Get blocks that a specific block links to
-   * @param {string} id - The source block ID
-   * @returns {Array} Array of blocks that the source links to
+   * Re-apply the most recently undone change
+   * @returns {boolean} Whether anything was redone
    */
-  getOutgoingLinks(id) {
-    const block = this.getBlock(id);
-    if (!block) return [];
+  redo() {
+    const change = this.history.redo();
+    if (!change) return false;
     
-    return Array.from(block.links.keys())
-      .map(linkId => this.getBlock(linkId))
-      .filter(b => b !== null);
+    this.applySnapshots(change, 'after');
+    this.emit('historyApplied', { action: 'redo', label: change.label, blockIds: Array.from(change.blocks.keys()) });
+    this.emit('historyChanged', this.history.getState());
+    this.emit('changed', {
+      ...this.describeChange(change, 'before', 'after'),
+      source: 'redo',
+      snapshots: this.historySnapshots(change, 'before', 'after'),
+      events: []
+    });
+    return true;
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
   }
 
   /**
-   * Search blocks by content
-   * @param {string} query - Search query
-   * @returns {Array} Array of matching blocks
+   * Forget all recorded changes
    */
-  searchBlocks(query) {
-    const lowerQuery = query.toLowerCase();
-    return this.getAllBlocks().filter(block => 
-      block.content.toLowerCase().includes(lowerQuery)
-    );
+  clearHistory() {
+    this.history.clear();
+    this.emit('historyChanged', this.history.getState());
   }
 
   /**
-   * Arrange blocks in a grid layout
+   * Change how many changes can be undone
+   * @param {number} limit - Maximum history depth
    */
-  arrangeBlocks(columns = 3) {
-    const blocks = this.getAllBlocks();
-    const spacing = this.settings.defaultSpacing;
-    const startX = 50;
-    const startY = 50;
+  setHistoryLimit(limit) {
+    this.history.setLimit(limit);
+    this.emit('historyChanged', this.history.getState());
+  }
+
+  /**
+   * Write block states that come from outside this engine (another replica,
+   * a sync service) without recording them in the undo history. Listeners
+   * see a regular 'changed' event with the given source.
+   * @param {Map} snapshots - Block ID => snapshot (as from snapshotBlock()), or null to delete
+   * @param {object} options - {label, source (default 'remote')}
+   * @returns {boolean} Whether anything changed
+   */
+  applyExternalChange(snapshots, options = {}) {
+    const { label = 'Remote change', source = 'remote' } = options;
+    if (this.activeChange) {
+      throw new Error('External changes cannot be applied inside a transaction');
+    }
     
-    blocks.forEach((block, index) => {
-      const col = index % columns;
-      const row = Math.floor(index / columns);
-      
-      const x = startX + (col * spacing);
-      const y = startY + (row * spacing);
-      
-      this.setBlockPosition(block.id, x, y);
+    const change = {
+      label,
+      blocks: new Map(),
+      order: { before: Array.from(this.blocks.keys()), after: null },
+      settings: null,
+      events: []
+    };
+    snapshots.forEach((snapshot, id) => {
+      change.blocks.set(id, { before: this.snapshotBlock(id), after: snapshot });
     });
     
-    this.emit('blocksArranged', { count: blocks.length });
+    // Written even if only timestamps differ, so replicas end up identical
+    this.applySnapshots(change, 'after');
+    
+    const summary = this.describeChange(change, 'before', 'after');
+    if (summary.added.length === 0 && summary.updated.length === 0 && summary.removed.length === 0) {
+      return false;
+    }
+    
+    this.emit('changed', { ...summary, source, events: [] });
+    return true;
   }
 
   /**
-   * Export all blocks as JSON
-   * @returns {string} JSON string of all blocks
+   * Choose how new block IDs are made
+   * @param {string|Function} strategy - 'timestamp' (default, block_<ms>_<random>),
+   *   'uuid' (random UUID v4), 'ulid' (sorts by creation time), 'sequential'
+   *   (block-1, block-2, ... per document; single-user only), or a function
+   *   (engine) => ID
    */
-  exportToJSON() {
-    const data = {
-      blocks: this.getAllBlocks().map(block => block.toJSON()),
-      settings: this.settings,
-      exportedAt: new Date().toISOString()
-    };
-    return JSON.stringify(data, null, 2);
+  setIdStrategy(strategy) {
+    if (typeof strategy !== 'function' && !Object.prototype.hasOwnProperty.call(BlockIds.STRATEGIES, strategy)) {
+      throw new Error(`Unknown ID strategy "${strategy}" (expected ${Object.keys(BlockIds.STRATEGIES).join(', ')} or a function)`);
+    }
+    this.idStrategy = strategy;
   }
 
   /**
-   * Import blocks from JSON
-   * @param {string} jsonData - JSON string of blocks
-   * @returns {boolean} Success status
+   * Generate a unique ID for blocks with the current strategy. IDs already
+   * in use are skipped.
+   * @param {Function} isTaken - Optional (id) => boolean for IDs reserved but not yet added
+   * @returns {string} Unique ID
    */
-  importFromJSON(jsonData) {
-    try {
-      const data = JSON.parse(jsonData);
-      
-      // Clear existing blocks
-      this.blocks.clear();
-      
-      // Import settings if available
-      if (data.settings) {
-        Object.assign(this.settings, data.settings);
+  generateId(isTaken = null) {
+    const strategy = typeof this.idStrategy === 'function' ? this.idStrategy : BlockIds.STRATEGIES[this.idStrategy];
+    let id;
+    
+    for (let attempt = 0; attempt < 100; attempt++) {
+      id = strategy(this);
+      if (typeof id !== 'string' || id === '') {
+        throw new Error('ID strategy must return a non-empty string');
       }
-      
-      // Import blocks
-      data.blocks.forEach(blockData => {
-        const block = new Block(blockData.id, blockData.content, blockData.type);
-        
-        // Convert old format to new format
-        if (Array.isArray(blockData.links)) {
-          // Handle both old format (array of IDs) and new format (array of objects)
-          blockData.links.forEach(link => {
-            if (typeof link === 'string') {
-              block.links.set(link, { type: 'single', createdAt: new Date().toISOString() });
-            } else {
-              block.links.set(link.id, { type: link.type || 'single', createdAt: link.createdAt });
-            }
-          });
-        }
-        
-        block.position = blockData.position || { x: 0, y: 0 };
-        block.size = blockData.size || { width: 250, height: 150 };
-        block.metadata = blockData.metadata;
-        this.blocks.set(block.id, block);
-      });
-      
-      this.emit('blocksImported', { count: data.blocks.length });
-      return true;
-    } catch (error) {
-      console.error('Import failed:', error);
-      return false;
+      if (!this.blocks.has(id) && !(isTaken && isTaken(id))) return id;
     }
+    throw new Error(`ID strategy keeps returning IDs that are in use (last "${id}")`);
   }
 
   /**
-   * Generate a unique ID for blocks
-   * @returns {string} Unique ID
+   * Give a block a new ID. Links pointing at the block and the parent
+   * reference of its children are rewritten; the block keeps its place in
+   * the order. A locked block, or one linked to or from a block with its
+   * links locked, can't be renamed.
+   * @param {string} oldId - Current ID
+   * @param {string} newId - New ID
+   * @returns {boolean} False if the block is missing, locked or the new ID is taken
    */
-  generateId() {
-    return `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  renameBlockId(oldId, newId) {
+    if (typeof newId !== 'string' || newId === '') {
+      throw new Error('Block ID must be a non-empty string');
+    }
+    const block = this.getBlock(oldId);
+    if (!block) return false;
+    if (newId === oldId) return true;
+    if (this.blocks.has(newId)) return false;
+    if (this.refuseLocked(block, null)) return false;
+    const held = this.linkLockedNeighbor([oldId]);
+    if (held) {
+      this.refuseLocked(held, 'links');
+      return false;
+    }
+    
+    const linking = this.getIncomingLinks(oldId).filter(b => b !== block);
+    const children = this.getChildren(oldId).filter(b => b !== block);
+    const touched = [...new Set([...linking, ...children].map(b => b.id))];
+    
+    return this.recordChange('Rename block', [oldId, newId, ...touched], () => {
+      const entries = Array.from(this.blocks.entries());
+      this.blocks.clear();
+      entries.forEach(([id, b]) => this.blocks.set(id === oldId ? newId : id, b));
+      block.id = newId;
+      
+      // A self-link moves with the block itself
+      const now = new Date().toISOString();
+      [block, ...linking].forEach(b => {
+        if (!b.links.has(oldId)) return;
+        b.links = new Map(Array.from(b.links.entries()).map(([targetId, meta]) => [targetId === oldId ? newId : targetId, meta]));
+        b.metadata.updatedAt = now;
+      });
+      children.forEach(child => child.setParent(newId));
+      block.metadata.updatedAt = now;
+      
+      this.emit('blockRenamed', { block, oldId, newId });
+      return true;
+    });
   }
 
   /**
-   * Event system
+   * Event system. Listeners run in the order they were added. A listener
+   * that throws, or returns a promise that rejects, does not stop the
+   * others: its error is emitted as an 'error' event ({error, event, data})
+   * instead, or logged if nothing listens for errors.
+   * @param {string} event - Event name, or '*' for every event
+   * @param {Function} callback - (data) => void, or (event, data) => void for '*'
+   * @returns {Function} Removes the listener again
    */
   on(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
     if (!this.eventListeners.has(event)) {
       this.eventListeners.set(event, []);
     }
     this.eventListeners.get(event).push(callback);
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Listen to the next occurrence of an event only
+   * @param {string} event - Event name, or '*' for every event
+   * @param {Function} callback - As for on(); omit it to get a promise instead
+   * @returns {Function|Promise} Disposer, or a promise of the event data
+   *   ({event, data} for '*') when no callback is given
+   */
+  once(event, callback) {
+    if (callback === undefined) {
+      return new Promise(resolve => {
+        this.once(event, (...args) => resolve(event === '*' ? { event: args[0], data: args[1] } : args[0]));
+      });
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+    
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      return callback(...args);
+    };
+    wrapper.listener = callback; // So off() finds it by the original function
+    return this.on(event, wrapper);
   }
 
   off(event, callback) {
     if (!this.eventListeners.has(event)) return;
     
     const listeners = this.eventListeners.get(event);
-    const index = listeners.indexOf(callback);
+    const index = listeners.findIndex(listener => listener === callback || listener.listener === callback);
     if (index > -1) {
       listeners.splice(index, 1);
     }
   }
 
+  /**
+   * Whether anything listens to an event (wildcard listeners not counted)
+   * @param {string} event - Event name
+   * @returns {boolean} True if at least one listener is registered
+   */
+  hasListeners(event) {
+    return this.eventListeners.has(event) && this.eventListeners.get(event).length > 0;
+  }
+
   emit(event, data) {
-    if (!this.eventListeners.has(event)) return;
+    // Hold events back until the running change completes
+    if (this.activeChange) {
+      this.activeChange.events.push({ event, data });
+      return;
+    }
     
-    this.eventListeners.get(event).forEach(callback => {
-      callback(data);
-    });
+    this.dispatch(event, data);
+  }
+
+  /**
+   * Emit a cancellable before-event right away, even inside a transaction.
+   * Listeners may change the event's writable fields, or call
+   * event.cancel(reason) to veto the change. Promises returned by the
+   * listeners are not waited for, so only synchronous code can veto.
+   * @param {string} event - Event name ('beforeBlockDelete', 'beforeLink' or 'beforeMove')
+   * @param {object} data - Event fields
+   * @returns {object} The event as the listeners left it, with {cancelled, reason}
+   */
+  emitBefore(event, data) {
+    const payload = { ...data, cancelled: false, reason: null };
+    payload.cancel = (reason = 'Cancelled by a listener') => {
+      payload.cancelled = true;
+      payload.reason = reason;
+    };
+    
+    this.dispatch(event, payload);
+    
+    if (payload.cancelled) {
+      this.emit('changeCancelled', { event, reason: payload.reason, ...data });
+    }
+    return payload;
+  }
+
+  /**
+   * Call the listeners of an event, then the wildcard listeners
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  dispatch(event, data) {
+    // Copies, so listeners can add or remove listeners (once() does) safely
+    const listeners = (this.eventListeners.get(event) || []).slice();
+    const wildcard = event === '*' ? [] : (this.eventListeners.get('*') || []).slice();
+    
+    listeners.forEach(callback => this.callListener(callback, [data], event, data));
+    wildcard.forEach(callback => this.callListener(callback, [event, data], event, data));
+  }
+
+  /**
+   * Run one listener, routing what it throws or rejects with to 'error'
+   */
+  callListener(callback, args, event, data) {
+    try {
+      const result = callback(...args);
+      if (result && typeof result.then === 'function') {
+        result.then(null, error => this.reportListenerError(error, event, data));
+      }
+    } catch (error) {
+      this.reportListenerError(error, event, data);
+    }
+  }
+
+  reportListenerError(error, event, data) {
+    // Errors of error listeners are logged, so one failing handler can't loop
+    if (event === 'error' || !this.hasListeners('error')) {
+      console.error(`Error in "${event}" listener:`, error);
+      return;
+    }
+    this.dispatch('error', { error, event, data });
   }
 }
 
+BlockEngine.IMPORT_MODES = ['replace', 'merge', 'append'];
+
+// Lock that protects each block field a patch can change (see planPatch())
+BlockEngine.FIELD_LOCKS = { content: 'content', type: 'content', position: 'position', size: 'size' };
+
+// Types every engine starts with
+BlockEngine.DEFAULT_BLOCK_TYPES = {
+  default: {},
+  note: { color: '#f0ad4e', icon: '📝' },
+  task: { color: '#28a745', icon: '✔' },
+  frame: { color: '#6c757d', icon: '▢', defaultSize: { width: 600, height: 400 } }
+};
+
+// Link kinds every engine starts with
+BlockEngine.DEFAULT_LINK_KINDS = {
+  default: { color: '#007bff' }
+};
+BlockEngine.MERGE_POLICIES = ['newest', 'local', 'remote', 'rename'];
+BlockEngine.PATCH_POLICIES = ['abort', 'local', 'patch'];
+
 // Export for use in browsers and Node.js
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { BlockEngine, Block };
+  module.exports = { BlockEngine, Block, BlockCanvas, BlockDiff, BlockDot, BlockGraph, BlockGraphML, BlockIds, BlockLayout, BlockMarkdown, BlockMermaid, BlockRules, BlockSchema, BlockSearchIndex, CommandHistory };
 }
\ No newline at end of file
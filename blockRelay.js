@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Free Block Engine - WebSocket Relay
+ * 
+ * A small dependency-free WebSocket server for Node.js that forwards every
+ * text message to the other clients in the same room (the URL path), for
+ * use with WebSocketTransport from blockCollab.js. Also includes a
+ * minimal client for Node.js versions without a global WebSocket.
+ * 
+ *   node blockRelay.js --port 8080
+ * 
+ * @author Paul Dikaloff
+ * @version 1.0.0
+ * @license MIT
+ * @repository https://github.com/pavadik/free-block-engine
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * WebSocket-like wrapper around an upgraded TCP socket (RFC 6455, text
+ * messages only). Exposes readyState, send(), close() and the onopen,
+ * onmessage, onclose and onerror callbacks.
+ */
+class RelayConnection {
+  /**
+   * @param {net.Socket} socket - Upgraded socket
+   * @param {boolean} masked - Whether outgoing frames are masked (clients must mask)
+   * @param {Buffer} head - Bytes already read past the handshake
+   */
+  constructor(socket, masked, head = Buffer.alloc(0)) {
+    this.socket = socket;
+    this.masked = masked;
+    this.readyState = 1;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    
+    socket.setNoDelay(true);
+    socket.on('data', data => this.receive(data));
+    socket.on('close', () => this.closed());
+    socket.on('error', error => {
+      if (this.onerror) this.onerror(error);
+    });
+    
+    if (head.length > 0) this.receive(head);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - Message
+   */
+  send(text) {
+    if (this.readyState !== 1) return;
+    this.socket.write(this.frame(0x1, Buffer.from(String(text), 'utf8')));
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.readyState > 1) return;
+    this.readyState = 2;
+    this.socket.write(this.frame(0x8, Buffer.alloc(0)));
+    this.socket.end();
+  }
+
+  /**
+   * Encode one frame
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Payload
+   * @returns {Buffer} Frame bytes
+   */
+  frame(opcode, payload) {
+    const length = payload.length;
+    const extended = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + extended + (this.masked ? 4 : 0));
+    
+    header[0] = 0x80 | opcode;
+    header[1] = (this.masked ? 0x80 : 0) | (extended === 0 ? length : extended === 2 ? 126 : 127);
+    if (extended === 2) header.writeUInt16BE(length, 2);
+    if (extended === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    
+    if (!this.masked) return Buffer.concat([header, payload]);
+    
+    const mask = crypto.randomBytes(4);
+    mask.copy(header, 2 + extended);
+    const body = Buffer.from(payload);
+    for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Parse incoming bytes into frames
+   * @param {Buffer} data - Received bytes
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const isMasked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      
+      const maskOffset = offset;
+      if (isMasked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+      
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (isMasked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+      
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  /**
+   * React to one decoded frame
+   */
+  handleFrame(fin, opcode, payload) {
+    if (opcode === 0x8) {
+      if (this.readyState === 1) {
+        this.readyState = 2;
+        this.socket.write(this.frame(0x8, Buffer.alloc(0)));
+      }
+      this.socket.end();
+    } else if (opcode === 0x9) {
+      this.socket.write(this.frame(0xa, payload));
+    } else if (opcode === 0x1 || opcode === 0x2 || opcode === 0x0) {
+      this.fragments.push(payload);
+      if (!fin) return;
+      
+      const data = Buffer.concat(this.fragments).toString('utf8');
+      this.fragments = [];
+      if (this.onmessage) this.onmessage({ data });
+    }
+  }
+
+  closed() {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    if (this.onclose) this.onclose({});
+  }
+}
+
+/**
+ * Start a relay server
+ * @param {object} options - {port (0 picks a free one), host}
+ * @returns {Promise<object>} {port, server, rooms, close()}
+ */
+function createRelayServer(options = {}) {
+  const { port = 8080, host = '127.0.0.1' } = options;
+  const rooms = new Map(); // path => Set of connections
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket relay: connect with a WebSocket client\n');
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    
+    const room = req.url || '/';
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    const members = rooms.get(room);
+    const connection = new RelayConnection(socket, false, head);
+    members.add(connection);
+    
+    connection.onmessage = ({ data }) => {
+      members.forEach(member => {
+        if (member !== connection) member.send(data);
+      });
+    };
+    connection.onclose = () => {
+      members.delete(connection);
+      if (members.size === 0) rooms.delete(room);
+    };
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        server,
+        rooms,
+        close: () => new Promise(done => {
+          rooms.forEach(members => members.forEach(member => member.close()));
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Minimal WebSocket client for Node.js, usable as options.WebSocket of
+ * WebSocketTransport: `new NodeWebSocket('ws://localhost:8080/room')`.
+ */
+class NodeWebSocket {
+  constructor(url) {
+    const { hostname, port, pathname, search } = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+    this.readyState = 0;
+    this.connection = null;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    
+    const request = http.request({
+      hostname,
+      port: port || 80,
+      path: pathname + search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+    
+    request.on('upgrade', (res, socket, head) => {
+      const expected = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+      if (res.headers['sec-websocket-accept'] !== expected) {
+        socket.destroy();
+        this.fail(new Error('Invalid WebSocket handshake'));
+        return;
+      }
+      
+      this.connection = new RelayConnection(socket, true, head);
+      this.connection.onmessage = event => this.onmessage && this.onmessage(event);
+      this.connection.onerror = error => this.onerror && this.onerror(error);
+      this.connection.onclose = event => {
+        this.readyState = 3;
+        if (this.onclose) this.onclose(event);
+      };
+      this.readyState = 1;
+      if (this.onopen) this.onopen({});
+    });
+    request.on('response', () => this.fail(new Error('Server did not upgrade the connection')));
+    request.on('error', error => this.fail(error));
+    request.end();
+  }
+
+  send(text) {
+    if (this.readyState !== 1) {
+      throw new Error('WebSocket is not open');
+    }
+    this.connection.send(text);
+  }
+
+  close() {
+    if (this.connection) {
+      this.readyState = 2;
+      this.connection.close();
+    } else {
+      this.readyState = 3;
+    }
+  }
+
+  fail(error) {
+    this.readyState = 3;
+    if (this.onerror) this.onerror(error);
+    if (this.onclose) this.onclose({});
+  }
+}
+
+module.exports = { createRelayServer, NodeWebSocket, RelayConnection };
+
+// Run as a script: node blockRelay.js [--port 8080] [--host 127.0.0.1]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  createRelayServer({ port: Number(option('port', 8080)), host: option('host', '127.0.0.1') })
+    .then(({ port }) => console.log(`Relay listening on ws://localhost:${port}`))
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
@@ -22,7 +22,15 @@
  */
 
 class BlockRenderer {
-  constructor(engine, containerId) {
+  /**
+   * @param {BlockEngine} engine - Engine to render
+   * @param {string} containerId - ID of the container element
+   * @param {object} options - Renderer options
+   * @param {boolean} options.animateLayout - Animate blocks to positions from arrangeBlocks (default true)
+   * @param {number} options.animationDuration - Layout animation length in ms (default 400)
+   * @param {boolean} options.readOnly - Show the board without letting it be edited (default false)
+   */
+  constructor(engine, containerId, options = {}) {
     this.engine = engine;
     this.container = document.getElementById(containerId);
     this.selectedBlocks = new Set();
@@ -30,14 +38,24 @@ class BlockRenderer {
     this.resizeState = null;
     this.viewMode = 'free'; // 'free' or 'grid'
     this.linkEditor = null;
+    this.animateLayout = options.animateLayout ?? true;
+    this.animationDuration = options.animationDuration ?? 400;
+    this.searchQuery = ''; // Active search, see setSearchQuery()
+    this.searchResults = null; // Map of block ID => search result while searching
+    this.renderPending = false; // A remote change arrived during a drag or resize
+    this.review = null; // Changeset shown by setReview(), indexed by block and link
+    this.measureContext = null; // Canvas 2D context measuring text for exportSVG()
+    this.readOnly = options.readOnly ?? false; // See setReadOnly()
     
     if (!this.container) {
       throw new Error(`Container with id "${containerId}" not found`);
     }
+    this.container.classList.toggle('read-only', this.readOnly);
     
     this.setupEventListeners();
     this.setupStyles();
     this.setupContainerEvents();
+    this.setupKeyboardShortcuts();
   }
 
   /**
@@ -82,6 +100,10 @@ class BlockRenderer {
         overflow: hidden;
       }
       
+      .block.typed {
+        border-color: var(--block-type-color);
+      }
+      
       .grid-mode .block {
         position: relative !important;
         width: auto !important;
@@ -110,6 +132,82 @@ class BlockRenderer {
         z-index: 999;
       }
       
+      /* Frames stay behind the blocks inside them, even while hovered or dragged */
+      .block.frame,
+      .block.frame:hover,
+      .block.frame.dragging {
+        z-index: 0;
+      }
+      
+      .block.frame {
+        background: rgba(248, 249, 250, 0.7);
+        border-style: dashed;
+      }
+      
+      .block.search-dimmed {
+        opacity: 0.3;
+      }
+      
+      /* Review overlay, see setReview() */
+      .block.review-added {
+        border-color: #28a745;
+        box-shadow: 0 0 0 3px rgba(40, 167, 69, 0.35);
+      }
+      
+      .block.review-removed {
+        border-color: #dc3545;
+        box-shadow: 0 0 0 3px rgba(220, 53, 69, 0.35);
+      }
+      
+      .block.review-changed {
+        border-color: #fd7e14;
+        box-shadow: 0 0 0 3px rgba(253, 126, 20, 0.35);
+      }
+      
+      .block.review-ghost {
+        background: rgba(255, 255, 255, 0.6);
+        border-style: dashed;
+        opacity: 0.7;
+        pointer-events: none;
+      }
+      
+      .review-badge {
+        font-size: 11px;
+        padding: 1px 6px;
+        border-radius: 10px;
+        color: #fff;
+        background: #fd7e14;
+      }
+      
+      .review-added .review-badge {
+        background: #28a745;
+      }
+      
+      .review-removed .review-badge {
+        background: #dc3545;
+      }
+      
+      .search-match {
+        background: #fff3a0;
+        color: inherit;
+        border-radius: 2px;
+      }
+      
+      .block.drop-target {
+        border-color: #007bff;
+        background: rgba(0, 123, 255, 0.06);
+      }
+      
+      /* Link targets the engine's rules reject, while picking one */
+      .block.link-target-invalid {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+      
+      .block.link-target-warning {
+        border-color: #f0ad4e;
+      }
+      
       .block-header {
         display: flex;
         justify-content: space-between;
@@ -136,6 +234,17 @@ class BlockRenderer {
         color: #666;
       }
       
+      .block.typed .block-type {
+        background: var(--block-type-color);
+        color: #fff;
+      }
+      
+      .block-type.unregistered {
+        background: transparent;
+        border: 1px dashed #999;
+        color: #999;
+      }
+      
       .block-content {
         margin: 10px 0;
         min-height: 50px;
@@ -155,6 +264,61 @@ class BlockRenderer {
         border-radius: 4px;
       }
       
+      .block-properties {
+        font-size: 12px;
+        margin-bottom: 10px;
+      }
+      
+      .block-property {
+        display: flex;
+        align-items: center;
+        gap: 5px;
+        margin-bottom: 3px;
+      }
+      
+      .block-property-key {
+        flex: 0 0 35%;
+        color: #666;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      
+      .block-property-value {
+        flex: 1;
+        min-width: 0;
+        font-size: 12px;
+        padding: 2px 4px;
+        border: 1px solid #e0e0e0;
+        border-radius: 3px;
+      }
+      
+      .block-property-value[type="checkbox"] {
+        flex: 0 0 auto;
+      }
+      
+      .block-property-value.invalid {
+        border-color: #dc3545;
+      }
+      
+      .block-property-remove,
+      .block-property-add {
+        background: none;
+        border: none;
+        cursor: pointer;
+        color: #999;
+        font-size: 12px;
+        padding: 0 4px;
+      }
+      
+      .block-property-remove:hover {
+        color: #dc3545;
+      }
+      
+      .block-property-add:hover {
+        color: #007bff;
+      }
+      
       .block-links {
         margin-top: 10px;
         padding-top: 10px;
@@ -214,6 +378,24 @@ class BlockRenderer {
         color: #dc3545;
       }
       
+      .block-action:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+      
+      .block-lock {
+        font-size: 12px;
+        cursor: help;
+      }
+      
+      .block.locked {
+        border-style: dashed;
+      }
+      
+      .read-only .block {
+        cursor: default;
+      }
+      
       .block-action.links {
         color: #007bff;
       }
@@ -287,11 +469,42 @@ class BlockRenderer {
         opacity: 0.6;
       }
       
+      .link-line path.review-added,
+      .link-line path.review-removed,
+      .link-line path.review-changed {
+        stroke-width: 3;
+        opacity: 1;
+      }
+      
+      .link-line path.review-added {
+        stroke: #28a745 !important;
+      }
+      
+      .link-line path.review-removed {
+        stroke: #dc3545 !important;
+        stroke-dasharray: 6, 4;
+      }
+      
+      .link-line path.review-changed {
+        stroke: #fd7e14 !important;
+      }
+      
       .link-line path:hover {
         stroke-width: 3;
         opacity: 1;
       }
       
+      .link-line .link-label {
+        font-size: 11px;
+        fill: #333;
+        text-anchor: middle;
+        dominant-baseline: middle;
+        paint-order: stroke;
+        stroke: #f5f5f5;
+        stroke-width: 4px;
+        stroke-linejoin: round;
+      }
+      
       .link-endpoint {
         position: absolute;
         width: 10px;
@@ -356,6 +569,25 @@ class BlockRenderer {
         text-overflow: ellipsis;
       }
       
+      .link-editor-item-details {
+        display: flex;
+        gap: 5px;
+        margin-bottom: 8px;
+      }
+      
+      .link-editor-item-details input,
+      .link-editor-item-details select {
+        font-size: 12px;
+        padding: 3px 5px;
+        border: 1px solid #ddd;
+        border-radius: 3px;
+        min-width: 0;
+      }
+      
+      .link-editor-item-details input {
+        flex: 1;
+      }
+      
       .link-editor-item-actions {
         display: flex;
         gap: 5px;
@@ -477,15 +709,101 @@ class BlockRenderer {
    * Setup event listeners for engine events
    */
   setupEventListeners() {
-    this.engine.on('blockCreated', () => this.render());
-    this.engine.on('blockUpdated', () => this.render());
-    this.engine.on('blockDeleted', () => this.render());
-    this.engine.on('blocksLinked', () => this.render());
-    this.engine.on('blocksUnlinked', () => this.render());
-    this.engine.on('blocksImported', () => this.render());
-    this.engine.on('blockMoved', () => this.updateConnections());
-    this.engine.on('blockResized', () => this.updateConnections());
-    this.engine.on('blocksArranged', () => this.render());
+    // One 'changed' event arrives per completed change or transaction,
+    // so a batch of mutations redraws the canvas only once
+    this.engine.on('changed', (change) => this.handleEngineChange(change));
+    this.engine.on('blockTypeRegistered', () => this.render());
+    this.engine.on('blockTypeUnregistered', () => this.render());
+    this.engine.on('linkKindRegistered', () => this.render());
+    this.engine.on('linkKindUnregistered', () => this.render());
+    this.engine.on('blockRenamed', ({ oldId, newId }) => {
+      if (this.selectedBlocks.delete(oldId)) this.selectedBlocks.add(newId);
+    });
+  }
+
+  /**
+   * Redraw after an engine change
+   */
+  handleEngineChange(change) {
+    // Changes from other replicas must not rebuild the elements under a drag or resize
+    if (change.source === 'remote' && (this.dragState || this.resizeState)) {
+      this.applyRemoteGeometry(change);
+      return;
+    }
+    
+    if (this.animateLayout && this.viewMode === 'free' && change.events.includes('blocksArranged')) {
+      this.animateArrangement();
+      return;
+    }
+    
+    const geometryOnly = change.events.length > 0 &&
+      change.events.every(event => event === 'blockMoved' || event === 'blockResized');
+    
+    if (geometryOnly && change.added.length === 0 && change.removed.length === 0) {
+      // Blocks carried along by a frame (or snapped to the grid) were not moved by the drag itself
+      if (this.viewMode === 'free') {
+        change.updated.forEach(id => {
+          const block = this.engine.getBlock(id);
+          const el = this.container.querySelector(`[data-block-id="${id}"]`);
+          if (!block || !el) return;
+          el.style.left = block.position.x + 'px';
+          el.style.top = block.position.y + 'px';
+          el.style.width = block.size.width + 'px';
+          el.style.height = block.size.height + 'px';
+        });
+      }
+      this.updateConnections();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Handle a remote change while the user is dragging or resizing: blocks
+   * the gesture doesn't hold are moved in place, and a full redraw is
+   * postponed until the gesture ends
+   * @param {object} change - Payload of the 'changed' event
+   */
+  applyRemoteGeometry(change) {
+    const held = new Set();
+    if (this.dragState) {
+      held.add(this.dragState.blockId);
+      this.dragState.children.forEach(child => held.add(child.id));
+    }
+    if (this.resizeState) held.add(this.resizeState.blockId);
+    
+    const elements = change.updated.map(id => ({
+      block: this.engine.getBlock(id),
+      el: this.container.querySelector(`[data-block-id="${id}"]`)
+    }));
+    
+    const inPlace = this.viewMode === 'free' && change.added.length === 0 && change.removed.length === 0 &&
+      elements.every(({ block, el }) => block && el);
+    if (!inPlace) {
+      this.renderPending = true;
+      return;
+    }
+    
+    elements.forEach(({ block, el }) => {
+      if (held.has(block.id)) return;
+      el.style.left = block.position.x + 'px';
+      el.style.top = block.position.y + 'px';
+      el.style.width = block.size.width + 'px';
+      el.style.height = block.size.height + 'px';
+    });
+    this.drawConnections();
+    
+    // Content, links and the held blocks themselves are brought up to date afterwards
+    this.renderPending = true;
+  }
+
+  /**
+   * Render once a drag or resize is over if remote changes were held back
+   */
+  flushPendingRender() {
+    if (!this.renderPending) return;
+    this.renderPending = false;
+    this.render();
   }
 
   /**
@@ -509,6 +827,112 @@ class BlockRenderer {
     });
   }
 
+  /**
+   * Re-render and slide blocks from where they were drawn to their new positions
+   */
+  animateArrangement() {
+    const previous = new Map();
+    this.container.querySelectorAll('.block').forEach(el => {
+      previous.set(el.dataset.blockId, { left: el.style.left, top: el.style.top });
+    });
+    
+    this.render();
+    
+    const moving = [];
+    this.container.querySelectorAll('.block').forEach(el => {
+      const from = previous.get(el.dataset.blockId);
+      if (!from || (from.left === el.style.left && from.top === el.style.top)) return;
+      
+      moving.push({ el, left: el.style.left, top: el.style.top });
+      el.style.left = from.left;
+      el.style.top = from.top;
+    });
+    if (moving.length === 0) return;
+    
+    // Force a reflow so the old positions are the transition's starting point
+    void this.container.offsetWidth;
+    
+    const duration = this.animationDuration;
+    moving.forEach(({ el, left, top }) => {
+      el.style.transition = `left ${duration}ms ease, top ${duration}ms ease`;
+      el.style.left = left;
+      el.style.top = top;
+    });
+    
+    // Keep connections attached while the blocks move
+    const start = performance.now();
+    const step = (now) => {
+      if (now - start < duration) {
+        this.drawConnections();
+        requestAnimationFrame(step);
+      } else {
+        moving.forEach(({ el }) => { el.style.transition = ''; });
+        this.updateConnections();
+      }
+    };
+    requestAnimationFrame(step);
+  }
+
+  /**
+   * Setup keyboard shortcuts (Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo)
+   */
+  setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      
+      // Leave text editing to the browser's own undo
+      const target = e.target;
+      if (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+        return;
+      }
+      
+      if (this.readOnly) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.engine.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.engine.redo();
+      }
+    });
+  }
+
+  /**
+   * Turn the canvas into a viewer, or back into an editor. Scrolling,
+   * selection, search and the link list keep working; editing, resizing,
+   * dragging, linking and deleting are switched off.
+   * @param {boolean} readOnly - Whether the board is read-only
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = Boolean(readOnly);
+    this.container.classList.toggle('read-only', this.readOnly);
+    this.closeLinkEditor();
+    this.render();
+  }
+
+  /**
+   * Whether the user may change part of a block here
+   * @param {Block} block - The block
+   * @param {string} aspect - 'position', 'size', 'content' or 'links'
+   * @returns {boolean} False in read-only mode or if the block has that part locked
+   */
+  canEdit(block, aspect) {
+    return !this.readOnly && !block.locked.includes(aspect);
+  }
+
+  /**
+   * Short label for a block ID. Short IDs (sequential or hand-picked) are
+   * shown whole; long generated ones by their tail, where random and
+   * sequential strategies differ from one block to the next.
+   * @param {string} id - Block ID
+   * @returns {string} Label
+   */
+  formatBlockId(id) {
+    return id.length <= 12 ? id : '…' + id.slice(-8);
+  }
+
   /**
    * Create HTML element for a block
    */
@@ -521,6 +945,13 @@ class BlockRenderer {
       div.classList.add('selected');
     }
     
+    if (block.type === 'frame' || this.engine.getChildren(block.id).length > 0) {
+      div.classList.add('frame');
+    }
+    if (block.locked.length > 0) {
+      div.classList.add('locked');
+    }
+    
     // Set position and size for free mode
     if (this.viewMode === 'free') {
       div.style.left = block.position.x + 'px';
@@ -535,21 +966,57 @@ class BlockRenderer {
     
     const idSpan = document.createElement('span');
     idSpan.className = 'block-id';
-    idSpan.textContent = block.id.substring(0, 12) + '...';
+    idSpan.textContent = this.formatBlockId(block.id);
     idSpan.title = block.id;
     
     header.appendChild(idSpan);
     
+    if (block.locked.length > 0) {
+      const lockSpan = document.createElement('span');
+      lockSpan.className = 'block-lock';
+      lockSpan.textContent = '🔒';
+      lockSpan.title = block.locked.length === 4 ? 'Locked' : `Locked: ${block.locked.join(', ')}`;
+      header.appendChild(lockSpan);
+    }
+    
+    const review = this.review && this.review.blocks.get(block.id);
+    if (review) {
+      div.classList.add(`review-${review.status}`);
+      header.appendChild(this.createReviewBadge(review));
+    }
+    
     // Content
     const content = document.createElement('div');
     content.className = 'block-content';
     content.textContent = block.content || '(empty)';
-    content.contentEditable = true;
+    content.contentEditable = this.canEdit(block, 'content');
     
-    // Type badge (moved to bottom right)
+    if (this.searchResults) {
+      const result = this.searchResults.get(block.id);
+      if (result && result.matches.length > 0) {
+        this.highlightMatches(content, block.content, result.matches);
+      } else if (!result) {
+        div.classList.add('search-dimmed');
+      }
+    }
+    
+    // Properties
+    const properties = this.createPropertyPanel(block);
+    
+    // Type badge (moved to bottom right), styled from the type registry
+    const typeDef = this.engine.getBlockType(block.type);
     const typeSpan = document.createElement('span');
     typeSpan.className = 'block-type';
-    typeSpan.textContent = block.type;
+    typeSpan.textContent = typeDef.icon ? `${typeDef.icon} ${block.type}` : block.type;
+    
+    if (typeDef.color) {
+      div.classList.add('typed');
+      div.style.setProperty('--block-type-color', typeDef.color);
+    }
+    if (!typeDef.registered) {
+      typeSpan.classList.add('unregistered');
+      typeSpan.title = `Unregistered block type "${block.type}"`;
+    }
     
     // Links
     const linksDiv = document.createElement('div');
@@ -559,7 +1026,7 @@ class BlockRenderer {
     const outgoingLinks = Array.from(block.links.entries());
     const incomingLinks = this.engine.getIncomingLinks(block.id)
       .filter(b => !block.hasLink(b.id)) // Don't show if it's already in outgoing
-      .map(b => [b.id, { type: 'incoming' }]);
+      .map(b => [b.id, { ...b.links.get(block.id), type: 'incoming' }]);
     
     const allLinks = [...outgoingLinks, ...incomingLinks];
     
@@ -593,7 +1060,7 @@ class BlockRenderer {
           
           const textSpan = document.createElement('span');
           textSpan.textContent = linkId.substring(0, 8) + '...';
-          textSpan.title = linkedBlock.content || linkId;
+          textSpan.title = (linkMeta.label ? `${linkMeta.label}: ` : '') + (linkedBlock.content || linkId);
           link.appendChild(textSpan);
           
           link.onclick = (e) => {
@@ -623,6 +1090,7 @@ class BlockRenderer {
     deleteBtn.className = 'block-action delete';
     deleteBtn.textContent = '×';
     deleteBtn.title = 'Delete block';
+    deleteBtn.disabled = this.readOnly || block.locked.length > 0;
     deleteBtn.onclick = (e) => {
       e.stopPropagation();
       this.deleteBlock(block.id);
@@ -637,7 +1105,7 @@ class BlockRenderer {
     metadata.textContent = `Created: ${new Date(block.metadata.createdAt).toLocaleString()}`;
     
     // Resize handles (only in free mode)
-    if (this.viewMode === 'free') {
+    if (this.viewMode === 'free' && this.canEdit(block, 'size')) {
       // Right resize handle
       const resizeRight = document.createElement('div');
       resizeRight.className = 'resize-handle resize-handle-right';
@@ -662,6 +1130,7 @@ class BlockRenderer {
     div.appendChild(header);
     div.appendChild(actions);
     div.appendChild(content);
+    div.appendChild(properties);
     if (allLinks.length > 0) {
       div.appendChild(linksDiv);
     }
@@ -669,16 +1138,18 @@ class BlockRenderer {
     div.appendChild(typeSpan); // Type badge at the end
     
     // Event listeners
-    if (this.viewMode === 'free') {
+    if (this.viewMode === 'free' && this.canEdit(block, 'position')) {
       this.setupDragEvents(div, block);
     }
     
     div.onclick = (e) => {
-      if (e.target === content || e.target.classList.contains('block-link')) return;
+      if (content.contains(e.target) || e.target.classList.contains('block-link') ||
+          e.target.closest('.block-properties')) return;
       this.selectBlock(block.id, e.ctrlKey || e.metaKey);
     };
     
     content.onblur = () => {
+      if (!this.canEdit(block, 'content')) return;
       this.engine.setBlockContent(block.id, content.textContent);
     };
     
@@ -695,6 +1166,101 @@ class BlockRenderer {
     return div;
   }
 
+  /**
+   * Create the editable property panel shown below the block content
+   */
+  createPropertyPanel(block) {
+    const panel = document.createElement('div');
+    panel.className = 'block-properties';
+    const editable = this.canEdit(block, 'content');
+    
+    block.properties.forEach(({ type, value }, key) => {
+      const row = document.createElement('div');
+      row.className = 'block-property';
+      row.dataset.key = key;
+      
+      const keySpan = document.createElement('span');
+      keySpan.className = 'block-property-key';
+      keySpan.textContent = key;
+      keySpan.title = type;
+      
+      const input = document.createElement('input');
+      input.className = 'block-property-value';
+      if (type === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = value;
+      } else {
+        input.type = { number: 'number', date: 'date', url: 'url' }[type] || 'text';
+        input.value = type === 'date' ? String(value).slice(0, 10) : value;
+      }
+      input.disabled = !editable;
+      
+      input.onchange = () => {
+        const newValue = type === 'boolean' ? input.checked : this.parsePropertyInput(type, input.value);
+        if (!this.engine.setProperty(block.id, key, newValue, type)) {
+          input.classList.add('invalid');
+          input.title = `Not a valid ${type}`;
+        }
+      };
+      
+      input.onkeydown = (e) => {
+        if (e.key === 'Enter') input.blur();
+      };
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'block-property-remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove property';
+      removeBtn.onclick = (e) => {
+        e.stopPropagation();
+        this.engine.removeProperty(block.id, key);
+      };
+      
+      row.appendChild(keySpan);
+      row.appendChild(input);
+      if (editable) row.appendChild(removeBtn);
+      panel.appendChild(row);
+    });
+    
+    const addBtn = document.createElement('button');
+    addBtn.className = 'block-property-add';
+    addBtn.textContent = '+ Property';
+    addBtn.onclick = (e) => {
+      e.stopPropagation();
+      const key = prompt('Property name:');
+      if (!key) return;
+      
+      const field = this.engine.getBlockType(block.type).fields.find(f => f.name === key);
+      const type = (field && field.type) || block.getPropertyType(key) || 'string';
+      const input = prompt(`Value for "${key}" (${type}):`, '');
+      if (input === null) return;
+      
+      const value = type === 'boolean' ? input.trim().toLowerCase() === 'true' : this.parsePropertyInput(type, input);
+      if (!this.engine.setProperty(block.id, key, value, type)) {
+        alert(`"${input}" is not a valid ${type}`);
+      }
+    };
+    if (editable) panel.appendChild(addBtn);
+    
+    // Keep clicks in the panel from starting a drag
+    panel.onmousedown = (e) => e.stopPropagation();
+    
+    return panel;
+  }
+
+  /**
+   * Convert text typed into a property input to the property's type
+   */
+  parsePropertyInput(type, text) {
+    if (type === 'number') {
+      return text.trim() === '' ? NaN : Number(text);
+    }
+    if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      return new Date(text).toISOString();
+    }
+    return text;
+  }
+
   /**
    * Setup resize events for a handle
    */
@@ -771,6 +1337,7 @@ class BlockRenderer {
       
       this.resizeState = null;
       this.updateMinimap();
+      this.flushPendingRender();
     };
     
     // Mouse events
@@ -817,6 +1384,7 @@ class BlockRenderer {
     const handleMouseDown = (e) => {
       // Don't start drag if clicking on content, actions, or resize handles
       if (e.target.classList.contains('block-content') || 
+          e.target.closest('.block-properties') ||
           e.target.closest('.block-actions') ||
           e.target.classList.contains('resize-handle')) {
         return;
@@ -833,7 +1401,13 @@ class BlockRenderer {
         offsetX: e.clientX - rect.left,
         offsetY: e.clientY - rect.top,
         startX: rect.left - containerRect.left + this.container.scrollLeft,
-        startY: rect.top - containerRect.top + this.container.scrollTop
+        startY: rect.top - containerRect.top + this.container.scrollTop,
+        // Blocks inside a dragged frame move with it
+        children: this.engine.getDescendants(block.id).map(child => {
+          const el = this.container.querySelector(`[data-block-id="${child.id}"]`);
+          return el && { id: child.id, el, left: parseFloat(el.style.left), top: parseFloat(el.style.top) };
+        }).filter(Boolean),
+        dropTarget: null
       };
       
       e.preventDefault();
@@ -849,8 +1423,25 @@ class BlockRenderer {
       element.style.left = x + 'px';
       element.style.top = y + 'px';
       
+      const dx = x - this.dragState.startX;
+      const dy = y - this.dragState.startY;
+      this.dragState.children.forEach(child => {
+        child.el.style.left = (child.left + dx) + 'px';
+        child.el.style.top = (child.top + dy) + 'px';
+      });
+      
+      // Highlight the frame the block would be dropped into
+      const target = this.findDropTarget(block.id, x, y);
+      if (target !== this.dragState.dropTarget) {
+        this.container.querySelectorAll('.block.drop-target').forEach(el => el.classList.remove('drop-target'));
+        const targetEl = target && this.container.querySelector(`[data-block-id="${target}"]`);
+        if (targetEl) targetEl.classList.add('drop-target');
+        this.dragState.dropTarget = target;
+      }
+      
       // Update connections while dragging
       this.updateConnectionsForBlock(block.id);
+      this.dragState.children.forEach(child => this.updateConnectionsForBlock(child.id));
     };
     
     const handleMouseUp = (e) => {
@@ -863,11 +1454,21 @@ class BlockRenderer {
       const x = e.clientX - containerRect.left + this.container.scrollLeft - this.dragState.offsetX;
       const y = e.clientY - containerRect.top + this.container.scrollTop - this.dragState.offsetY;
       
-      // Save position
-      this.engine.setBlockPosition(block.id, x, y);
+      this.container.querySelectorAll('.block.drop-target').forEach(el => el.classList.remove('drop-target'));
+      
+      // Save position, and move the block into the frame it was dropped on (or out of its old one)
+      const parentId = this.findDropTarget(block.id, x, y);
+      let moved = false;
+      this.engine.transaction(() => {
+        moved = this.engine.setBlockPosition(block.id, x, y);
+        if (moved) this.engine.setParent(block.id, parentId);
+      }, 'Move block');
       
       this.dragState = null;
+      // A move vetoed by a beforeMove listener puts the block back where it was
+      if (!moved) this.render();
       this.updateMinimap();
+      this.flushPendingRender();
     };
     
     // Mouse events
@@ -905,6 +1506,199 @@ class BlockRenderer {
     });
   }
 
+  /**
+   * Find the frame a dragged block would land in: the smallest frame under
+   * the block's center. The block's current parent counts as a frame even
+   * if it is not of type 'frame', so dragging inside it keeps it there.
+   * @param {string} blockId - The dragged block
+   * @param {number} x - Dragged block's left edge
+   * @param {number} y - Dragged block's top edge
+   * @returns {string|null} ID of the frame, or null for the canvas
+   */
+  findDropTarget(blockId, x, y) {
+    const block = this.engine.getBlock(blockId);
+    if (!block) return null;
+    
+    const centerX = x + block.size.width / 2;
+    const centerY = y + block.size.height / 2;
+    const excluded = new Set([blockId, ...this.engine.getDescendants(blockId).map(b => b.id)]);
+    
+    let best = null;
+    this.engine.getAllBlocks().forEach(candidate => {
+      if (excluded.has(candidate.id)) return;
+      if (candidate.type !== 'frame' && candidate.id !== block.parentId) return;
+      
+      const { x: left, y: top } = candidate.position;
+      const { width, height } = candidate.size;
+      if (centerX < left || centerX > left + width || centerY < top || centerY > top + height) return;
+      
+      if (!best || width * height < best.size.width * best.size.height) {
+        best = candidate;
+      }
+    });
+    
+    return best ? best.id : null;
+  }
+
+  /**
+   * Show a search on the canvas: blocks that don't match are dimmed and
+   * matched words are highlighted. An empty query clears the search. An
+   * invalid query throws and leaves the current search in place.
+   * @param {string} query - Query for engine.search()
+   * @returns {Array} The search results
+   */
+  setSearchQuery(query) {
+    this.engine.searchIndex.parseQuery(query);
+    this.searchQuery = query.trim();
+    this.render();
+    return this.searchResults ? Array.from(this.searchResults.values()) : [];
+  }
+
+  /**
+   * Fill an element with text, wrapping the matched ranges in <mark>
+   * @param {HTMLElement} element - Element to fill
+   * @param {string} text - The text
+   * @param {Array} matches - Ranges [{start, end}], sorted by start
+   */
+  highlightMatches(element, text, matches) {
+    element.textContent = '';
+    let position = 0;
+    
+    matches.forEach(({ start, end }) => {
+      if (start < position) return;
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+      const mark = document.createElement('mark');
+      mark.className = 'search-match';
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  /**
+   * Overlay a changeset from BlockEngine.diff() on the board: added blocks
+   * and links are outlined in green, removed ones in red and changed ones
+   * in orange. Items the board doesn't have (removed ones when reviewing
+   * the new state, added ones when previewing a patch) are drawn as
+   * read-only outlines.
+   * @param {object|null} patch - Changeset, or null to hide the overlay
+   */
+  setReview(patch) {
+    this.review = null;
+    if (patch) {
+      this.review = { blocks: new Map(), links: new Map() };
+      const addBlock = (status, block, changes = null) => {
+        this.review.blocks.set(block.id, { status, block, changes });
+      };
+      patch.blocks.added.forEach(block => addBlock('added', block));
+      patch.blocks.removed.forEach(block => addBlock('removed', block));
+      patch.blocks.changed.forEach(({ id, changes }) => addBlock('changed', { id }, changes));
+      
+      const addLink = (status, link) => {
+        this.review.links.set(BlockDiff.pairKey(link.from, link.to), { status, link });
+      };
+      patch.links.added.forEach(link => addLink('added', link));
+      patch.links.removed.forEach(link => addLink('removed', link));
+      patch.links.changed.forEach(({ after }) => addLink('changed', after));
+    }
+    this.render();
+  }
+
+  /**
+   * Badge naming what the changeset does to a block
+   * @param {object} review - Entry of this.review.blocks
+   * @returns {HTMLElement} Badge element
+   */
+  createReviewBadge(review) {
+    const badge = document.createElement('span');
+    badge.className = 'review-badge';
+    badge.textContent = review.status;
+    
+    if (review.changes) {
+      const names = { position: 'moved', size: 'resized', parentId: 'frame' };
+      const fields = Object.keys(review.changes).map(field => names[field] || field);
+      badge.textContent = fields.join(', ');
+      badge.title = Object.entries(review.changes)
+        .filter(([field]) => field !== 'properties')
+        .map(([field, { before, after }]) => `${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`)
+        .concat(Object.keys(review.changes.properties || {}).map(key => `property ${key}`))
+        .join('\n');
+    }
+    return badge;
+  }
+
+  /**
+   * Outline of a reviewed block that isn't on the board
+   * @param {object} review - Entry of this.review.blocks
+   * @returns {HTMLElement} Read-only block element
+   */
+  createReviewGhost(review) {
+    const { block } = review;
+    const div = document.createElement('div');
+    div.className = `block review-ghost review-${review.status}`;
+    div.dataset.blockId = block.id;
+    div.style.left = block.position.x + 'px';
+    div.style.top = block.position.y + 'px';
+    div.style.width = block.size.width + 'px';
+    div.style.height = block.size.height + 'px';
+    
+    const header = document.createElement('div');
+    header.className = 'block-header';
+    const idSpan = document.createElement('span');
+    idSpan.className = 'block-id';
+    idSpan.textContent = this.formatBlockId(block.id);
+    idSpan.title = block.id;
+    header.appendChild(idSpan);
+    header.appendChild(this.createReviewBadge(review));
+    
+    const content = document.createElement('div');
+    content.className = 'block-content';
+    content.textContent = block.content || '(empty)';
+    
+    const typeSpan = document.createElement('span');
+    typeSpan.className = 'block-type';
+    typeSpan.textContent = block.type;
+    
+    div.appendChild(header);
+    div.appendChild(content);
+    div.appendChild(typeSpan);
+    return div;
+  }
+
+  /**
+   * Picture of the board as a self-contained SVG (see BlockImage.toSVG).
+   * Blocks are drawn at their free-mode positions whatever the view mode.
+   * @param {object} options - {selectionOnly: only the selected blocks, padding, includeGrid}
+   * @returns {string} SVG source
+   */
+  exportSVG(options = {}) {
+    const { selectionOnly = false, ...imageOptions } = options;
+    if (!this.measureContext) {
+      this.measureContext = document.createElement('canvas').getContext('2d');
+    }
+    
+    return BlockImage.toSVG(this.engine, {
+      ...imageOptions,
+      blockIds: selectionOnly ? Array.from(this.selectedBlocks) : null,
+      measureText: (text, font) => {
+        this.measureContext.font = font;
+        return this.measureContext.measureText(text).width;
+      }
+    });
+  }
+
+  /**
+   * Picture of the board as a PNG
+   * @param {object} options - exportSVG() options, plus scale (default 2)
+   * @returns {Promise<Blob>} PNG image
+   */
+  exportPNG(options = {}) {
+    const { scale = 2, ...svgOptions } = options;
+    return BlockImage.toPNG(this.exportSVG(svgOptions), { scale });
+  }
+
   /**
    * Set view mode
    */
@@ -932,11 +1726,19 @@ class BlockRenderer {
       this.container.classList.add('grid-mode');
     }
     
-    const blocks = this.engine.getAllBlocks();
+    // Frames come before the blocks inside them so they are drawn behind them
+    const blocks = this.engine.getRootBlocks()
+      .flatMap(root => [root, ...this.engine.getDescendants(root.id)]);
+    
+    // Re-run the active search so highlights follow edits
+    this.searchResults = this.searchQuery
+      ? new Map(this.engine.search(this.searchQuery).map(result => [result.block.id, result]))
+      : null;
     
     // Create SVG for connections
     if (this.viewMode === 'free') {
       this.svgContainer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      this.svgContainer.setAttribute('class', 'link-line');
       this.svgContainer.style.position = 'absolute';
       this.svgContainer.style.top = '0';
       this.svgContainer.style.left = '0';
@@ -952,6 +1754,14 @@ class BlockRenderer {
       this.container.appendChild(blockElement);
     });
     
+    if (this.review && this.viewMode === 'free') {
+      this.review.blocks.forEach(review => {
+        if (review.status !== 'changed' && !this.engine.getBlock(review.block.id)) {
+          this.container.appendChild(this.createReviewGhost(review));
+        }
+      });
+    }
+    
     // Draw connections after blocks are rendered
     if (this.viewMode === 'free') {
       setTimeout(() => {
@@ -972,40 +1782,19 @@ class BlockRenderer {
   /**
    * Get the best connection point on a block
    */
-	getConnectionPoint(sourceEl, targetEl) {
-		const sourceRect = sourceEl.getBoundingClientRect();
-		const targetRect = targetEl.getBoundingClientRect();
-		const containerRect = this.container.getBoundingClientRect();
-	
-		const sourceCenterX = sourceRect.left + sourceRect.width / 2;
-		const sourceCenterY = sourceRect.top + sourceRect.height / 2;
-		const targetCenterX = targetRect.left + targetRect.width / 2;
-		const targetCenterY = targetRect.top + targetRect.height / 2;
-
-		const dx = targetCenterX - sourceCenterX;
-		const dy = targetCenterY - sourceCenterY;
-
-		const widthRatio = Math.abs(dx) / sourceRect.width;
-		const heightRatio = Math.abs(dy) / sourceRect.height;
-		
-		let intersectionX, intersectionY;
-
-		if (widthRatio > heightRatio) {
-			const sign = Math.sign(dx);
-			intersectionX = sourceCenterX + sign * (sourceRect.width / 2);
-			intersectionY = sourceCenterY + dy * (sign * (sourceRect.width / 2) / dx);
-		} 
-		else {
-			const sign = Math.sign(dy);
-			intersectionY = sourceCenterY + sign * (sourceRect.height / 2);
-			intersectionX = sourceCenterX + dx * (sign * (sourceRect.height / 2) / dy);
-		}
-
-		return {
-			x: intersectionX - containerRect.left + this.container.scrollLeft,
-			y: intersectionY - containerRect.top + this.container.scrollTop,
-		};
-	}
+  getConnectionPoint(sourceEl, targetEl) {
+    const containerRect = this.container.getBoundingClientRect();
+    const box = el => {
+      const rect = el.getBoundingClientRect();
+      return {
+        x: rect.left - containerRect.left + this.container.scrollLeft,
+        y: rect.top - containerRect.top + this.container.scrollTop,
+        width: rect.width,
+        height: rect.height
+      };
+    };
+    return BlockImage.connectionPoint(box(sourceEl), box(targetEl));
+  }
     
   /**
    * Draw connections between linked blocks
@@ -1035,7 +1824,7 @@ class BlockRenderer {
           const isDouble = targetBlock && targetBlock.hasLink(block.id);
           
           if (!drawnConnections.has(key1) && !drawnConnections.has(key2)) {
-            this.drawSmartCurvedLine(block.id, targetId, linkMeta.type);
+            this.drawSmartCurvedLine(block.id, targetId, linkMeta.type, linkMeta);
             drawnConnections.add(key1);
             if (isDouble) {
               drawnConnections.add(key2);
@@ -1044,6 +1833,14 @@ class BlockRenderer {
         }
       });
     });
+    
+    // Links the review overlay shows but the board doesn't have
+    if (this.review) {
+      this.review.links.forEach(({ link }) => {
+        if (drawnConnections.has(`${link.from}-${link.to}`) || drawnConnections.has(`${link.to}-${link.from}`)) return;
+        this.drawSmartCurvedLine(link.from, link.to, link.type, link);
+      });
+    }
   }
 
   /**
@@ -1065,23 +1862,25 @@ class BlockRenderer {
     if (block) {
       // Outgoing connections
       block.links.forEach((linkMeta, targetId) => {
-        this.drawSmartCurvedLine(blockId, targetId, linkMeta.type);
+        this.drawSmartCurvedLine(blockId, targetId, linkMeta.type, linkMeta);
       });
       
       // Incoming connections
       this.engine.getIncomingLinks(blockId).forEach(sourceBlock => {
-        const linkType = sourceBlock.getLinkType(blockId);
-        if (linkType && !block.hasLink(sourceBlock.id)) {
-          this.drawSmartCurvedLine(sourceBlock.id, blockId, linkType);
+        const linkMeta = sourceBlock.links.get(blockId);
+        if (linkMeta && !block.hasLink(sourceBlock.id)) {
+          this.drawSmartCurvedLine(sourceBlock.id, blockId, linkMeta.type, linkMeta);
         }
       });
     }
   }
 
   /**
-   * Draw a smart curved line between two blocks with red circle endpoints
+   * Draw a smart curved line between two blocks with red circle endpoints.
+   * The link's kind sets stroke color, width and dash; its label is drawn
+   * at the midpoint of the curve.
    */
-  drawSmartCurvedLine(sourceId, targetId, linkType = 'single') {
+  drawSmartCurvedLine(sourceId, targetId, linkType = 'single', link = {}) {
     const sourceEl = document.querySelector(`[data-block-id="${sourceId}"]`);
     const targetEl = document.querySelector(`[data-block-id="${targetId}"]`);
     
@@ -1096,42 +1895,39 @@ class BlockRenderer {
     const x2 = targetPoint.x;
     const y2 = targetPoint.y;
     
-    // Calculate control points for the curve
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Adjust control points based on the connection direction
-    let cp1x, cp1y, cp2x, cp2y;
-    
-    // Determine if blocks are more horizontally or vertically aligned
-    const isHorizontal = Math.abs(dx) > Math.abs(dy);
-    
-    if (isHorizontal) {
-      // Horizontal connection
-      const offset = Math.min(distance / 3, 100);
-      cp1x = x1 + Math.sign(dx) * offset;
-      cp1y = y1;
-      cp2x = x2 - Math.sign(dx) * offset;
-      cp2y = y2;
-    } else {
-      // Vertical connection
-      const offset = Math.min(distance / 3, 100);
-      cp1x = x1;
-      cp1y = y1 + Math.sign(dy) * offset;
-      cp2x = x2;
-      cp2y = y2 - Math.sign(dy) * offset;
-    }
+    // Curve leaving and entering horizontally or vertically (shared with BlockImage)
+    const curve = BlockImage.curve(sourcePoint, targetPoint);
     
     // Create curved path
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', `M ${x1} ${y1} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${x2} ${y2}`);
+    path.setAttribute('d', curve.d);
     path.setAttribute('data-from', sourceId);
     path.setAttribute('data-to', targetId);
     path.setAttribute('data-link-type', linkType);
     
+    const kind = this.engine.getLinkKind(link.kind || 'default');
+    if (kind.color) path.style.stroke = kind.color;
+    if (kind.width) path.style.strokeWidth = kind.width;
+    if (kind.dash) path.style.strokeDasharray = kind.dash;
+    if (link.kind) path.setAttribute('data-link-kind', link.kind);
+    
+    const review = this.review && this.review.links.get(BlockDiff.pairKey(sourceId, targetId));
+    if (review) path.classList.add(`review-${review.status}`);
+    
     this.svgContainer.appendChild(path);
     
+    if (link.label) {
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('class', 'link-label');
+      label.setAttribute('x', curve.mid.x);
+      label.setAttribute('y', curve.mid.y);
+      label.setAttribute('data-from', sourceId);
+      label.setAttribute('data-to', targetId);
+      if (kind.color) label.style.fill = kind.color;
+      label.textContent = link.label;
+      this.svgContainer.appendChild(label);
+    }
+    
     // Create red circle endpoints
     const createEndpoint = (x, y, type, fromId, toId) => {
       const endpoint = document.createElement('div');
@@ -1317,7 +2113,7 @@ class BlockRenderer {
     };
     
     addSection.appendChild(addButton);
-    editor.appendChild(addSection);
+    if (this.canEdit(block, 'links')) editor.appendChild(addSection);
     
     // Add to container
     this.container.appendChild(editor);
@@ -1421,24 +2217,87 @@ class BlockRenderer {
     };
     actions.appendChild(deleteBtn);
     
-    // Assemble
+    // Assemble: links of read-only or link-locked blocks can be looked at only
+    const editable = this.canEdit(fromBlock, 'links') && this.canEdit(toBlock, 'links');
+    const details = this.createLinkDetailsEditor(fromBlock.id, toBlock.id);
+    details.querySelectorAll('input, select').forEach(control => {
+      control.disabled = !editable;
+    });
     item.appendChild(header);
     item.appendChild(content);
-    item.appendChild(actions);
+    item.appendChild(details);
+    if (editable) item.appendChild(actions);
     
     return item;
   }
 
   /**
-   * Start linking mode
+   * Create label and kind inputs for a link in the link editor
+   */
+  createLinkDetailsEditor(fromId, toId) {
+    const details = this.engine.getLinkDetails(fromId, toId);
+    
+    const row = document.createElement('div');
+    row.className = 'link-editor-item-details';
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.placeholder = 'Label';
+    labelInput.value = details.label || '';
+    labelInput.onchange = () => {
+      this.engine.updateLink(fromId, toId, { label: labelInput.value.trim() || null });
+    };
+    labelInput.onkeydown = (e) => {
+      if (e.key === 'Enter') labelInput.blur();
+    };
+    
+    const kindSelect = document.createElement('select');
+    kindSelect.title = 'Link kind';
+    const kindNames = this.engine.getLinkKinds().map(kind => kind.name);
+    if (details.kind && !kindNames.includes(details.kind)) {
+      kindNames.push(details.kind); // Unregistered kinds still show up
+    }
+    kindNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      kindSelect.appendChild(option);
+    });
+    kindSelect.value = details.kind || 'default';
+    kindSelect.onchange = () => {
+      this.engine.updateLink(fromId, toId, { kind: kindSelect.value === 'default' ? null : kindSelect.value });
+    };
+    
+    row.appendChild(labelInput);
+    row.appendChild(kindSelect);
+    return row;
+  }
+
+  /**
+   * Start linking mode. Blocks the engine's rules won't let the source
+   * link to are shown disabled and can't be picked; ones a warning rule
+   * objects to are outlined, with the reasons as tooltip.
    */
   startLinkingMode(sourceBlockId) {
     const sourceEl = document.querySelector(`[data-block-id="${sourceBlockId}"]`);
-    if (!sourceEl) return;
+    const source = this.engine.getBlock(sourceBlockId);
+    if (!sourceEl || !source || !this.canEdit(source, 'links')) return;
     
     // Highlight source block
     sourceEl.classList.add('linking-source');
     
+    const linkType = document.getElementById('linkTypeSelect')?.value || 'single';
+    const targets = Array.from(this.container.querySelectorAll('.block[data-block-id]'))
+      .filter(el => el !== sourceEl);
+    const titles = new Map(targets.map(el => [el, el.title]));
+    targets.forEach(el => {
+      const verdict = this.engine.checkLink(sourceBlockId, el.dataset.blockId, linkType);
+      const issues = verdict.allowed ? verdict.warnings : verdict.errors;
+      if (issues.length === 0) return;
+      el.classList.add(verdict.allowed ? 'link-target-warning' : 'link-target-invalid');
+      el.title = issues.map(issue => issue.message).join('\n');
+    });
+    
     // Change cursor
     this.container.style.cursor = 'crosshair';
     
@@ -1478,8 +2337,13 @@ class BlockRenderer {
       
       // Check if clicked on a block
       const targetEl = e.target.closest('.block');
-      if (targetEl && targetEl.dataset.blockId !== sourceBlockId) {
-        const linkType = document.getElementById('linkTypeSelect')?.value || 'single';
+      const disabled = targetEl && targetEl.classList.contains('link-target-invalid');
+      targets.forEach(el => {
+        el.classList.remove('link-target-invalid', 'link-target-warning');
+        el.title = titles.get(el);
+      });
+      
+      if (targetEl && !disabled && targetEl.dataset.blockId !== sourceBlockId) {
         this.engine.linkBlocks(sourceBlockId, targetEl.dataset.blockId, linkType);
       }
     };
@@ -1550,9 +2414,19 @@ class BlockRenderer {
    * Delete a block
    */
   deleteBlock(id) {
-    if (confirm('Are you sure you want to delete this block?')) {
-      this.engine.deleteBlock(id);
+    if (this.readOnly) return;
+    
+    const nested = this.engine.getDescendants(id).length;
+    if (nested === 0) {
+      if (confirm('Are you sure you want to delete this block?')) {
+        this.engine.deleteBlock(id);
+      }
+      return;
     }
+    
+    if (!confirm('Are you sure you want to delete this frame?')) return;
+    const deleteChildren = confirm(`Also delete the ${nested} blocks inside it?\nCancel keeps them on the canvas.`);
+    this.engine.deleteBlock(id, { children: deleteChildren ? 'delete' : 'release' });
   }
 
   /**
@@ -1566,16 +2440,349 @@ class BlockRenderer {
    * Link selected blocks with specified type
    */
   linkSelected(linkType = 'single') {
+    if (this.readOnly) return;
+    
     const selected = Array.from(this.selectedBlocks);
     if (selected.length < 2) {
       alert('Select at least 2 blocks to link');
       return;
     }
     
-    for (let i = 0; i < selected.length - 1; i++) {
-      this.engine.linkBlocks(selected[i], selected[i + 1], linkType);
-    }
+    this.engine.transaction(() => {
+      for (let i = 0; i < selected.length - 1; i++) {
+        this.engine.linkBlocks(selected[i], selected[i + 1], linkType);
+      }
+    }, 'Link blocks');
     
     this.selectedBlocks.clear();
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Pictures of a board built from engine data alone, so they work in
+ * Node.js as well as in the browser: a self-contained SVG (no external
+ * styles or fonts) and a PNG rasterized from it. The link curves use the
+ * same geometry as BlockRenderer.
+ */
+class BlockImage {
+  /**
+   * Draw blocks as an SVG document
+   * @param {BlockEngine} engine - Engine to draw
+   * @param {object} options - Image options
+   * @param {Array} options.blockIds - Blocks to draw (default all); links are drawn between these only
+   * @param {number} options.padding - Space around the blocks in px (default 20)
+   * @param {boolean} options.includeGrid - Draw the background grid (default false)
+   * @param {Function} options.measureText - (text, font) => width in px; estimated from character classes by default
+   * @returns {string} SVG source
+   */
+  static toSVG(engine, options = {}) {
+    const { blockIds = null, padding = 20, includeGrid = false } = options;
+    const measure = options.measureText || BlockImage.estimateWidth;
+    const style = BlockImage.STYLE;
+    const escape = BlockImage.escape;
+    
+    // Same order as the renderer: frames before the blocks inside them
+    const wanted = blockIds ? new Set(blockIds) : null;
+    const blocks = engine.getRootBlocks()
+      .flatMap(root => [root, ...engine.getDescendants(root.id)])
+      .filter(block => !wanted || wanted.has(block.id));
+    const drawn = new Set(blocks.map(block => block.id));
+    
+    const minX = blocks.length > 0 ? Math.min(...blocks.map(b => b.position.x)) - padding : 0;
+    const minY = blocks.length > 0 ? Math.min(...blocks.map(b => b.position.y)) - padding : 0;
+    const maxX = blocks.length > 0 ? Math.max(...blocks.map(b => b.position.x + b.size.width)) + padding : padding * 2;
+    const maxY = blocks.length > 0 ? Math.max(...blocks.map(b => b.position.y + b.size.height)) + padding : padding * 2;
+    const width = Math.ceil(maxX - minX);
+    const height = Math.ceil(maxY - minY);
+    
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${minX} ${minY} ${width} ${height}" font-family="${escape(style.font)}">`,
+      '<defs>',
+      `<marker id="fbe-source" viewBox="0 0 14 14" refX="7" refY="7" markerWidth="14" markerHeight="14" markerUnits="userSpaceOnUse"><circle cx="7" cy="7" r="5" fill="${style.endpoint}" stroke="#fff" stroke-width="2"/></marker>`,
+      `<marker id="fbe-target" viewBox="0 0 12 12" refX="11" refY="6" markerWidth="12" markerHeight="12" markerUnits="userSpaceOnUse" orient="auto-start-reverse"><path d="M 1 1 L 11 6 L 1 11 z" fill="${style.endpoint}"/></marker>`
+    ];
+    if (includeGrid) {
+      svg.push(`<pattern id="fbe-grid" width="${style.gridSize}" height="${style.gridSize}" patternUnits="userSpaceOnUse">` +
+        `<path d="M ${style.gridSize} 0 L 0 0 0 ${style.gridSize}" fill="none" stroke="${style.grid}" stroke-width="1"/></pattern>`);
+    }
+    svg.push('</defs>');
+    svg.push(`<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="${style.background}"/>`);
+    if (includeGrid) svg.push(`<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="url(#fbe-grid)"/>`);
+    
+    blocks.forEach(block => svg.push(BlockImage.blockSVG(engine, block, measure)));
+    
+    // Links go over the blocks, as in the renderer
+    const pairs = new Set();
+    blocks.forEach(block => {
+      block.links.forEach((link, targetId) => {
+        if (!drawn.has(targetId) || pairs.has(`${targetId}-${block.id}`)) return;
+        pairs.add(`${block.id}-${targetId}`);
+        svg.push(BlockImage.linkSVG(engine, block, engine.getBlock(targetId), link));
+      });
+    });
+    
+    svg.push('</svg>');
+    return svg.join('\n') + '\n';
+  }
+
+  /**
+   * Rasterize toSVG() output. In the browser this draws on a canvas; in
+   * Node.js pass options.rasterize, e.g. with @resvg/resvg-js:
+   * (svg, { scale }) => new Resvg(svg, { fitTo: { mode: 'zoom', value: scale } }).render().asPng()
+   * @param {string} svg - SVG source from toSVG()
+   * @param {object} options - {scale: pixels per board unit (default 2), rasterize: (svg, {scale, width, height}) => PNG data}
+   * @returns {Promise<Blob|Buffer|Uint8Array>} PNG image
+   */
+  static async toPNG(svg, options = {}) {
+    const { scale = 2, rasterize = null } = options;
+    if (!(scale > 0)) throw new Error(`Invalid scale ${scale}`);
+    
+    const size = svg.match(/<svg[^>]* width="(\d+)" height="(\d+)"/);
+    const width = Math.ceil(Number(size[1]) * scale);
+    const height = Math.ceil(Number(size[2]) * scale);
+    if (rasterize) return rasterize(svg, { scale, width, height });
+    
+    if (typeof document === 'undefined' || typeof Image === 'undefined') {
+      throw new Error('PNG export needs a browser or a rasterize function (see BlockImage.toPNG)');
+    }
+    
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The SVG could not be drawn'));
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The canvas could not be encoded'))), 'image/png');
+    });
+  }
+
+  /**
+   * One block: box, wrapped content and type badge
+   */
+  static blockSVG(engine, block, measure) {
+    const style = BlockImage.STYLE;
+    const escape = BlockImage.escape;
+    const { x, y } = block.position;
+    const { width, height } = block.size;
+    const typeDef = engine.getBlockType(block.type);
+    const isFrame = block.type === 'frame' || engine.getChildren(block.id).length > 0;
+    
+    const parts = [`<g data-block-id="${escape(block.id)}">`];
+    parts.push(`<rect x="${x + 1}" y="${y + 1}" width="${Math.max(width - 2, 0)}" height="${Math.max(height - 2, 0)}" rx="8" ` +
+      `fill="${isFrame ? style.frameFill : style.blockFill}" stroke="${typeDef.color || style.border}" stroke-width="2"` +
+      `${isFrame ? ' stroke-dasharray="8,4"' : ''}/>`);
+    
+    // Content, cut off with an ellipsis where the block ends (the badge keeps its row)
+    const font = `${style.fontSize}px ${style.font}`;
+    const innerWidth = width - style.padding * 2;
+    const rows = Math.max(Math.floor((height - style.padding * 2 - style.badgeHeight) / style.lineHeight), 0);
+    let lines = BlockImage.wrapText(block.content || '(empty)', innerWidth, text => measure(text, font));
+    if (lines.length > rows) {
+      lines = lines.slice(0, rows);
+      if (rows > 0) lines[rows - 1] = BlockImage.fitText(`${lines[rows - 1]}…`, innerWidth, text => measure(text, font));
+    }
+    if (lines.length > 0) {
+      const color = block.content ? style.text : style.placeholder;
+      parts.push(`<text x="${x + style.padding}" y="${y + style.padding}" font-size="${style.fontSize}" fill="${color}" xml:space="preserve">` +
+        lines.map((line, index) => `<tspan x="${x + style.padding}" dy="${index === 0 ? style.fontSize : style.lineHeight}">${escape(line)}</tspan>`).join('') +
+        '</text>');
+    }
+    
+    // Type badge in the bottom right corner
+    const label = typeDef.icon ? `${typeDef.icon} ${block.type.toUpperCase()}` : block.type.toUpperCase();
+    const badgeWidth = Math.ceil(measure(label, `11px ${style.font}`)) + 16;
+    const badgeX = x + width - 10 - badgeWidth;
+    const badgeY = y + height - 10 - style.badgeHeight;
+    const badgeFill = typeDef.color || (typeDef.registered ? style.badge : 'none');
+    parts.push(`<rect x="${badgeX}" y="${badgeY}" width="${badgeWidth}" height="${style.badgeHeight}" rx="9" fill="${badgeFill}"` +
+      `${typeDef.registered ? '' : ` stroke="${style.placeholder}" stroke-dasharray="3,2"`}/>`);
+    parts.push(`<text x="${badgeX + badgeWidth / 2}" y="${badgeY + style.badgeHeight / 2}" font-size="11" text-anchor="middle" dominant-baseline="central" ` +
+      `fill="${typeDef.color ? '#fff' : typeDef.registered ? style.badgeText : style.placeholder}">${escape(label)}</text>`);
+    
+    parts.push('</g>');
+    return parts.join('');
+  }
+
+  /**
+   * One link: curve, endpoint markers and label, styled by its kind
+   */
+  static linkSVG(engine, source, target, link) {
+    const style = BlockImage.STYLE;
+    const rect = block => ({ ...block.position, ...block.size });
+    const start = BlockImage.connectionPoint(rect(source), rect(target));
+    const end = BlockImage.connectionPoint(rect(target), rect(source));
+    const curve = BlockImage.curve(start, end);
+    
+    const double = target.hasLink(source.id);
+    const kind = engine.getLinkKind(link.kind || 'default');
+    const attributes = [
+      `d="${curve.d}"`,
+      'fill="none"',
+      `stroke="${kind.color || style.link}"`,
+      `stroke-width="${kind.width || 2}"`,
+      'stroke-opacity="0.6"'
+    ];
+    if (kind.dash) attributes.push(`stroke-dasharray="${kind.dash}"`);
+    attributes.push(`marker-start="url(#${double ? 'fbe-target' : 'fbe-source'})"`, 'marker-end="url(#fbe-target)"');
+    
+    let svg = `<path ${attributes.join(' ')}/>`;
+    if (link.label) {
+      svg += `<text x="${curve.mid.x}" y="${curve.mid.y}" font-size="11" text-anchor="middle" dominant-baseline="middle" ` +
+        `fill="${kind.color || style.text}" stroke="${style.background}" stroke-width="4" stroke-linejoin="round" paint-order="stroke">` +
+        `${BlockImage.escape(link.label)}</text>`;
+    }
+    return svg;
+  }
+
+  /**
+   * Where the line from the center of one box towards the center of
+   * another leaves the first box
+   * @param {object} source - Box {x, y, width, height}
+   * @param {object} target - Box {x, y, width, height}
+   * @returns {object} Point {x, y}
+   */
+  static connectionPoint(source, target) {
+    const sourceCenterX = source.x + source.width / 2;
+    const sourceCenterY = source.y + source.height / 2;
+    const dx = target.x + target.width / 2 - sourceCenterX;
+    const dy = target.y + target.height / 2 - sourceCenterY;
+    
+    // Blocks stacked on the same center have no direction: use the right edge
+    if (dx === 0 && dy === 0) {
+      return { x: source.x + source.width, y: sourceCenterY };
+    }
+    
+    if (Math.abs(dx) / source.width > Math.abs(dy) / source.height) {
+      const sign = Math.sign(dx);
+      return { x: sourceCenterX + sign * (source.width / 2), y: sourceCenterY + dy * (sign * (source.width / 2) / dx) };
+    }
+    const sign = Math.sign(dy);
+    return { x: sourceCenterX + dx * (sign * (source.height / 2) / dy), y: sourceCenterY + sign * (source.height / 2) };
+  }
+
+  /**
+   * Cubic curve between two connection points, leaving and entering
+   * horizontally or vertically depending on which distance is larger
+   * @returns {object} {d: path data, cp1, cp2, mid: point at t = 0.5}
+   */
+  static curve(start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const offset = Math.min(Math.sqrt(dx * dx + dy * dy) / 3, 100);
+    
+    const cp1 = Math.abs(dx) > Math.abs(dy)
+      ? { x: start.x + Math.sign(dx) * offset, y: start.y }
+      : { x: start.x, y: start.y + Math.sign(dy) * offset };
+    const cp2 = Math.abs(dx) > Math.abs(dy)
+      ? { x: end.x - Math.sign(dx) * offset, y: end.y }
+      : { x: end.x, y: end.y - Math.sign(dy) * offset };
+    
+    return {
+      d: `M ${start.x} ${start.y} C ${cp1.x} ${cp1.y}, ${cp2.x} ${cp2.y}, ${end.x} ${end.y}`,
+      cp1,
+      cp2,
+      mid: {
+        x: 0.125 * start.x + 0.375 * cp1.x + 0.375 * cp2.x + 0.125 * end.x,
+        y: 0.125 * start.y + 0.375 * cp1.y + 0.375 * cp2.y + 0.125 * end.y
+      }
+    };
+  }
+
+  /**
+   * Break text into lines no wider than a width: at line breaks, then
+   * between words, then inside words that don't fit on a line of their own
+   * @param {string} text - Text
+   * @param {number} width - Available width in px
+   * @param {Function} measure - text => width in px
+   * @returns {Array} Lines
+   */
+  static wrapText(text, width, measure) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+      let line = '';
+      (paragraph.match(/\s*\S+/g) || ['']).forEach(word => {
+        if (measure(line + word) <= width) {
+          line += word;
+          return;
+        }
+        if (line !== '') lines.push(line);
+        line = word.trimStart();
+        while (line.length > 1 && measure(line) > width) {
+          const head = BlockImage.fitText(line, width, measure, '');
+          lines.push(head);
+          line = line.slice(head.length);
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * Longest start of a text that fits a width, keeping the given ending
+   * (an ellipsis by default) if it had to be shortened
+   */
+  static fitText(text, width, measure, ending = '…') {
+    if (measure(text) <= width) return text;
+    const chars = Array.from(ending ? text.slice(0, -ending.length) : text);
+    let count = chars.length;
+    while (count > 1 && measure(chars.slice(0, count).join('') + ending) > width) count--;
+    return chars.slice(0, count).join('') + ending;
+  }
+
+  /**
+   * Text width estimated from character classes, for when no canvas is
+   * around to measure it
+   * @param {string} text - Text
+   * @param {string} font - CSS font, only the size in px is used
+   * @returns {number} Width in px
+   */
+  static estimateWidth(text, font) {
+    const size = parseFloat(font) || BlockImage.STYLE.fontSize;
+    let width = 0;
+    for (const char of text) {
+      if (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]|[\u{1f300}-\u{1faff}]/u.test(char)) width += 1;
+      else if (/[ijlI.,;:!|'`]/.test(char)) width += 0.28;
+      else if (/[mwMW@]/.test(char)) width += 0.86;
+      else if (/[A-Z]/.test(char)) width += 0.66;
+      else if (char === ' ') width += 0.28;
+      else width += 0.55;
+    }
+    return width * size;
+  }
+
+  static escape(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+  }
+}
+
+// Colors and sizes, matching the renderer's stylesheet
+BlockImage.STYLE = {
+  font: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  fontSize: 14,
+  lineHeight: 20,
+  padding: 15,
+  badgeHeight: 18,
+  background: '#f5f5f5',
+  grid: 'rgba(200,200,200,0.2)',
+  gridSize: 20,
+  blockFill: '#ffffff',
+  frameFill: 'rgba(248,249,250,0.7)',
+  border: '#e0e0e0',
+  text: '#333',
+  placeholder: '#999',
+  badge: '#e0e0e0',
+  badgeText: '#666',
+  link: '#007bff',
+  endpoint: '#dc3545'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BlockRenderer, BlockImage };
+}
@@ -0,0 +1,461 @@
+/**
+ * Free Block Engine - Storage Adapters
+ * 
+ * Persistence backends for BlockEngine.setStorage(): localStorage and
+ * IndexedDB in the browser, the filesystem in Node.js.
+ * 
+ * @author Paul Dikaloff
+ * @version 1.0.0
+ * @license MIT
+ * @repository https://github.com/pavadik/free-block-engine
+ */
+
+/**
+ * Base class for storage adapters. Documents are stored under a name and
+ * read back in the shape of BlockEngine.exportData().
+ *
+ * saveIncremental() receives {header, blocks, removed}: the document
+ * without its blocks (plus `order`, every block ID in order), the blocks
+ * that changed and the IDs of the blocks that were deleted. The default
+ * implementation loads, patches and saves the whole document; adapters
+ * that store blocks separately override it.
+ */
+class StorageAdapter {
+  /**
+   * Read a document
+   * @param {string} name - Document name
+   * @returns {Promise<object|null>} Export data, or null if there is no such document
+   */
+  async load(name) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Write a whole document, replacing what was stored
+   * @param {string} name - Document name
+   * @param {object} data - Export data
+   */
+  async save(name, data) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Write the changes since the last save
+   * @param {string} name - Document name
+   * @param {object} changes - {header, blocks, removed}
+   */
+  async saveIncremental(name, changes) {
+    const data = await this.load(name);
+    if (!data) {
+      throw new Error(`Document "${name}" not found`);
+    }
+    await this.save(name, StorageAdapter.applyChanges(data, changes));
+  }
+
+  /**
+   * List stored documents
+   * @returns {Promise<Array>} Array of {name, savedAt, blocks}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} name - Document name
+   * @returns {Promise<boolean>} Whether there was a document to delete
+   */
+  async remove(name) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  /**
+   * Patch stored export data with incremental changes
+   * @param {object} data - Export data
+   * @param {object} changes - {header, blocks, removed}
+   * @returns {object} Updated export data
+   */
+  static applyChanges(data, { header, blocks, removed }) {
+    const byId = new Map(data.blocks.map(block => [block.id, block]));
+    removed.forEach(id => byId.delete(id));
+    blocks.forEach(block => byId.set(block.id, block));
+    
+    return StorageAdapter.assemble(header, byId);
+  }
+
+  /**
+   * Build export data from a stored header and its blocks
+   * @param {object} header - Document without blocks, with `order`
+   * @param {Map} blocks - Block ID => serialized block
+   * @returns {object} Export data
+   */
+  static assemble(header, blocks) {
+    const { order, ...document } = header;
+    const ordered = (order || []).filter(id => blocks.has(id)).map(id => blocks.get(id));
+    
+    // Blocks missing from the order (shouldn't happen) are kept at the end
+    const listed = new Set(order);
+    blocks.forEach((block, id) => {
+      if (!listed.has(id)) ordered.push(block);
+    });
+    
+    return { ...document, blocks: ordered };
+  }
+
+  /**
+   * Split export data into a header (with `order`) and its blocks
+   * @param {object} data - Export data
+   * @returns {object} {header, blocks}
+   */
+  static split(data) {
+    const { blocks, ...document } = data;
+    return {
+      header: { ...document, order: blocks.map(block => block.id) },
+      blocks
+    };
+  }
+}
+
+/**
+ * Browser localStorage (or any object with the Storage interface). Each
+ * block is its own key, so incremental saves only rewrite what changed.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {string} options.prefix - Key prefix (default 'fbe:')
+   * @param {Storage} options.storage - Storage object (default window.localStorage)
+   */
+  constructor(options = {}) {
+    super();
+    this.prefix = options.prefix || 'fbe:';
+    this.storage = options.storage || globalThis.localStorage;
+    
+    if (!this.storage) {
+      throw new Error('localStorage is not available');
+    }
+  }
+
+  /**
+   * Key of a document's header
+   */
+  documentKey(name) {
+    return `${this.prefix}doc:${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * Key of one block of a document
+   */
+  blockKey(name, id) {
+    return `${this.prefix}block:${encodeURIComponent(name)}:${id}`;
+  }
+
+  async load(name) {
+    const header = this.storage.getItem(this.documentKey(name));
+    if (header === null) return null;
+    
+    const parsed = JSON.parse(header);
+    const blocks = new Map();
+    (parsed.order || []).forEach(id => {
+      const block = this.storage.getItem(this.blockKey(name, id));
+      if (block !== null) blocks.set(id, JSON.parse(block));
+    });
+    return StorageAdapter.assemble(parsed, blocks);
+  }
+
+  async save(name, data) {
+    // Write first and only then drop what's stale, so running out of
+    // quota halfway leaves the previous save readable
+    const { header, blocks } = StorageAdapter.split(data);
+    blocks.forEach(block => this.storage.setItem(this.blockKey(name, block.id), JSON.stringify(block)));
+    this.storage.setItem(this.documentKey(name), JSON.stringify(header));
+    this.removeBlocks(name, new Set(blocks.map(block => this.blockKey(name, block.id))));
+  }
+
+  async saveIncremental(name, { header, blocks, removed }) {
+    if (this.storage.getItem(this.documentKey(name)) === null) {
+      throw new Error(`Document "${name}" not found`);
+    }
+    
+    removed.forEach(id => this.storage.removeItem(this.blockKey(name, id)));
+    blocks.forEach(block => this.storage.setItem(this.blockKey(name, block.id), JSON.stringify(block)));
+    this.storage.setItem(this.documentKey(name), JSON.stringify(header));
+  }
+
+  async list() {
+    const documents = [];
+    const marker = `${this.prefix}doc:`;
+    
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key || !key.startsWith(marker)) continue;
+      
+      const header = JSON.parse(this.storage.getItem(key));
+      documents.push({
+        name: decodeURIComponent(key.slice(marker.length)),
+        savedAt: header.exportedAt || null,
+        blocks: (header.order || []).length
+      });
+    }
+    
+    return documents.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async remove(name) {
+    if (this.storage.getItem(this.documentKey(name)) === null) return false;
+    this.removeBlocks(name);
+    this.storage.removeItem(this.documentKey(name));
+    return true;
+  }
+
+  /**
+   * Remove the block keys of a document
+   * @param {string} name - Document name
+   * @param {Set} keep - Keys to leave in place (default none)
+   */
+  removeBlocks(name, keep = new Set()) {
+    const marker = `${this.prefix}block:${encodeURIComponent(name)}:`;
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(marker) && !keep.has(key)) keys.push(key);
+    }
+    keys.forEach(key => this.storage.removeItem(key));
+  }
+}
+
+/**
+ * Browser IndexedDB. Documents and blocks live in separate object stores
+ * and every save is a single transaction.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {string} options.database - Database name (default 'free-block-engine')
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default window.indexedDB)
+   * @param {Function} options.IDBKeyRange - Key range class of that implementation (default window.IDBKeyRange)
+   */
+  constructor(options = {}) {
+    super();
+    this.databaseName = options.database || 'free-block-engine';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.keyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+    this.database = null;
+    
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+    if (!this.keyRange) {
+      throw new Error('IDBKeyRange is not available, pass it with the indexedDB option');
+    }
+  }
+
+  /**
+   * Key range covering every block of a document
+   */
+  documentRange(name) {
+    return this.keyRange.bound([name], [name, []]);
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>} The database
+   */
+  open() {
+    if (this.database) return this.database;
+    
+    this.database = new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('documents', { keyPath: 'name' });
+        const blocks = db.createObjectStore('blocks', { keyPath: ['document', 'id'] });
+        blocks.createIndex('document', 'document');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    // A failed open may succeed later
+    this.database.catch(() => { this.database = null; });
+    return this.database;
+  }
+
+  /**
+   * Run work in a transaction over both stores
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - (documents, blocks) => value to resolve with
+   * @returns {Promise<*>} Resolves with work's result once the transaction completes
+   */
+  async transaction(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['documents', 'blocks'], mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      
+      Promise.resolve(work(tx.objectStore('documents'), tx.objectStore('blocks')))
+        .then(value => { result = value; })
+        .catch(error => {
+          tx.abort();
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Promise for a single IndexedDB request
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load(name) {
+    return this.transaction('readonly', async (documents, blocks) => {
+      const record = await IndexedDBAdapter.request(documents.get(name));
+      if (!record) return null;
+      
+      const rows = await IndexedDBAdapter.request(blocks.index('document').getAll(name));
+      return StorageAdapter.assemble(record.header, new Map(rows.map(row => [row.id, row.block])));
+    });
+  }
+
+  async save(name, data) {
+    const { header, blocks: list } = StorageAdapter.split(data);
+    await this.transaction('readwrite', (documents, blocks) => {
+      blocks.delete(this.documentRange(name));
+      list.forEach(block => blocks.put({ document: name, id: block.id, block }));
+      documents.put({ name, header });
+    });
+  }
+
+  async saveIncremental(name, { header, blocks: changed, removed }) {
+    await this.transaction('readwrite', async (documents, blocks) => {
+      const record = await IndexedDBAdapter.request(documents.get(name));
+      if (!record) {
+        throw new Error(`Document "${name}" not found`);
+      }
+      
+      removed.forEach(id => blocks.delete([name, id]));
+      changed.forEach(block => blocks.put({ document: name, id: block.id, block }));
+      documents.put({ name, header });
+    });
+  }
+
+  async list() {
+    const records = await this.transaction('readonly', documents => {
+      return IndexedDBAdapter.request(documents.getAll());
+    });
+    
+    return records
+      .map(({ name, header }) => ({
+        name,
+        savedAt: header.exportedAt || null,
+        blocks: (header.order || []).length
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async remove(name) {
+    return this.transaction('readwrite', async (documents, blocks) => {
+      const record = await IndexedDBAdapter.request(documents.get(name));
+      if (!record) return false;
+      
+      blocks.delete(this.documentRange(name));
+      documents.delete(name);
+      return true;
+    });
+  }
+}
+
+/**
+ * Node.js filesystem: one `<name>.json` file per document, in the same
+ * format as exportToJSON(). Files are written to a temporary name first
+ * and renamed, so a crash never leaves a half-written document.
+ */
+class FileSystemAdapter extends StorageAdapter {
+  /**
+   * @param {string} directory - Directory holding the documents (created if needed)
+   */
+  constructor(directory) {
+    super();
+    this.fs = require('fs').promises;
+    this.path = require('path');
+    this.directory = directory;
+  }
+
+  /**
+   * Path of a document's file
+   * @param {string} name - Document name
+   * @returns {string} File path
+   */
+  filePath(name) {
+    if (typeof name !== 'string' || name === '' || /[\\/]/.test(name) || name.startsWith('.')) {
+      throw new Error(`Invalid document name "${name}"`);
+    }
+    return this.path.join(this.directory, `${name}.json`);
+  }
+
+  async load(name) {
+    try {
+      return JSON.parse(await this.fs.readFile(this.filePath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(name, data) {
+    const file = this.filePath(name);
+    const temporary = `${file}.${process.pid}.tmp`;
+    
+    await this.fs.mkdir(this.directory, { recursive: true });
+    await this.fs.writeFile(temporary, JSON.stringify(data, null, 2), 'utf8');
+    await this.fs.rename(temporary, file);
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await this.fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    const documents = [];
+    for (const entry of entries.filter(entry => entry.endsWith('.json')).sort()) {
+      try {
+        const data = JSON.parse(await this.fs.readFile(this.path.join(this.directory, entry), 'utf8'));
+        documents.push({
+          name: entry.slice(0, -'.json'.length),
+          savedAt: data.exportedAt || null,
+          blocks: Array.isArray(data.blocks) ? data.blocks.length : 0
+        });
+      } catch (error) {
+        // Not a document (or unreadable), skip it
+      }
+    }
+    return documents;
+  }
+
+  async remove(name) {
+    try {
+      await this.fs.unlink(this.filePath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+// Export for use in browsers and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StorageAdapter, LocalStorageAdapter, IndexedDBAdapter, FileSystemAdapter };
+}
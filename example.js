@@ -2,6 +2,10 @@
     const engine = new BlockEngine();
     const renderer = new BlockRenderer(engine, 'blocks-container');
     
+    // Custom link kinds
+    engine.registerLinkKind('depends', { color: '#d9534f', dash: '6,4', label: 'depends on' });
+    engine.registerLinkKind('references', { color: '#6c757d', label: 'references' });
+    
     // Status updates
     function updateStatus(message) {
       document.getElementById('status').textContent = message;
@@ -19,6 +23,29 @@
       }
     }
     
+    // Wrap the selected blocks in a new frame (or create an empty one)
+    function createFrame() {
+      const selected = renderer.getSelectedBlocks();
+      const padding = 40;
+      
+      engine.transaction(() => {
+        if (selected.length === 0) {
+          engine.createBlock('Frame', 'frame');
+          return;
+        }
+        
+        const minX = Math.min(...selected.map(b => b.position.x)) - padding;
+        const minY = Math.min(...selected.map(b => b.position.y)) - padding * 2;
+        const maxX = Math.max(...selected.map(b => b.position.x + b.size.width)) + padding;
+        const maxY = Math.max(...selected.map(b => b.position.y + b.size.height)) + padding;
+        
+        const frame = engine.createBlock('Frame', 'frame', { x: minX, y: minY }, { width: maxX - minX, height: maxY - minY });
+        selected.forEach(block => engine.setParent(block.id, frame.id));
+      }, 'Create frame');
+      
+      updateStatus('Frame created');
+    }
+    
     // Link selected blocks
     function linkSelectedBlocks() {
       const linkType = document.getElementById('linkTypeSelect').value;
@@ -28,10 +55,59 @@
     
     // Auto arrange blocks
     function arrangeBlocks() {
-      engine.arrangeBlocks(3);
+      const algorithm = document.getElementById('layoutSelect').value;
+      const selected = Array.from(renderer.selectedBlocks);
+      if (algorithm === 'grid') {
+        engine.arrangeBlocks(3);
+      } else if (algorithm.startsWith('layered')) {
+        engine.arrangeBlocks({ algorithm: 'layered', direction: algorithm === 'layered-lr' ? 'LR' : 'TB' });
+      } else {
+        // Selected blocks stay where they are
+        engine.arrangeBlocks({ algorithm, pinned: selected });
+      }
       updateStatus('Blocks arranged');
     }
     
+    // Undo / redo
+    function undoChange() {
+      if (engine.undo()) updateStatus('Undone');
+    }
+    
+    function redoChange() {
+      if (engine.redo()) updateStatus('Redone');
+    }
+    
+    engine.on('historyChanged', ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+      const undoBtn = document.getElementById('undoBtn');
+      const redoBtn = document.getElementById('redoBtn');
+      undoBtn.disabled = !canUndo;
+      redoBtn.disabled = !canRedo;
+      undoBtn.title = undoLabel ? `Undo: ${undoLabel}` : 'Nothing to undo';
+      redoBtn.title = redoLabel ? `Redo: ${redoLabel}` : 'Nothing to redo';
+    });
+    
+    // Lock the selected blocks, or unlock them if they are all locked already
+    function toggleLock() {
+      const selected = renderer.getSelectedBlocks();
+      if (selected.length === 0) {
+        updateStatus('Select the blocks to lock first');
+        return;
+      }
+      
+      const unlock = selected.every(block => engine.isLocked(block.id));
+      engine.transaction(() => {
+        selected.forEach(block => unlock ? engine.unlockBlock(block.id) : engine.lockBlock(block.id));
+      }, unlock ? 'Unlock blocks' : 'Lock blocks');
+      updateStatus(`${selected.length} blocks ${unlock ? 'unlocked' : 'locked'}`);
+    }
+    
+    // Switch between editing and viewing the board
+    function toggleReadOnly() {
+      renderer.setReadOnly(!renderer.readOnly);
+      document.getElementById('readOnlyBtn').classList.toggle('active', renderer.readOnly);
+      updateStatus(renderer.readOnly ? 'Read-only view' : 'Editing enabled');
+    }
+    
     // Set view mode
     function setViewMode(mode) {
       renderer.setViewMode(mode);
@@ -43,36 +119,59 @@
     // Search blocks
     function searchBlocks() {
       const query = document.getElementById('searchInput').value;
-      if (query) {
-        const results = engine.searchBlocks(query);
+      // Dims non-matching blocks and highlights matched words
+      let results;
+      try {
+        results = renderer.setSearchQuery(query);
+      } catch (error) {
+        updateStatus(error.message);
+        return;
+      }
+      if (query.trim()) {
         updateStatus(`Found ${results.length} blocks`);
-        // Highlight search results
-        document.querySelectorAll('.block').forEach(el => {
-          const blockId = el.dataset.blockId;
-          const isResult = results.some(block => block.id === blockId);
-          el.style.opacity = isResult ? '1' : '0.3';
-        });
-      } else {
-        // Reset opacity
-        document.querySelectorAll('.block').forEach(el => {
-          el.style.opacity = '1';
-        });
       }
 	      }
     
+    // File formats offered by the format selector
+    const formats = {
+      json: { extension: 'json', mime: 'application/json', write: () => engine.exportToJSON(), read: (text, options) => engine.importFromJSON(text, options) },
+      markdown: { extension: 'md', mime: 'text/markdown', write: () => engine.exportToMarkdown({ title: 'Free Block Engine board' }), read: (text, options) => engine.importFromMarkdown(text, options) },
+      graphml: { extension: 'graphml', mime: 'application/xml', write: () => engine.exportToGraphML(), read: (text, options) => engine.importFromGraphML(text, options) },
+      dot: { extension: 'dot', mime: 'text/vnd.graphviz', write: () => engine.exportToDOT(), read: (text, options) => engine.importFromDOT(text, options) },
+      mermaid: { extension: 'mmd', mime: 'text/plain', write: () => engine.exportToMermaid(), read: (text, options) => engine.importFromMermaid(text, options) },
+      canvas: { extension: 'canvas', mime: 'application/json', write: () => engine.exportToCanvas(), read: (text, options) => engine.importFromCanvas(text, options) }
+    };
+    
     // Export data
     function exportData() {
-      const data = engine.exportToJSON();
-      const blob = new Blob([data], { type: 'application/json' });
+      const format = formats[document.getElementById('formatSelect').value];
+      const data = format.write();
+      const blob = new Blob([data], { type: format.mime });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `blocks_${new Date().toISOString().slice(0, 10)}.json`;
+      a.download = `blocks_${new Date().toISOString().slice(0, 10)}.${format.extension}`;
       a.click();
       URL.revokeObjectURL(url);
       updateStatus('Data exported');
     }
     
+    // Save a picture of the selection (or the whole board)
+    async function exportImage() {
+      try {
+        const blob = await renderer.exportPNG({ selectionOnly: renderer.selectedBlocks.size > 0, includeGrid: true });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `blocks_${new Date().toISOString().slice(0, 10)}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+        updateStatus('Image exported');
+      } catch (error) {
+        updateStatus(`Image export failed: ${error.message}`);
+      }
+    }
+    
     // Import data
     function importData() {
       document.getElementById('importFile').click();
@@ -83,20 +182,75 @@
       if (file) {
         const reader = new FileReader();
         reader.onload = (e) => {
-          if (engine.importFromJSON(e.target.result)) {
+          const mode = document.getElementById('importModeSelect').value;
+          const format = formats[document.getElementById('formatSelect').value];
+          if (format.read(e.target.result, { mode })) {
             updateStatus('Data imported successfully');
-          } else {
-            updateStatus('Import failed');
           }
+          event.target.value = '';
         };
         reader.readAsText(file);
       }
     }
     
+    // Review: highlight what changed since an exported file (click again to hide)
+    function reviewChanges() {
+      if (renderer.review) {
+        renderer.setReview(null);
+        document.getElementById('reviewBtn').classList.remove('active');
+        return;
+      }
+      document.getElementById('reviewFile').click();
+    }
+    
+    function handleReview(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const patch = BlockEngine.diff(e.target.result, engine);
+          renderer.setReview(patch);
+          document.getElementById('reviewBtn').classList.add('active');
+          updateStatus(`${patch.blocks.added.length} added, ${patch.blocks.removed.length} removed, ` +
+            `${patch.blocks.changed.length} changed blocks since ${file.name}`);
+        } catch (error) {
+          updateStatus(`Cannot compare: ${error.message}`);
+        }
+        event.target.value = '';
+      };
+      reader.readAsText(file);
+    }
+    
+    engine.on('blockInvalid', ({ message }) => {
+      updateStatus(`Not saved: ${message}`);
+    });
+    
+    // A before-event listener vetoed a move, link or delete
+    engine.on('changeCancelled', ({ reason }) => updateStatus(reason));
+    
+    // A structure rule rejected a link, type change or delete
+    engine.on('ruleViolated', ({ errors }) => updateStatus(errors.map(error => error.message).join('; ')));
+    
+    // A change touched a locked part of a block
+    engine.on('lockViolated', ({ message }) => updateStatus(message));
+    
+    // Parts of a file that couldn't be imported (e.g. DOT subgraphs or GraphML ports)
+    engine.on('blocksImported', ({ warnings }) => {
+      warnings.forEach(({ path, message }) => console.warn(`Import: ${path ? path + ': ' : ''}${message}`));
+    });
+    
+    engine.on('importFailed', ({ errors }) => {
+      const first = errors[0];
+      updateStatus(`Import failed: ${first.path ? first.path + ': ' : ''}${first.message}` +
+        (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''));
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       // Ctrl/Cmd + N: New block
-      if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'n' && !renderer.readOnly) {
         e.preventDefault();
         createNewBlock();
       }
@@ -108,10 +262,16 @@
       }
       
       // Delete: Delete selected blocks
-      if (e.key === 'Delete' && !e.target.contentEditable) {
+      if (e.key === 'Delete' && !e.target.contentEditable && !renderer.readOnly) {
         const selected = renderer.getSelectedBlocks();
         if (selected.length > 0 && confirm(`Delete ${selected.length} blocks?`)) {
-          selected.forEach(block => engine.deleteBlock(block.id));
+          const hasFrames = selected.some(block => engine.getChildren(block.id).length > 0);
+          const children = hasFrames && confirm('Also delete the blocks inside the selected frames?\nCancel keeps them on the canvas.')
+            ? 'delete'
+            : 'release';
+          engine.transaction(() => {
+            selected.forEach(block => engine.deleteBlock(block.id, { children }));
+          }, 'Delete blocks');
           renderer.selectedBlocks.clear();
         }
       }
@@ -123,24 +283,53 @@
       }
     });
     
+    // Autosave status
+    engine.on('saving', () => {
+      document.getElementById('status').textContent = 'Saving...';
+    });
+    engine.on('saved', () => updateStatus('All changes saved'));
+    engine.on('saveFailed', ({ error }) => updateStatus(`Save failed: ${error.message}`));
+    
     // Create some example blocks with different link types
-    window.addEventListener('DOMContentLoaded', () => {
-      // Create sample blocks
-      const block1 = engine.createBlock('Project Overview\n\nThis is the main project hub with links to all components.', 'note', {x: 400, y: 100});
-      const block2 = engine.createBlock('Task 1: Design UI\n\nCreate mockups and wireframes for the user interface.', 'task', {x: 100, y: 300});
-      const block3 = engine.createBlock('Task 2: Backend API\n\nDevelop RESTful API endpoints for data management.', 'task', {x: 400, y: 300});
-      const block4 = engine.createBlock('Task 3: Testing\n\nWrite unit tests and integration tests.', 'task', {x: 700, y: 300});
-      const block5 = engine.createBlock('Resources\n\n- Documentation\n- API Reference\n- Design Guidelines', 'note', {x: 250, y: 500});
-      const block6 = engine.createBlock('Dependencies\n\nExternal libraries and frameworks used in the project.', 'note', {x: 550, y: 500});
+    function createSampleBoard() {
+      // Build the sample board as one transaction so it renders once
+      engine.transaction(() => {
+        // Create sample blocks
+        const block1 = engine.createBlock('Project Overview\n\nThis is the main project hub with links to all components.', 'note', {x: 400, y: 100});
+        const block2 = engine.createBlock('Task 1: Design UI\n\nCreate mockups and wireframes for the user interface.', 'task', {x: 100, y: 300});
+        const block3 = engine.createBlock('Task 2: Backend API\n\nDevelop RESTful API endpoints for data management.', 'task', {x: 400, y: 300});
+        const block4 = engine.createBlock('Task 3: Testing\n\nWrite unit tests and integration tests.', 'task', {x: 700, y: 300});
+        const block5 = engine.createBlock('Resources\n\n- Documentation\n- API Reference\n- Design Guidelines', 'note', {x: 250, y: 500});
+        const block6 = engine.createBlock('Dependencies\n\nExternal libraries and frameworks used in the project.', 'note', {x: 550, y: 500});
       
-      // Create different types of links
-      engine.linkBlocks(block1.id, block2.id, 'single');  // Project → Task 1
-      engine.linkBlocks(block1.id, block3.id, 'single');  // Project → Task 2
-      engine.linkBlocks(block1.id, block4.id, 'single');  // Project → Task 3
-      engine.linkBlocks(block2.id, block3.id, 'single');  // Task 1 → Task 2
-      engine.linkBlocks(block3.id, block4.id, 'single');  // Task 2 → Task 3
-      engine.linkBlocks(block5.id, block1.id, 'reverse'); // Resources ← Project
-      engine.linkBlocks(block6.id, block3.id, 'double');  // Dependencies ↔ Task 2
+        // Create different types of links
+        engine.linkBlocks(block1.id, block2.id, 'single');  // Project → Task 1
+        engine.linkBlocks(block1.id, block3.id, 'single');  // Project → Task 2
+        engine.linkBlocks(block1.id, block4.id, 'single');  // Project → Task 3
+        engine.linkBlocks(block2.id, block3.id, 'single', { kind: 'depends' });  // Task 1 → Task 2
+        engine.linkBlocks(block3.id, block4.id, 'single', { kind: 'depends' });  // Task 2 → Task 3
+        engine.linkBlocks(block5.id, block1.id, 'reverse'); // Resources ← Project
+        engine.linkBlocks(block6.id, block3.id, 'double', { kind: 'references' });  // Dependencies ↔ Task 2
+      });
+      
+      // The sample board is the starting point, not something to undo
+      engine.clearHistory();
+    }
+    
+    window.addEventListener('DOMContentLoaded', async () => {
+      // The board is kept in localStorage and saved automatically
+      let restored = false;
+      try {
+        engine.setStorage(new LocalStorageAdapter(), { document: 'example' });
+        restored = await engine.load();
+      } catch (error) {
+        console.warn('Storage unavailable, changes will not be kept', error);
+      }
+      
+      if (!restored) {
+        createSampleBoard();
+        if (engine.storage) engine.save();
+      }
       
       updateStatus('Welcome! Double-click on arrows to edit link directions.');
       
@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+/**
+ * Free Block Engine - Command Line Tool
+ *
+ * Checks, inspects and converts board files from a terminal or a git hook.
+ * The format of a file follows from its extension (see FORMATS) unless
+ * --from / --to say otherwise.
+ *
+ *   node fbe.js validate boards/*.json
+ *   node fbe.js convert roadmap.json roadmap.md
+ *
+ * Exit codes: 0 success, 1 invalid board (or no search results), 2 usage
+ * or file errors.
+ *
+ * @author Paul Dikaloff
+ * @version 1.0.0
+ * @license MIT
+ * @repository https://github.com/pavadik/free-block-engine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BlockEngine, BlockGraph } = require('./blockEngine.js');
+
+// Supported formats: file extensions, import and export
+const FORMATS = {
+  json: {
+    extensions: ['.json'],
+    read: (engine, text, options) => engine.importFromJSON(text, options),
+    write: engine => engine.exportToJSON() + '\n'
+  },
+  markdown: {
+    extensions: ['.md', '.markdown'],
+    positions: false,
+    read: (engine, text, options) => engine.importFromMarkdown(text, options),
+    write: engine => engine.exportToMarkdown()
+  },
+  graphml: {
+    extensions: ['.graphml', '.xml'],
+    read: (engine, text, options) => engine.importFromGraphML(text, options),
+    write: engine => engine.exportToGraphML()
+  },
+  dot: {
+    extensions: ['.dot', '.gv'],
+    read: (engine, text, options) => engine.importFromDOT(text, options),
+    write: engine => engine.exportToDOT()
+  },
+  mermaid: {
+    extensions: ['.mmd', '.mermaid'],
+    positions: false,
+    read: (engine, text, options) => engine.importFromMermaid(text, options),
+    write: engine => engine.exportToMermaid()
+  },
+  canvas: {
+    extensions: ['.canvas'],
+    read: (engine, text, options) => engine.importFromCanvas(text, options),
+    write: engine => engine.exportToCanvas() + '\n'
+  }
+};
+
+const USAGE = `Usage: fbe <command> [options]
+
+Commands:
+  validate <file...>           Check schema and link integrity (--strict: warnings fail too)
+  stats <file>                 Counts by type, link degrees, orphans and cycles (--json)
+  convert <input> <output>     Convert between formats ("-" writes to stdout)
+  layout <file>                Arrange the blocks and write the result
+                                 --algorithm layered|force|grid (default layered)
+                                 --direction TB|LR, --columns n
+  search <file> <query>        List matching blocks, best first (--limit n, --json)
+  merge <file> <other>         Merge other into file, matching blocks by ID
+                                 --conflict newest|local|remote|rename (default newest)
+
+Options:
+  --from <format>, --to <format>   ${Object.keys(FORMATS).join(', ')}
+  -o, --output <file>              Write here instead of stdout (layout, merge)
+  --in-place                       Overwrite the input file (layout, merge)
+  -q, --quiet                      Only report problems
+  -h, --help                       Show this help
+`;
+
+// Options that take a value; everything else starting with - is a flag
+const VALUE_OPTIONS = ['from', 'to', 'output', 'algorithm', 'direction', 'columns', 'limit', 'conflict'];
+const ALIASES = { o: 'output', q: 'quiet', h: 'help' };
+
+/**
+ * Split arguments into positionals, options and flags
+ * @param {Array} args - process.argv without node and the script
+ * @returns {object} {positionals, options}
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const match = arg.match(/^--?([a-z-]+)(?:=(.*))?$/i);
+    if (!match) {
+      positionals.push(arg);
+      continue;
+    }
+    
+    const name = ALIASES[match[1]] || match[1];
+    if (!VALUE_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (match[2] !== undefined) {
+      options[name] = match[2];
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new Error(`Option --${name} needs a value`);
+    }
+  }
+  return { positionals, options };
+}
+
+/**
+ * Format of a file, from an explicit --from/--to or its extension
+ */
+function formatOf(file, explicit) {
+  if (explicit) {
+    if (!FORMATS[explicit]) throw new Error(`Unknown format "${explicit}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    return explicit;
+  }
+  const extension = path.extname(file).toLowerCase();
+  const format = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension));
+  if (!format) throw new Error(`Cannot tell the format of "${file}", use --from or --to`);
+  return format;
+}
+
+/**
+ * Read a board file into a new engine
+ * @param {string} file - Path
+ * @param {string} format - Explicit format, or undefined to go by the extension
+ * @returns {object} {engine, errors, warnings}; errors means the file could not be imported
+ */
+function readBoard(file, format) {
+  const text = fs.readFileSync(file, 'utf8');
+  const engine = new BlockEngine();
+  const result = { engine, errors: [], warnings: [] };
+  
+  engine.on('importFailed', report => {
+    result.errors.push(...report.errors);
+    result.warnings.push(...report.warnings);
+  });
+  engine.on('blocksImported', ({ warnings }) => result.warnings.push(...warnings));
+  
+  FORMATS[formatOf(file, format)].read(engine, text, { mode: 'replace' });
+  engine.clearHistory();
+  return result;
+}
+
+/**
+ * Read a board that must import cleanly; problems go to stderr
+ * @returns {BlockEngine|null} Engine, or null if the file is invalid
+ */
+function loadBoard(file, format) {
+  const { engine, errors, warnings } = readBoard(file, format);
+  warnings.forEach(issue => console.error(`${file}: warning: ${describe(issue)}`));
+  errors.forEach(issue => console.error(`${file}: error: ${describe(issue)}`));
+  return errors.length > 0 ? null : engine;
+}
+
+function describe({ path: where, message }) {
+  return where ? `${where}: ${message}` : message;
+}
+
+/**
+ * Write output to a file, or to stdout for "-" or no file
+ */
+function writeOutput(file, text) {
+  if (!file || file === '-') {
+    process.stdout.write(text);
+  } else {
+    fs.writeFileSync(file, text);
+  }
+}
+
+/**
+ * Format to write: --to, the output's extension, or the input's format for stdout
+ */
+function outputFormat(output, input, options) {
+  if (options.to) return formatOf(output, options.to);
+  return output && output !== '-' ? formatOf(output) : formatOf(input, options.from);
+}
+
+/**
+ * Where layout and merge write: --output, the input with --in-place, or stdout
+ */
+function outputOf(options, input) {
+  if (options['in-place'] && options.output) throw new Error('Use either --output or --in-place');
+  return options['in-place'] ? input : options.output;
+}
+
+const commands = {
+  validate(positionals, options) {
+    if (positionals.length === 0) throw new Error('validate needs at least one file');
+    let failed = 0;
+    let unreadable = 0;
+    
+    positionals.forEach(file => {
+      let result;
+      try {
+        result = readBoard(file, options.from);
+      } catch (error) {
+        console.error(`${file}: error: ${error.message}`);
+        failed++;
+        unreadable++;
+        return;
+      }
+      
+      const { errors, warnings } = result;
+      errors.forEach(issue => console.error(`${file}: error: ${describe(issue)}`));
+      warnings.forEach(issue => console.error(`${file}: warning: ${describe(issue)}`));
+      
+      const bad = errors.length > 0 || (options.strict && warnings.length > 0);
+      if (bad) failed++;
+      if (!bad && !options.quiet) {
+        console.log(`${file}: ok${warnings.length > 0 ? ` (${warnings.length} warnings)` : ''}`);
+      }
+    });
+    
+    if (failed > 0 && !options.quiet) console.error(`${failed} of ${positionals.length} files failed validation`);
+    if (unreadable > 0) return 2;
+    return failed > 0 ? 1 : 0;
+  },
+
+  stats([file], options) {
+    if (!file) throw new Error('stats needs a file');
+    const engine = loadBoard(file, options.from);
+    if (!engine) return 1;
+    
+    const blocks = engine.getAllBlocks();
+    const links = BlockGraph.edgesOf(blocks);
+    const count = (items, key) => items.reduce((counts, item) => {
+      counts[key(item)] = (counts[key(item)] || 0) + 1;
+      return counts;
+    }, {});
+    
+    const degrees = blocks.map(block => ({
+      id: block.id,
+      in: engine.getIncomingLinks(block.id).length,
+      out: block.links.size
+    }));
+    const orphans = degrees.filter(degree => degree.in === 0 && degree.out === 0).map(degree => degree.id);
+    const most = key => degrees.reduce((best, degree) => (!best || degree[key] > best[key] ? degree : best), null);
+    const average = key => (degrees.length > 0 ? degrees.reduce((sum, degree) => sum + degree[key], 0) / degrees.length : 0);
+    
+    const stats = {
+      blocks: blocks.length,
+      types: count(blocks, block => block.type),
+      frames: blocks.filter(block => block.type === 'frame' || engine.getChildren(block.id).length > 0).length,
+      links: links.length,
+      linkTypes: count(links, link => link.type),
+      linkKinds: count(links, link => link.kind || 'default'),
+      degree: {
+        averageIn: Math.round(average('in') * 100) / 100,
+        averageOut: Math.round(average('out') * 100) / 100,
+        maxIn: most('in') ? { id: most('in').id, count: most('in').in } : null,
+        maxOut: most('out') ? { id: most('out').id, count: most('out').out } : null
+      },
+      orphans,
+      components: engine.graph.connectedComponents().length,
+      // A double link is a cycle of its own, so only loops of one-way links count
+      cycles: engine.graph.findCycles({ linkFilter: link => link.type !== 'double' }).length
+    };
+    
+    if (options.json) {
+      console.log(JSON.stringify(stats, null, 2));
+      return 0;
+    }
+    
+    const list = counts => Object.entries(counts).map(([name, value]) => `${name} ${value}`).join(', ') || '-';
+    console.log(`Blocks:      ${stats.blocks} (${list(stats.types)})`);
+    console.log(`Frames:      ${stats.frames}`);
+    console.log(`Links:       ${stats.links} (${list(stats.linkTypes)}; kinds: ${list(stats.linkKinds)})`);
+    console.log(`Degree:      in ${stats.degree.averageIn} / out ${stats.degree.averageOut} on average` +
+      (stats.degree.maxIn ? `, most incoming ${stats.degree.maxIn.id} (${stats.degree.maxIn.count})` : '') +
+      (stats.degree.maxOut ? `, most outgoing ${stats.degree.maxOut.id} (${stats.degree.maxOut.count})` : ''));
+    console.log(`Orphans:     ${orphans.length}${orphans.length > 0 ? ` (${orphans.join(', ')})` : ''}`);
+    console.log(`Components:  ${stats.components}`);
+    console.log(`Cycles:      ${stats.cycles}`);
+    return 0;
+  },
+
+  convert([input, output], options) {
+    if (!input || !output) throw new Error('convert needs an input and an output file');
+    const to = outputFormat(output, input, options);
+    const engine = loadBoard(input, options.from);
+    if (!engine) return 1;
+    
+    writeOutput(output, FORMATS[to].write(engine));
+    if (!options.quiet && output !== '-') console.error(`${input} -> ${output} (${to}, ${engine.blocks.size} blocks)`);
+    return 0;
+  },
+
+  layout([file], options) {
+    if (!file) throw new Error('layout needs a file');
+    const engine = loadBoard(file, options.from);
+    if (!engine) return 1;
+    
+    const output = outputOf(options, file);
+    const to = outputFormat(output, file, options);
+    if (FORMATS[to].positions === false) console.error(`warning: ${to} files don't keep block positions`);
+    
+    const algorithm = options.algorithm || 'layered';
+    const layout = { algorithm };
+    if (options.direction) layout.direction = options.direction.toUpperCase();
+    if (options.columns) layout.columns = Number(options.columns);
+    engine.arrangeBlocks(layout);
+    
+    writeOutput(output, FORMATS[to].write(engine));
+    if (!options.quiet && output && output !== '-') console.error(`${file}: arranged ${engine.blocks.size} blocks (${algorithm})`);
+    return 0;
+  },
+
+  search([file, ...words], options) {
+    if (!file || words.length === 0) throw new Error('search needs a file and a query');
+    const engine = loadBoard(file, options.from);
+    if (!engine) return 1;
+    
+    const limit = options.limit ? Number(options.limit) : undefined;
+    const results = engine.search(words.join(' '), { limit });
+    
+    if (options.json) {
+      console.log(JSON.stringify(results.map(({ block, score, matches }) => ({
+        id: block.id,
+        type: block.type,
+        score,
+        content: block.content,
+        matches
+      })), null, 2));
+    } else {
+      results.forEach(({ block, score }) => {
+        const title = block.content.split('\n')[0].slice(0, 80);
+        console.log(`${block.id}\t${block.type}\t${score.toFixed(2)}\t${title}`);
+      });
+    }
+    return results.length > 0 ? 0 : 1;
+  },
+
+  merge([file, other], options) {
+    if (!file || !other) throw new Error('merge needs two files');
+    const conflict = options.conflict || 'newest';
+    if (!BlockEngine.MERGE_POLICIES.includes(conflict)) {
+      throw new Error(`Unknown conflict policy "${conflict}" (expected ${BlockEngine.MERGE_POLICIES.join(', ')})`);
+    }
+    
+    const engine = loadBoard(file, options.from);
+    const incoming = loadBoard(other, options.from);
+    if (!engine || !incoming) return 1;
+    
+    let summary = null;
+    engine.on('blocksImported', result => { summary = result; });
+    engine.importFromJSON(incoming.exportData(), { mode: 'merge', conflict });
+    
+    const output = outputOf(options, file);
+    const to = outputFormat(output, file, options);
+    writeOutput(output, FORMATS[to].write(engine));
+    
+    if (!options.quiet) {
+      console.error(`Merged ${other} into ${file}: ${summary.added.length} added, ` +
+        `${summary.updated.length} updated, ${summary.skipped.length} kept (${summary.locked.length} locked), ` +
+        `${Object.keys(summary.idMap).length} renamed (${conflict})`);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Run a command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(`fbe: ${error.message}`);
+    return 2;
+  }
+  
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.options.help || command === 'help') {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!commands[command]) {
+    if (command) console.error(`fbe: unknown command "${command}"\n`);
+    process.stderr.write(USAGE);
+    return 2;
+  }
+  
+  try {
+    return commands[command](positionals, parsed.options);
+  } catch (error) {
+    console.error(`fbe: ${error.message}`);
+    return 2;
+  }
+}
+
+module.exports = { main, parseArgs, readBoard, FORMATS };
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}